@@ -17,643 +17,8736 @@
 
 // To assure all animations run smoothly, 60fps is required
 var FRAME_RATE = 60;
-frameRate(FRAME_RATE);
+
+// Processing defines the drawing globals. Without them (e.g. under Node) only
+// the animation engine is loaded, so that it can be required and tested.
+var IS_SKETCH = typeof frameRate === "function";
+
+if (IS_SKETCH) {
+    frameRate(FRAME_RATE);
+}
 
 var MILLISECONDS_IN_SECOND = 1000;
 
 //////////////////////////////////////////////////////
-// HELPER OBJECTS
+// EASING
 //////////////////////////////////////////////////////
 
-// Animation
+// Easing
 /**
-Container for animations, holding the necessary properties
-@param {double} duration     - Duration of the animation.
-@param {double} startTime    - Start time of the animation.
-@param {double} destinationX - final X value of animating property. (width, X, etc.)
-@param {double} destinatioY  - final Y value of animating property. (height, Y, etc.)
-@param {double} startX       - starting X value of animating property. (width, X, etc.)
-@param {double} startY       - starting Y value of animating property. (height, Y, etc.)
-*/
-
-var Animation = function(duration, startTime, destinationX, destinationY, startX, startY) {
-    this.animDuration = duration;
-    this.animDestinationX = destinationX;
-    this.animDestinationY = destinationY;
-    this.animStartX = startX;
-    this.animStartY = startY;
-    this.animStartTime = startTime;
-    this.isAnimating = false;
+Registry of named easing curves. Every curve is a function that takes the
+percentage of animation completion (0 to 1) and returns the eased percentage,
+which may overshoot 0 or 1 for curves such as back and elastic.
+
+Curves can be looked up by name ("easeOutQuad"), by CSS-style string
+("cubic-bezier(0.25, 0.1, 0.25, 1)", "steps(4, end)") or passed in directly
+as a function. Register your own with Easing.register(name, curve).
+*/
+var Easing = {
+    curves: {},
     
-    this.animDistanceX = destinationX - startX;
-    this.animDistanceY = destinationY - startY;
+    // Curves built from cubic-bezier()/steps() strings, by the string they came from
+    parsed: {}
 };
 
-// AnimatableShape
 /**
-An object that has a (x, y) coordinate, width, and height
-with the ability to perform arithmetic operations on it's property
-to create animations.
+Adds a named curve to the registry, replacing any curve with the same name.
+@param {string} name            - Name used to look up the curve.
+@param {function} easingFunction - Function mapping completion (0 to 1) to eased completion.
+*/
+Easing.register = function(name, easingFunction) {
+    if (typeof easingFunction !== "function") {
+        throw new Error("Easing '" + name + "' must be a function");
+    }
 
-@param {int} x           - X position of the shape.
-@param {int} y           - Y position of the shape.
-@param {int} shapeWidth  - Width of the shape.
-@param {int} shapeHeight - Height of the shape.
+    Easing.curves[name] = easingFunction;
+};
+
+/**
+Resolves an easing given as a function, a registered name, or a CSS-style
+cubic-bezier()/steps() string.
+@param {function|string} easing - Easing to resolve.
+
+@return {function} easing function mapping completion to eased completion
 */
-var AnimatableShape = function(x, y, shapeWidth, shapeHeight) {
-    this.x = x;
-    this.y = y;
+Easing.get = function(easing) {
+
+    if (typeof easing === "function") {
+        return easing;
+    }
+
+    if (typeof easing !== "string") {
+        throw new Error("Easing must be a function or a string, got " + easing);
+    }
+
+    if (Easing.curves.hasOwnProperty(easing)) {
+        return Easing.curves[easing];
+    }
+
+    if (Easing.parsed.hasOwnProperty(easing)) {
+        return Easing.parsed[easing];
+    }
+
+    var bezierMatch = /^cubic-bezier\(([^)]*)\)$/.exec(easing.replace(/\s/g, ""));
+    if (bezierMatch) {
+        var points = bezierMatch[1].split(",").map(parseFloat);
+
+        if (points.length !== 4 || points.some(isNaN)) {
+            throw new Error("cubic-bezier() needs four numbers, got '" + easing + "'");
+        }
+
+        Easing.parsed[easing] = Easing.cubicBezier(points[0], points[1], points[2], points[3]);
+        return Easing.parsed[easing];
+    }
+
+    var stepsMatch = /^steps\((\d+)(?:,(start|end|jump-start|jump-end|jump-none|jump-both))?\)$/.exec(easing.replace(/\s/g, ""));
+    if (stepsMatch) {
+        Easing.parsed[easing] = Easing.steps(parseInt(stepsMatch[1], 10), stepsMatch[2]);
+        return Easing.parsed[easing];
+    }
+
+    throw new Error("Unknown easing '" + easing + "'");
+};
+
+/**
+Finds the name an easing function can be looked up by, the reverse of Easing.get.
+@param {function} easingFunction - Curve to name.
+
+@return {string} the registered name or cubic-bezier()/steps() string, null for unnamed curves
+*/
+Easing.nameOf = function(easingFunction) {
+    var name;
+
+    for (name in Easing.curves) {
+        if (Easing.curves[name] === easingFunction) {
+            return name;
+        }
+    }
+
+    for (name in Easing.parsed) {
+        if (Easing.parsed[name] === easingFunction) {
+            return name;
+        }
+    }
+
+    return null;
+};
+
+/**
+Builds a curve equivalent to CSS cubic-bezier(x1, y1, x2, y2). The curve runs
+from (0, 0) to (1, 1) with the two given control points.
+@param {double} x1 - X of the first control point, between 0 and 1.
+@param {double} y1 - Y of the first control point.
+@param {double} x2 - X of the second control point, between 0 and 1.
+@param {double} y2 - Y of the second control point.
+
+@return {function} easing function, with the control points as [x1, y1, x2, y2] in its controlPoints
+*/
+Easing.cubicBezier = function(x1, y1, x2, y2) {
+
+    var NEWTON_ITERATIONS = 8;
+    var SUBDIVISION_ITERATIONS = 20;
+    var EPSILON = 1e-6;
+
+    if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) {
+        throw new Error("cubic-bezier() x values must be between 0 and 1");
+    }
+
+    // Polynomial coefficients of one axis of the bezier
+    var coefficients = function(p1, p2) {
+        var c = 3 * p1;
+        var b = 3 * (p2 - p1) - c;
+        var a = 1 - c - b;
+        return [a, b, c];
+    };
+
+    var cx = coefficients(x1, x2);
+    var cy = coefficients(y1, y2);
+
+    var sample = function(k, t) {
+        return ((k[0] * t + k[1]) * t + k[2]) * t;
+    };
+
+    var sampleSlope = function(k, t) {
+        return (3 * k[0] * t + 2 * k[1]) * t + k[2];
+    };
+
+    // Finds the curve parameter whose x equals the given x
+    var solveForX = function(x) {
+        var t = x;
+        var i;
+
+        // Newton-Raphson converges quickly for most curves
+        for (i = 0; i < NEWTON_ITERATIONS; i++) {
+            var error = sample(cx, t) - x;
+            var slope = sampleSlope(cx, t);
+
+            if (Math.abs(error) < EPSILON) {
+                return t;
+            }
+            if (Math.abs(slope) < EPSILON) {
+                break;
+            }
+            t -= error / slope;
+        }
+
+        // Fall back to bisection when the slope is too flat
+        var low = 0;
+        var high = 1;
+        t = x;
+        for (i = 0; i < SUBDIVISION_ITERATIONS; i++) {
+            var current = sample(cx, t);
+
+            if (Math.abs(current - x) < EPSILON) {
+                return t;
+            }
+            if (current < x) {
+                low = t;
+            } else {
+                high = t;
+            }
+            t = (low + high) / 2;
+        }
+
+        return t;
+    };
+
+    var curve = function(percentage) {
+        if (percentage <= 0) {
+            return 0;
+        }
+        if (percentage >= 1) {
+            return 1;
+        }
+        return sample(cy, solveForX(percentage));
+    };
+
+    // Kept so the curve can be turned back into cubic-bezier(), e.g. to reverse it
+    curve.controlPoints = [x1, y1, x2, y2];
+
+    return curve;
+};
+
+/**
+Builds a curve equivalent to CSS steps(n, position), jumping between n
+discrete values instead of changing smoothly.
+@param {int} numberOfSteps - Number of equal intervals.
+@param {string} position   - "end" (default) or "jump-end" holds each value until the end
+                             of its interval, "start" or "jump-start" jumps at its beginning,
+                             "jump-both" does both, and "jump-none" does neither, holding 0
+                             for the first interval and 1 for the last.
+
+@return {function} easing function
+*/
+Easing.steps = function(numberOfSteps, position) {
+    position = position || "end";
+
+    if (["start", "end", "jump-start", "jump-end", "jump-none", "jump-both"].indexOf(position) === -1) {
+        throw new Error("Unknown steps() position '" + position + "', expected start, end, jump-start, " +
+                        "jump-end, jump-none or jump-both");
+    }
+    if (!(numberOfSteps >= 1) || (position === "jump-none" && numberOfSteps < 2)) {
+        throw new Error("steps() needs at least " + (position === "jump-none" ? "two steps" : "one step"));
+    }
+
+    var jumpAtStart = position === "start" || position === "jump-start" || position === "jump-both";
+
+    // Number of jumps between 0 and 1
+    var jumps = numberOfSteps;
+    if (position === "jump-both") {
+        jumps++;
+    } else if (position === "jump-none") {
+        jumps--;
+    }
+
+    return function(percentage) {
+        if (percentage >= 1) {
+            return 1;
+        }
+        if (percentage < 0) {
+            return 0;
+        }
+
+        var step = Math.floor(percentage * numberOfSteps);
+        if (jumpAtStart) {
+            step++;
+        }
+
+        return Math.min(step / jumps, 1);
+    };
+};
+
+// Robert Penner's easing equations, expressed over completion (0 to 1)
+(function() {
+
+    var BACK_OVERSHOOT = 1.70158;
+    var BACK_OVERSHOOT_IN_OUT = BACK_OVERSHOOT * 1.525;
+    var ELASTIC_PERIOD = (2 * Math.PI) / 3;
+    var ELASTIC_PERIOD_IN_OUT = (2 * Math.PI) / 4.5;
+
+    var bounceOut = function(t) {
+        var n = 7.5625;
+        var d = 2.75;
+
+        if (t < 1 / d) {
+            return n * t * t;
+        } else if (t < 2 / d) {
+            t -= 1.5 / d;
+            return n * t * t + 0.75;
+        } else if (t < 2.5 / d) {
+            t -= 2.25 / d;
+            return n * t * t + 0.9375;
+        }
+        t -= 2.625 / d;
+        return n * t * t + 0.984375;
+    };
+
+    // Registers In, Out and InOut variants from a single ease-in curve
+    var registerFamily = function(name, easeIn) {
+        var easeOut = function(t) {
+            return 1 - easeIn(1 - t);
+        };
+
+        Easing.register("easeIn" + name, easeIn);
+        Easing.register("easeOut" + name, easeOut);
+        Easing.register("easeInOut" + name, function(t) {
+            return t < 0.5 ? easeIn(t * 2) / 2 : 1 - easeIn((1 - t) * 2) / 2;
+        });
+    };
+
+    Easing.register("linear", function(t) {
+        return t;
+    });
+
+    registerFamily("Quad", function(t) {
+        return Math.pow(t, 2);
+    });
+
+    registerFamily("Cubic", function(t) {
+        return Math.pow(t, 3);
+    });
+
+    registerFamily("Quart", function(t) {
+        return Math.pow(t, 4);
+    });
+
+    registerFamily("Quint", function(t) {
+        return Math.pow(t, 5);
+    });
+
+    registerFamily("Sine", function(t) {
+        return 1 - Math.cos((t * Math.PI) / 2);
+    });
+
+    registerFamily("Expo", function(t) {
+        return t === 0 ? 0 : Math.pow(2, 10 * t - 10);
+    });
+
+    registerFamily("Circ", function(t) {
+        return 1 - Math.sqrt(1 - Math.pow(t, 2));
+    });
+
+    registerFamily("Bounce", function(t) {
+        return 1 - bounceOut(1 - t);
+    });
+
+    // Back and elastic have their own in-out forms
+    Easing.register("easeInBack", function(t) {
+        return (BACK_OVERSHOOT + 1) * t * t * t - BACK_OVERSHOOT * t * t;
+    });
+    Easing.register("easeOutBack", function(t) {
+        t -= 1;
+        return 1 + (BACK_OVERSHOOT + 1) * t * t * t + BACK_OVERSHOOT * t * t;
+    });
+    Easing.register("easeInOutBack", function(t) {
+        if (t < 0.5) {
+            return (Math.pow(2 * t, 2) * ((BACK_OVERSHOOT_IN_OUT + 1) * 2 * t - BACK_OVERSHOOT_IN_OUT)) / 2;
+        }
+        return (Math.pow(2 * t - 2, 2) *
+                ((BACK_OVERSHOOT_IN_OUT + 1) * (t * 2 - 2) + BACK_OVERSHOOT_IN_OUT) + 2) / 2;
+    });
+
+    Easing.register("easeInElastic", function(t) {
+        if (t === 0 || t === 1) {
+            return t;
+        }
+        return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * ELASTIC_PERIOD);
+    });
+    Easing.register("easeOutElastic", function(t) {
+        if (t === 0 || t === 1) {
+            return t;
+        }
+        return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * ELASTIC_PERIOD) + 1;
+    });
+    Easing.register("easeInOutElastic", function(t) {
+        if (t === 0 || t === 1) {
+            return t;
+        }
+        if (t < 0.5) {
+            return -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * ELASTIC_PERIOD_IN_OUT)) / 2;
+        }
+        return (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * ELASTIC_PERIOD_IN_OUT)) / 2 + 1;
+    });
+
+    // CSS keywords
+    Easing.register("ease", Easing.cubicBezier(0.25, 0.1, 0.25, 1));
+    Easing.register("ease-in", Easing.cubicBezier(0.42, 0, 1, 1));
+    Easing.register("ease-out", Easing.cubicBezier(0, 0, 0.58, 1));
+    Easing.register("ease-in-out", Easing.cubicBezier(0.42, 0, 0.58, 1));
+})();
+
+//////////////////////////////////////////////////////
+// TIMING
+//////////////////////////////////////////////////////
+
+// RealTimeClock
+/**
+Clock reading the time elapsed since the sketch started.
+All animation timing goes through a clock so that it can be swapped out.
+*/
+var RealTimeClock = function() {};
+
+/**
+@return {double} Milliseconds since the sketch started
+*/
+RealTimeClock.prototype.now = function() {
+    return millis();
+};
+
+// ManualClock
+/**
+Clock that only moves when told to, for stepping animations deterministically
+(tests, fixed-frame rendering) without a live sketch.
+@param {double} startTime - Initial time in milliseconds. Defaults to 0.
+*/
+var ManualClock = function(startTime) {
+    this.time = startTime || 0;
+};
+
+/**
+@return {double} Current time of the clock in milliseconds
+*/
+ManualClock.prototype.now = function() {
+    return this.time;
+};
+
+/**
+Moves the clock forward.
+@param {double} milliseconds - Time to move forward by.
+*/
+ManualClock.prototype.advance = function(milliseconds) {
+    this.time += milliseconds;
+};
+
+/**
+Jumps the clock to a given time.
+@param {double} time - New time of the clock in milliseconds.
+*/
+ManualClock.prototype.set = function(time) {
+    this.time = time;
+};
+
+// Clock used by every animatable that has not been given its own
+var animationClock = new RealTimeClock();
+
+/**
+Replaces the default clock used for animation timing.
+@param {object} clock - Any object with a now() method returning milliseconds.
+*/
+var setAnimationClock = function(clock) {
+    animationClock = clock;
+};
+
+// Ticker
+/**
+Advances every running animation once per frame. Shapes hand the animations
+they play to the ticker, so they keep moving whether or not the shape is drawn,
+and drawing only has to draw. Call tick() once at the start of each frame:
+
+    draw = function() {
+        animationTicker.tick();
+        background(255, 255, 255);
+        shape.draw();
+    };
+
+Entries the ticker keeps for each animation are pooled, so starting and finishing
+thousands of tweens a frame does not create garbage for the ticker itself.
+*/
+var Ticker = function() {
     
-    this.width = shapeWidth;
-    this.height = shapeHeight;
+    // Running animations as {animation, owner, isRemoved}, in the order they were started
+    this.entries = [];
+    this.removedCount = 0;
     
-    this.animationTween = new Animation(0, millis(), x, y, x, y);
-    this.animationStretch = new Animation(0, millis(), width, height, width, height);
-    this.animationShrink = new Animation(0, millis(), width, height, width, height);
+    // Entries dropped from the list, ready to be reused by add()
+    this.entryPool = [];
 };
 
 /**
-Tweens the shape to a destination within number of seconds.
-@param {int} finalX      - X position where the shape stops animating.
-@param {int} finalY      - Y position where the shape stops animating.
-@param {double} duration - Number of seconds till the animation has finished.
+Starts advancing an animation each tick.
+@param {Playback} animation - Animation, timeline, etc. to advance.
+@param {object} owner       - Shape it runs on, whose now() gives its time and whose stop() is called once it finishes.
 */
-AnimatableShape.prototype.tween = function(finalX, finalY, duration) {
+Ticker.prototype.add = function(animation, owner) {
+    this.remove(animation);
     
-    var startPos = PVector(this.x, this.y);
-    var finalPos = PVector(finalX, finalY);
+    var entry = this.entryPool.pop() || {};
+    entry.animation = animation;
+    entry.owner = owner;
+    entry.isRemoved = false;
     
-    this.animationTween = new Animation(duration, millis(), finalX, finalY, this.x, this.y);
-    this.animationTween.isAnimating = true;
+    animation.tickerEntry = entry;
+    this.entries.push(entry);
 };
 
 /**
-Stretches the shape to a given scale then shrinks back to the original size
-in succession.
-@param {double} maxScale - Maximum scale of the shape to stretch to.
-@param {double} duration - Number of seconds till the animation has finished.
+Stops advancing an animation. It is dropped from the list on the next tick.
+@param {Playback} animation - Animation to stop advancing.
 */
-AnimatableShape.prototype.stretchIn = function(maxScale, duration) {
+Ticker.prototype.remove = function(animation) {
+    var entry = animation.tickerEntry;
+    
+    if (entry && !entry.isRemoved) {
+        entry.isRemoved = true;
+        this.removedCount++;
+    }
+    animation.tickerEntry = null;
+};
 
-    if (maxScale < 1.0){
-        maxScale = 1;
+/**
+@return {int} the number of animations being advanced
+*/
+Ticker.prototype.getCount = function() {
+    return this.entries.length - this.removedCount;
+};
+
+/**
+Advances every animation to the current time, reading each clock once, and
+stops the ones that have finished.
+*/
+Ticker.prototype.tick = function() {
+    
+    // Animations added while ticking start from now, so only the current ones run
+    var entries = this.entries;
+    var count = entries.length;
+    var clocks = [];
+    var times = [];
+    
+    for (var i = 0; i < count; i++) {
+        var entry = entries[i];
+        
+        if (entry.isRemoved) {
+            continue;
+        }
+        
+        var clock = entry.owner.clock || animationClock;
+        var clockIndex = clocks.indexOf(clock);
+        
+        if (clockIndex === -1) {
+            clockIndex = clocks.push(clock) - 1;
+            times.push(clock.now());
+        }
+        
+        if (!entry.animation.update(times[clockIndex])) {
+            entry.owner.stop(entry.animation);
+        }
     }
     
-    var totalScaleChange = (maxScale + maxScale - 1);
-    var durationOfStretch = (maxScale/ totalScaleChange) * duration;
+    if (this.removedCount > 0) {
+        this.compact();
+    }
+};
+
+/**
+Drops removed entries from the list in place, returning them to the pool.
+*/
+Ticker.prototype.compact = function() {
+    var entries = this.entries;
+    var kept = 0;
     
-    // Animation for stretching to 'maxScale' of the shape
-    this.animationStretch = new Animation(durationOfStretch, 
-                                                   millis(), 
-                                                   maxScale * this.width,  
-                                                   maxScale* this.height, 
-                                                   0, 
-                                                   0);
-    this.animationStretch.isAnimating = true;
+    for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i];
+        
+        if (entry.isRemoved) {
+            entry.animation = null;
+            entry.owner = null;
+            this.entryPool.push(entry);
+        } else {
+            entries[kept++] = entry;
+        }
+    }
     
-    // Animation for shrinking to the original size of the shap 
-    this.animationShrink = new Animation(duration - durationOfStretch, 
-                                        millis(), 
-                                        this.width, 
-                                        this.height, 
-                                        maxScale * this.width, 
-                                        maxScale* this.height);
+    entries.length = kept;
+    this.removedCount = 0;
 };
 
+// Ticker every shape hands its animations to
+var animationTicker = new Ticker();
+
+//////////////////////////////////////////////////////
+// COLOUR
+//////////////////////////////////////////////////////
+
+// Colour
 /**
-Applies a quadratic function to represent a distance and provides a vector based on time passed 
-and given duration
- 
-@param {double} time - Time passed in same format as duration.
-@param {double} duration - Time alloted to cover the distance.
-@param {double} distance - Magnitude of change.
-@param {double} positon  - Initial starting position.
+Helpers for colours stored as [red, green, blue, alpha] arrays with
+channels from 0 to 255, the same form Button uses for its colours.
 
-@return {double} position represented by a quadratic equation based on time passed and 
-given duration 
+Colours can be interpolated in one of these spaces:
+    "rgb"   - straight blend of each channel
+    "hsb"   - hue, saturation and brightness, taking the short way round the hue wheel
+    "oklab" - perceptual, keeps lightness even and avoids muddy midpoints
 */
-AnimatableShape.prototype.calculateEaseIn = function(time, duration, distance, position) {
+var Colour = {};
+
+/**
+Reads a colour given as [r, g, b], [r, g, b, a], "#rgb", "#rrggbb", "#rrggbbaa"
+or a Processing color() value.
+@param {Array|string|int} value - Colour to read.
+
+@return {Array} the colour as [r, g, b, a]
+*/
+Colour.parse = function(value) {
     
-    // Percentage of animation completion
-    var percentage = time/duration;
+    if (Array.isArray(value) && (value.length === 3 || value.length === 4)) {
+        return [value[0], value[1], value[2], value.length === 4 ? value[3] : 255];
+    }
     
-    if (percentage > 1) {
-        percentage = 1;
+    if (typeof value === "number") {
+        return [(value >>> 16) & 255, (value >>> 8) & 255, value & 255, (value >>> 24) & 255];
+    }
+    
+    if (typeof value === "string" && /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value)) {
+        var hex = value.substring(1);
+        
+        if (hex.length === 3) {
+            hex = hex.replace(/(.)/g, "$1$1");
+        }
+        if (hex.length === 6) {
+            hex += "ff";
+        }
+        
+        return [0, 2, 4, 6].map(function(start) {
+            return parseInt(hex.substring(start, start + 2), 16);
+        });
+    }
+    
+    throw new Error("Cannot read colour " + value);
+};
+
+/**
+@param {Array} rgb - Colour as [r, g, b, a].
+
+@return {Array} the colour as [hue (0 to 360), saturation (0 to 1), brightness (0 to 1), a]
+*/
+Colour.toHSB = function(rgb) {
+    var r = rgb[0] / 255;
+    var g = rgb[1] / 255;
+    var b = rgb[2] / 255;
+    var max = Math.max(r, g, b);
+    var range = max - Math.min(r, g, b);
+    var hue = 0;
+    
+    if (range > 0) {
+        if (max === r) {
+            hue = ((g - b) / range) % 6;
+        } else if (max === g) {
+            hue = (b - r) / range + 2;
+        } else {
+            hue = (r - g) / range + 4;
+        }
+        hue = (hue * 60 + 360) % 360;
     }
+    
+    return [hue, max > 0 ? range / max : 0, max, rgb[3]];
+};
+
+/**
+@param {Array} hsb - Colour as [hue (0 to 360), saturation (0 to 1), brightness (0 to 1), a].
+
+@return {Array} the colour as [r, g, b, a]
+*/
+Colour.fromHSB = function(hsb) {
+    var hue = ((hsb[0] % 360) + 360) % 360 / 60;
+    var chroma = hsb[2] * hsb[1];
+    var second = chroma * (1 - Math.abs((hue % 2) - 1));
+    var sector = Math.floor(hue);
+    var channels = [
+        [chroma, second, 0],
+        [second, chroma, 0],
+        [0, chroma, second],
+        [0, second, chroma],
+        [second, 0, chroma],
+        [chroma, 0, second]
+    ][sector % 6];
+    var lightest = hsb[2] - chroma;
+    
+    return [(channels[0] + lightest) * 255, 
+            (channels[1] + lightest) * 255, 
+            (channels[2] + lightest) * 255, 
+            hsb[3]];
+};
+
+/**
+@param {Array} rgb - Colour as [r, g, b, a].
+
+@return {Array} the colour as [L, a, b, alpha] in the Oklab space
+*/
+Colour.toOklab = function(rgb) {
+    var linear = rgb.slice(0, 3).map(function(channel) {
+        channel /= 255;
+        return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    
+    var l = Math.pow(0.4122214708 * linear[0] + 0.5363325363 * linear[1] + 0.0514459929 * linear[2], 1 / 3);
+    var m = Math.pow(0.2119034982 * linear[0] + 0.6806995451 * linear[1] + 0.1073969566 * linear[2], 1 / 3);
+    var s = Math.pow(0.0883024619 * linear[0] + 0.2817188376 * linear[1] + 0.6299787005 * linear[2], 1 / 3);
+    
+    return [0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+            rgb[3]];
+};
+
+/**
+@param {Array} lab - Colour as [L, a, b, alpha] in the Oklab space.
+
+@return {Array} the colour as [r, g, b, a]
+*/
+Colour.fromOklab = function(lab) {
+    var l = Math.pow(lab[0] + 0.3963377774 * lab[1] + 0.2158037573 * lab[2], 3);
+    var m = Math.pow(lab[0] - 0.1055613458 * lab[1] - 0.0638541728 * lab[2], 3);
+    var s = Math.pow(lab[0] - 0.0894841775 * lab[1] - 1.2914855480 * lab[2], 3);
+    
+    var linear = [4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+                  -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+                  -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s];
+    
+    var rgb = linear.map(function(channel) {
+        channel = Math.max(0, Math.min(channel, 1));
+        channel = channel <= 0.0031308 ? channel * 12.92 : 1.055 * Math.pow(channel, 1 / 2.4) - 0.055;
+        return channel * 255;
+    });
+    
+    rgb.push(lab[3]);
+    return rgb;
+};
 
-    return position + distance * Math.pow(percentage, 2);
+/**
+Blends two colours.
+@param {Array} from      - Colour at 0, as [r, g, b, a].
+@param {Array} to        - Colour at 1, as [r, g, b, a].
+@param {double} amount   - How far to blend, usually 0 to 1.
+@param {string} space    - "rgb" (default), "hsb" or "oklab", see Colour.
+
+@return {Array} the blended colour as [r, g, b, a]
+*/
+Colour.interpolate = function(from, to, amount, space) {
+    var mix = function(a, b) {
+        return a + (b - a) * amount;
+    };
+    
+    if (!space || space === "rgb") {
+        return [mix(from[0], to[0]), mix(from[1], to[1]), mix(from[2], to[2]), mix(from[3], to[3])];
+    }
+    
+    if (space === "hsb") {
+        var start = Colour.toHSB(from);
+        var end = Colour.toHSB(to);
+        
+        // Greys have no hue of their own, so borrow the other colour's
+        if (start[1] === 0) {
+            start[0] = end[0];
+        }
+        if (end[1] === 0) {
+            end[0] = start[0];
+        }
+        
+        var hueChange = ((end[0] - start[0] + 540) % 360) - 180;
+        
+        return Colour.fromHSB([start[0] + hueChange * amount, 
+                               mix(start[1], end[1]), 
+                               mix(start[2], end[2]), 
+                               mix(start[3], end[3])]);
+    }
+    
+    if (space === "oklab") {
+        var startLab = Colour.toOklab(from);
+        var endLab = Colour.toOklab(to);
+        
+        return Colour.fromOklab([mix(startLab[0], endLab[0]), 
+                                 mix(startLab[1], endLab[1]), 
+                                 mix(startLab[2], endLab[2]), 
+                                 mix(startLab[3], endLab[3])]);
+    }
+    
+    throw new Error("Unknown colour space '" + space + "', expected rgb, hsb or oklab");
+};
+
+//////////////////////////////////////////////////////
+// MOTION PATHS
+//////////////////////////////////////////////////////
+
+// MotionPath
+/**
+Base for paths a shape can travel along. Subclasses implement getRawPoint(u),
+the point at a parameter u from 0 to 1, and may override getSampleParameters().
+
+Raw parameters rarely move at an even speed, so the path is measured once into
+a table of lengths and points are looked up by distance travelled instead.
+Angles are in degrees, clockwise from the positive x axis, as rotate() takes them.
+*/
+var MotionPath = function() {
+    this.sampleParameters = null;
+    this.sampleLengths = null;
+    this.totalLength = 0;
+};
+
+// Number of pieces curved paths are measured in
+MotionPath.SAMPLES = 100;
+
+/**
+Reads a point given as a PVector, {x, y} or [x, y].
+@param {object|Array} point - Point to read.
+
+@return {object} the point as {x, y}
+*/
+MotionPath.toPoint = function(point) {
+    if (Array.isArray(point)) {
+        return { x: point[0], y: point[1] };
+    }
+    return { x: point.x, y: point.y };
+};
+
+/**
+@return {Array} Raw parameters to measure the path at, in increasing order from 0 to 1
+*/
+MotionPath.prototype.getSampleParameters = function() {
+    var parameters = [];
+    
+    for (var i = 0; i <= MotionPath.SAMPLES; i++) {
+        parameters.push(i / MotionPath.SAMPLES);
+    }
+    
+    return parameters;
+};
+
+/**
+Builds the table of lengths travelled at each sample parameter.
+*/
+MotionPath.prototype.measure = function() {
+    this.sampleParameters = this.getSampleParameters();
+    this.sampleLengths = [0];
+    
+    var previous = this.getRawPoint(this.sampleParameters[0]);
+    
+    for (var i = 1; i < this.sampleParameters.length; i++) {
+        var point = this.getRawPoint(this.sampleParameters[i]);
+        
+        this.sampleLengths.push(this.sampleLengths[i - 1] + 
+                                Math.sqrt(Math.pow(point.x - previous.x, 2) + Math.pow(point.y - previous.y, 2)));
+        previous = point;
+    }
+    
+    this.totalLength = this.sampleLengths[this.sampleLengths.length - 1];
+};
+
+/**
+@return {double} Length of the whole path
+*/
+MotionPath.prototype.getLength = function() {
+    if (!this.sampleLengths) {
+        this.measure();
+    }
+    return this.totalLength;
+};
+
+/**
+Finds the raw parameter at which a given distance along the path is reached.
+@param {double} distance - Distance from the start of the path.
+
+@return {double} raw parameter from 0 to 1
+*/
+MotionPath.prototype.getParameterAtLength = function(distance) {
+    var lengths = this.sampleLengths;
+    var parameters = this.sampleParameters;
+    
+    if (distance <= 0 || this.totalLength === 0) {
+        return parameters[0];
+    }
+    if (distance >= this.totalLength) {
+        return parameters[parameters.length - 1];
+    }
+    
+    // Binary search for the sample just before the distance
+    var low = 0;
+    var high = lengths.length - 1;
+    
+    while (high - low > 1) {
+        var middle = Math.floor((low + high) / 2);
+        
+        if (lengths[middle] <= distance) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    
+    var fraction = (distance - lengths[low]) / (lengths[high] - lengths[low]);
+    
+    return parameters[low] + (parameters[high] - parameters[low]) * fraction;
+};
+
+/**
+Finds where along the path a given share of its length has been travelled.
+@param {double} progress - 0 for the start of the path, 1 for the end.
+
+@return {object} the point as {x, y, angle}, angle being the direction of travel in degrees
+*/
+MotionPath.prototype.getPointAtProgress = function(progress) {
+    
+    // Lengths either side used to find the direction of travel
+    var DIRECTION_SPREAD = 0.5;
+    
+    var length = this.getLength();
+    var distance = progress * length;
+    var point = this.getRawPoint(this.getParameterAtLength(distance));
+    
+    var behind = this.getRawPoint(this.getParameterAtLength(Math.min(distance, length - DIRECTION_SPREAD) - DIRECTION_SPREAD));
+    var ahead = this.getRawPoint(this.getParameterAtLength(Math.max(distance, DIRECTION_SPREAD) + DIRECTION_SPREAD));
+    
+    return {
+        x: point.x,
+        y: point.y,
+        angle: Math.atan2(ahead.y - behind.y, ahead.x - behind.x) * 180 / Math.PI
+    };
+};
+
+// BezierPath
+/**
+A quadratic (3 points) or cubic (4 points) Bézier curve.
+@param {Array} points - Start point, control point(s) and end point, see MotionPath.toPoint.
+*/
+var BezierPath = function(points) {
+    MotionPath.call(this);
+    
+    if (points.length !== 3 && points.length !== 4) {
+        throw new Error("A Bezier path needs 3 (quadratic) or 4 (cubic) points, got " + points.length);
+    }
+    
+    this.points = points.map(MotionPath.toPoint);
+};
+
+// Inherit from MotionPath
+BezierPath.prototype = Object.create(MotionPath.prototype);
+
+/**
+@param {double} u - Curve parameter from 0 to 1.
+
+@return {object} the point on the curve as {x, y}
+*/
+BezierPath.prototype.getRawPoint = function(u) {
+    var p = this.points;
+    var v = 1 - u;
+    var weights;
+    
+    if (p.length === 3) {
+        weights = [v * v, 2 * v * u, u * u];
+    } else {
+        weights = [v * v * v, 3 * v * v * u, 3 * v * u * u, u * u * u];
+    }
+    
+    var point = { x: 0, y: 0 };
+    for (var i = 0; i < p.length; i++) {
+        point.x += p[i].x * weights[i];
+        point.y += p[i].y * weights[i];
+    }
+    
+    return point;
+};
+
+// PolylinePath
+/**
+Straight lines joining a list of points in order.
+@param {Array} points - At least two points, see MotionPath.toPoint.
+*/
+var PolylinePath = function(points) {
+    MotionPath.call(this);
+    
+    if (points.length < 2) {
+        throw new Error("A polyline path needs at least 2 points, got " + points.length);
+    }
+    
+    this.points = points.map(MotionPath.toPoint);
+};
+
+// Inherit from MotionPath
+PolylinePath.prototype = Object.create(MotionPath.prototype);
+
+/**
+@return {Array} The parameter of every corner, which measures the lines exactly
+*/
+PolylinePath.prototype.getSampleParameters = function() {
+    var parameters = [];
+    var segments = this.points.length - 1;
+    
+    for (var i = 0; i <= segments; i++) {
+        parameters.push(i / segments);
+    }
+    
+    return parameters;
+};
+
+/**
+@param {double} u - Parameter from 0 to 1, each line taking an equal share.
+
+@return {object} the point on the lines as {x, y}
+*/
+PolylinePath.prototype.getRawPoint = function(u) {
+    var segments = this.points.length - 1;
+    var index = Math.min(Math.floor(u * segments), segments - 1);
+    var fraction = u * segments - index;
+    var from = this.points[index];
+    var to = this.points[index + 1];
+    
+    return {
+        x: from.x + (to.x - from.x) * fraction,
+        y: from.y + (to.y - from.y) * fraction
+    };
+};
+
+// ArcPath
+/**
+Part of a circle. Angles are in degrees, clockwise from the positive x axis,
+and the arc runs from startAngle to endAngle, so it turns anticlockwise when
+endAngle is smaller.
+@param {int} centreX       - X position of the centre of the circle.
+@param {int} centreY       - Y position of the centre of the circle.
+@param {double} radius     - Radius of the circle.
+@param {double} startAngle - Angle the arc starts at.
+@param {double} endAngle   - Angle the arc ends at.
+*/
+var ArcPath = function(centreX, centreY, radius, startAngle, endAngle) {
+    MotionPath.call(this);
+    
+    this.centreX = centreX;
+    this.centreY = centreY;
+    this.radius = radius;
+    this.startAngle = startAngle;
+    this.endAngle = endAngle;
+};
+
+// Inherit from MotionPath
+ArcPath.prototype = Object.create(MotionPath.prototype);
+
+/**
+@param {double} u - Parameter from 0 to 1, evenly spread along the arc.
+
+@return {object} the point on the arc as {x, y}
+*/
+ArcPath.prototype.getRawPoint = function(u) {
+    var angle = (this.startAngle + (this.endAngle - this.startAngle) * u) * Math.PI / 180;
+    
+    return {
+        x: this.centreX + this.radius * Math.cos(angle),
+        y: this.centreY + this.radius * Math.sin(angle)
+    };
+};
+
+//////////////////////////////////////////////////////
+// RENDERING
+//////////////////////////////////////////////////////
+
+// Matrix
+/**
+2D affine transforms as [a, b, c, d, e, f], the same order as the canvas
+transform(), mapping (x, y) to (a*x + c*y + e, b*x + d*y + f).
+Angles are in degrees clockwise, as rotate() takes them.
+*/
+var Matrix = {};
+
+Matrix.identity = function() {
+    return [1, 0, 0, 1, 0, 0];
+};
+
+Matrix.translation = function(x, y) {
+    return [1, 0, 0, 1, x, y];
+};
+
+Matrix.rotation = function(degrees) {
+    var radians = degrees * Math.PI / 180;
+    return [Math.cos(radians), Math.sin(radians), -Math.sin(radians), Math.cos(radians), 0, 0];
+};
+
+Matrix.scaling = function(x, y) {
+    return [x, 0, 0, y, 0, 0];
+};
+
+Matrix.skewing = function(xDegrees, yDegrees) {
+    return [1, Math.tan(yDegrees * Math.PI / 180), Math.tan(xDegrees * Math.PI / 180), 1, 0, 0];
+};
+
+/**
+@param {Array} m - Transform applied last.
+@param {Array} n - Transform applied first.
+
+@return {Array} the transform applying n then m
+*/
+Matrix.multiply = function(m, n) {
+    return [m[0] * n[0] + m[2] * n[1],
+            m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3],
+            m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4],
+            m[1] * n[4] + m[3] * n[5] + m[5]];
+};
+
+/**
+@param {Array} m - Transforms, applied last to first.
+
+@return {Array} all of the transforms combined
+*/
+Matrix.compose = function() {
+    var result = Matrix.identity();
+    
+    for (var i = 0; i < arguments.length; i++) {
+        result = Matrix.multiply(result, arguments[i]);
+    }
+    
+    return result;
+};
+
+/**
+@param {Array} m - Transform to undo.
+
+@return {Array} the transform undoing m, null if m flattens everything onto a line
+*/
+Matrix.invert = function(m) {
+    var determinant = m[0] * m[3] - m[1] * m[2];
+    
+    if (Math.abs(determinant) < 1e-12) {
+        return null;
+    }
+    
+    return [m[3] / determinant,
+            -m[1] / determinant,
+            -m[2] / determinant,
+            m[0] / determinant,
+            (m[2] * m[5] - m[3] * m[4]) / determinant,
+            (m[1] * m[4] - m[0] * m[5]) / determinant];
+};
+
+/**
+@param {Array} m  - Transform to apply.
+@param {double} x - X position of the point.
+@param {double} y - Y position of the point.
+
+@return {object} the transformed point as {x, y}
+*/
+Matrix.apply = function(m, x, y) {
+    return { x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] };
+};
+
+// Renderers
+/**
+Everything draws through a renderer rather than calling Processing directly,
+so shapes and UI can be drawn outside Khan Academy. A renderer is any object with:
+
+    save(), restore()                  - Push and pop the transform, style, opacity and clipping
+    translate(x, y), rotate(degrees), scale(x, y), transform(a, b, c, d, e, f)
+                                       - Transform everything drawn after, see Matrix
+    setFill(colour), setStroke(colour, weight)
+                                       - Colours as [r, g, b] or [r, g, b, a], null for none
+    clear(colour)                      - Fill the whole drawing with a colour
+    applyOpacity(opacity)              - Fade everything drawn after by an opacity from 0 to 1
+    clipRect(x, y, width, height), clipEllipse(x, y, width, height)
+                                       - Only draw inside the rectangle or ellipse (centred on
+                                         (x, y)) from now on. See ProcessingRenderer for its limits.
+    ellipse(x, y, width, height)       - Ellipse centred on (x, y)
+    rect(x, y, width, height, radius)  - Rectangle from its top left corner
+    polygon(points, isClosed)          - Shape through points given as [x, y]
+    line(x1, y1, x2, y2)               - Line, drawn with the stroke only
+    image(image, x, y, width, height, opacity)
+                                       - Image from its top left corner, opacity from 0 to 1
+    text(string, x, y, size)           - Text from its top left corner
+    measureText(string, size)          - Width of the text in pixels
+
+Rotation is in degrees clockwise, as rotate() takes it.
+*/
+
+/**
+@param {Array} colour - Colour as [r, g, b] or [r, g, b, a].
+
+@return {double} alpha of the colour from 0 to 255
+*/
+var alphaOf = function(colour) {
+    return colour.length > 3 ? colour[3] : 255;
+};
+
+// ProcessingRenderer
+/**
+Draws onto the sketch with the Processing.js globals.
+
+Processing.js has no clip(), so clipping goes through the 2D context of the
+sketch's canvas, which Processing transforms along with everything it draws.
+Without a context clipping does nothing, and everything is drawn unclipped.
+@param {CanvasRenderingContext2D} context - 2D context of the sketch's canvas. Defaults to externals.context.
+*/
+var ProcessingRenderer = function(context) {
+    this.context = context;
+    
+    // Processing has no global alpha, so it is kept here
+    this.opacity = 1;
+    this.opacities = [];
+};
+
+/**
+@return {CanvasRenderingContext2D} the 2D context clipping is set on, or null if there is none
+*/
+ProcessingRenderer.prototype.getContext = function() {
+    if (this.context === undefined) {
+        this.context = typeof externals !== "undefined" && externals.context ? externals.context : null;
+    }
+    return this.context;
+};
+
+ProcessingRenderer.prototype.save = function() {
+    pushMatrix();
+    pushStyle();
+    this.opacities.push(this.opacity);
+    
+    // Saved here too so the clip is undone however Processing keeps its matrix
+    var context = this.getContext();
+    if (context) {
+        context.save();
+    }
+};
+
+ProcessingRenderer.prototype.restore = function() {
+    var context = this.getContext();
+    if (context) {
+        context.restore();
+    }
+    
+    popStyle();
+    popMatrix();
+    
+    if (this.opacities.length > 0) {
+        this.opacity = this.opacities.pop();
+    }
+};
+
+ProcessingRenderer.prototype.translate = function(x, y) {
+    translate(x, y);
+};
+
+ProcessingRenderer.prototype.rotate = function(degrees) {
+    rotate(degrees);
+};
+
+ProcessingRenderer.prototype.scale = function(x, y) {
+    scale(x, y);
+};
+
+ProcessingRenderer.prototype.transform = function(a, b, c, d, e, f) {
+    applyMatrix(a, c, e, b, d, f);
+};
+
+ProcessingRenderer.prototype.setFill = function(colour) {
+    if (colour) {
+        fill(colour[0], colour[1], colour[2], alphaOf(colour) * this.opacity);
+    } else {
+        noFill();
+    }
+};
+
+ProcessingRenderer.prototype.setStroke = function(colour, weight) {
+    if (colour) {
+        stroke(colour[0], colour[1], colour[2], alphaOf(colour) * this.opacity);
+        strokeWeight(weight === undefined ? 1 : weight);
+    } else {
+        noStroke();
+    }
+};
+
+ProcessingRenderer.prototype.clear = function(colour) {
+    background(colour[0], colour[1], colour[2], alphaOf(colour));
+};
+
+ProcessingRenderer.prototype.applyOpacity = function(opacity) {
+    this.opacity *= opacity;
+};
+
+ProcessingRenderer.prototype.clipRect = function(x, y, rectWidth, rectHeight) {
+    var context = this.getContext();
+    
+    if (context) {
+        context.beginPath();
+        context.rect(x, y, rectWidth, rectHeight);
+        context.clip();
+    }
+};
+
+ProcessingRenderer.prototype.clipEllipse = function(x, y, ellipseWidth, ellipseHeight) {
+    var context = this.getContext();
+    
+    if (context) {
+        context.beginPath();
+        context.ellipse(x, y, Math.abs(ellipseWidth) / 2, Math.abs(ellipseHeight) / 2, 0, 0, Math.PI * 2);
+        context.clip();
+    }
+};
+
+ProcessingRenderer.prototype.ellipse = function(x, y, ellipseWidth, ellipseHeight) {
+    ellipse(x, y, ellipseWidth, ellipseHeight);
+};
+
+ProcessingRenderer.prototype.rect = function(x, y, rectWidth, rectHeight, radius) {
+    rect(x, y, rectWidth, rectHeight, radius || 0);
+};
+
+ProcessingRenderer.prototype.polygon = function(points, isClosed) {
+    beginShape();
+    for (var i = 0; i < points.length; i++) {
+        vertex(points[i][0], points[i][1]);
+    }
+    
+    if (isClosed) {
+        endShape(CLOSE);
+    } else {
+        endShape();
+    }
+};
+
+ProcessingRenderer.prototype.line = function(x1, y1, x2, y2) {
+    line(x1, y1, x2, y2);
+};
+
+ProcessingRenderer.prototype.image = function(picture, x, y, imageWidth, imageHeight, opacity) {
+    tint(255, 255 * (opacity === undefined ? 1 : opacity) * this.opacity);
+    image(picture, x, y, imageWidth, imageHeight);
+    noTint();
+};
+
+ProcessingRenderer.prototype.text = function(string, x, y, size) {
+    textSize(size);
+    textAlign(LEFT, TOP);
+    text(string, x, y);
+};
+
+ProcessingRenderer.prototype.measureText = function(string, size) {
+    textSize(size);
+    return textWidth(string);
+};
+
+// CanvasRenderer
+/**
+Draws onto an HTML canvas.
+@param {CanvasRenderingContext2D} context - 2D context of the canvas, from canvas.getContext("2d").
+@param {string} fontFamily               - Font text is drawn in. Defaults to "sans-serif".
+*/
+var CanvasRenderer = function(context, fontFamily) {
+    this.context = context;
+    this.fontFamily = fontFamily || "sans-serif";
+    
+    // Canvas fills and strokes are per call, so the current ones are kept here
+    this.style = { fill: [255, 255, 255, 255], stroke: [0, 0, 0, 255], strokeWeight: 1 };
+    this.styles = [];
+};
+
+/**
+@param {Array} colour - Colour as [r, g, b] or [r, g, b, a].
+
+@return {string} the colour as a CSS rgba() string
+*/
+CanvasRenderer.toCSSColour = function(colour) {
+    return "rgba(" + Math.round(colour[0]) + ", " + 
+                     Math.round(colour[1]) + ", " + 
+                     Math.round(colour[2]) + ", " + 
+                     (alphaOf(colour) / 255) + ")";
+};
+
+CanvasRenderer.prototype.save = function() {
+    this.context.save();
+    this.styles.push({ fill: this.style.fill, stroke: this.style.stroke, strokeWeight: this.style.strokeWeight });
+};
+
+CanvasRenderer.prototype.restore = function() {
+    this.context.restore();
+    this.style = this.styles.pop() || this.style;
+};
+
+CanvasRenderer.prototype.translate = function(x, y) {
+    this.context.translate(x, y);
+};
+
+CanvasRenderer.prototype.rotate = function(degrees) {
+    this.context.rotate(degrees * Math.PI / 180);
+};
+
+CanvasRenderer.prototype.scale = function(x, y) {
+    this.context.scale(x, y);
+};
+
+CanvasRenderer.prototype.transform = function(a, b, c, d, e, f) {
+    this.context.transform(a, b, c, d, e, f);
+};
+
+CanvasRenderer.prototype.setFill = function(colour) {
+    this.style.fill = colour;
+};
+
+CanvasRenderer.prototype.setStroke = function(colour, weight) {
+    this.style.stroke = colour;
+    this.style.strokeWeight = weight === undefined ? 1 : weight;
+};
+
+CanvasRenderer.prototype.clear = function(colour) {
+    var canvas = this.context.canvas;
+    
+    this.context.save();
+    this.context.setTransform(1, 0, 0, 1, 0, 0);
+    this.context.fillStyle = CanvasRenderer.toCSSColour(colour);
+    this.context.fillRect(0, 0, canvas.width, canvas.height);
+    this.context.restore();
+};
+
+CanvasRenderer.prototype.applyOpacity = function(opacity) {
+    this.context.globalAlpha *= opacity;
+};
+
+CanvasRenderer.prototype.clipRect = function(x, y, rectWidth, rectHeight) {
+    this.context.beginPath();
+    this.context.rect(x, y, rectWidth, rectHeight);
+    this.context.clip();
+};
+
+CanvasRenderer.prototype.clipEllipse = function(x, y, ellipseWidth, ellipseHeight) {
+    this.context.beginPath();
+    this.context.ellipse(x, y, Math.abs(ellipseWidth) / 2, Math.abs(ellipseHeight) / 2, 0, 0, Math.PI * 2);
+    this.context.clip();
+};
+
+/**
+Fills and strokes the path just traced with the current style.
+@param {Boolean} isFilled - Whether the current fill applies. Defaults to true.
+*/
+CanvasRenderer.prototype.paint = function(isFilled) {
+    if (isFilled !== false && this.style.fill) {
+        this.context.fillStyle = CanvasRenderer.toCSSColour(this.style.fill);
+        this.context.fill();
+    }
+    
+    if (this.style.stroke) {
+        this.context.strokeStyle = CanvasRenderer.toCSSColour(this.style.stroke);
+        this.context.lineWidth = this.style.strokeWeight;
+        this.context.stroke();
+    }
+};
+
+CanvasRenderer.prototype.ellipse = function(x, y, ellipseWidth, ellipseHeight) {
+    this.context.beginPath();
+    this.context.ellipse(x, y, Math.abs(ellipseWidth) / 2, Math.abs(ellipseHeight) / 2, 0, 0, Math.PI * 2);
+    this.paint();
+};
+
+CanvasRenderer.prototype.rect = function(x, y, rectWidth, rectHeight, radius) {
+    var context = this.context;
+    
+    // Corners can be no rounder than half the shorter side
+    radius = Math.min(radius || 0, Math.abs(rectWidth) / 2, Math.abs(rectHeight) / 2);
+    
+    context.beginPath();
+    context.moveTo(x + radius, y);
+    context.arcTo(x + rectWidth, y, x + rectWidth, y + rectHeight, radius);
+    context.arcTo(x + rectWidth, y + rectHeight, x, y + rectHeight, radius);
+    context.arcTo(x, y + rectHeight, x, y, radius);
+    context.arcTo(x, y, x + rectWidth, y, radius);
+    context.closePath();
+    this.paint();
+};
+
+CanvasRenderer.prototype.polygon = function(points, isClosed) {
+    this.context.beginPath();
+    for (var i = 0; i < points.length; i++) {
+        this.context.lineTo(points[i][0], points[i][1]);
+    }
+    
+    if (isClosed) {
+        this.context.closePath();
+    }
+    this.paint();
+};
+
+CanvasRenderer.prototype.line = function(x1, y1, x2, y2) {
+    this.context.beginPath();
+    this.context.moveTo(x1, y1);
+    this.context.lineTo(x2, y2);
+    this.paint(false);
+};
+
+CanvasRenderer.prototype.image = function(picture, x, y, imageWidth, imageHeight, opacity) {
+    var globalAlpha = this.context.globalAlpha;
+    
+    this.context.globalAlpha = globalAlpha * (opacity === undefined ? 1 : opacity);
+    this.context.drawImage(picture, x, y, imageWidth, imageHeight);
+    this.context.globalAlpha = globalAlpha;
+};
+
+CanvasRenderer.prototype.text = function(string, x, y, size) {
+    if (!this.style.fill) {
+        return;
+    }
+    
+    this.context.font = size + "px " + this.fontFamily;
+    this.context.textAlign = "left";
+    this.context.textBaseline = "top";
+    this.context.fillStyle = CanvasRenderer.toCSSColour(this.style.fill);
+    this.context.fillText(string, x, y);
+};
+
+CanvasRenderer.prototype.measureText = function(string, size) {
+    this.context.font = size + "px " + this.fontFamily;
+    return this.context.measureText(string).width;
+};
+
+// SVGRenderer
+/**
+Builds an SVG document of everything drawn. Call toString() for the markup,
+and clear() to start a new frame.
+@param {int} documentWidth  - Width of the document. Defaults to the canvas width, so is needed outside a sketch.
+@param {int} documentHeight - Height of the document. Defaults to the canvas height, so is needed outside a sketch.
+@param {double} characterWidth - Width of a character as a fraction of the text size,
+                                 used to measure text since nothing is laid out. Defaults to 0.6.
+*/
+var SVGRenderer = function(documentWidth, documentHeight, characterWidth) {
+    
+    // The canvas size is only defined inside a sketch
+    var hasCanvas = typeof width !== "undefined" && typeof height !== "undefined";
+    
+    if (!hasCanvas && (!documentWidth || !documentHeight)) {
+        throw new Error("SVGRenderer needs a width and height outside a sketch");
+    }
+    
+    this.width = documentWidth || width;
+    this.height = documentHeight || height;
+    this.characterWidth = characterWidth || 0.6;
+    
+    this.elements = [];
+    this.transformList = "";
+    this.style = { fill: [255, 255, 255, 255], stroke: [0, 0, 0, 255], strokeWeight: 1 };
+    this.opacity = 1;
+    
+    // Id of the <clipPath> elements are drawn inside, null when not clipped
+    this.clipId = null;
+    this.clipCount = 0;
+    this.states = [];
+};
+
+/**
+@param {string} string - Text to put in markup.
+
+@return {string} the text with markup characters escaped
+*/
+SVGRenderer.escape = function(string) {
+    return String(string).replace(/&/g, "&amp;")
+                         .replace(/</g, "&lt;")
+                         .replace(/>/g, "&gt;")
+                         .replace(/"/g, "&quot;");
+};
+
+SVGRenderer.prototype.save = function() {
+    this.states.push({
+        transformList: this.transformList,
+        style: { fill: this.style.fill, stroke: this.style.stroke, strokeWeight: this.style.strokeWeight },
+        opacity: this.opacity,
+        clipId: this.clipId
+    });
+};
+
+SVGRenderer.prototype.restore = function() {
+    var state = this.states.pop();
+    
+    if (state) {
+        this.transformList = state.transformList;
+        this.style = state.style;
+        this.opacity = state.opacity;
+        this.clipId = state.clipId;
+    }
+};
+
+SVGRenderer.prototype.translate = function(x, y) {
+    this.transformList += " translate(" + AnimationExport.formatNumber(x) + " " + AnimationExport.formatNumber(y) + ")";
+};
+
+SVGRenderer.prototype.rotate = function(degrees) {
+    this.transformList += " rotate(" + AnimationExport.formatNumber(degrees) + ")";
+};
+
+SVGRenderer.prototype.scale = function(x, y) {
+    this.transformList += " scale(" + AnimationExport.formatNumber(x) + " " + AnimationExport.formatNumber(y) + ")";
+};
+
+SVGRenderer.prototype.transform = function(a, b, c, d, e, f) {
+    this.transformList += " matrix(" + [a, b, c, d, e, f].map(AnimationExport.formatNumber).join(" ") + ")";
+};
+
+SVGRenderer.prototype.setFill = function(colour) {
+    this.style.fill = colour;
+};
+
+SVGRenderer.prototype.setStroke = function(colour, weight) {
+    this.style.stroke = colour;
+    this.style.strokeWeight = weight === undefined ? 1 : weight;
+};
+
+SVGRenderer.prototype.clear = function(colour) {
+    var fill = this.style.fill;
+    var opacity = this.opacity;
+    var clipId = this.clipId;
+    
+    this.elements = [];
+    this.opacity = 1;
+    this.clipId = null;
+    this.style.fill = colour;
+    this.elements.push(this.element("rect", {
+        x: 0, 
+        y: 0, 
+        width: this.width, 
+        height: this.height 
+    }, "fill"));
+    this.style.fill = fill;
+    this.opacity = opacity;
+    this.clipId = clipId;
+};
+
+SVGRenderer.prototype.applyOpacity = function(opacity) {
+    this.opacity *= opacity;
+};
+
+/**
+Adds a <clipPath> around a shape, within the current clip, and draws inside it from now on.
+@param {string} name       - Element name of the shape.
+@param {object} attributes - Attribute values of the shape by name.
+*/
+SVGRenderer.prototype.clip = function(name, attributes) {
+    var id = "clip-" + (++this.clipCount);
+    var outerClip = this.clipId ? " clip-path=\"url(#" + this.clipId + ")\"" : "";
+    
+    var opacity = this.opacity;
+    
+    // The shape itself is not clipped or faded, the <clipPath> is
+    this.clipId = null;
+    this.opacity = 1;
+    this.elements.push("<clipPath id=\"" + id + "\"" + outerClip + ">" + this.element(name, attributes, "none") + "</clipPath>");
+    this.clipId = id;
+    this.opacity = opacity;
+};
+
+SVGRenderer.prototype.clipRect = function(x, y, rectWidth, rectHeight) {
+    this.clip("rect", {
+        x: Math.min(x, x + rectWidth),
+        y: Math.min(y, y + rectHeight),
+        width: Math.abs(rectWidth),
+        height: Math.abs(rectHeight)
+    });
+};
+
+SVGRenderer.prototype.clipEllipse = function(x, y, ellipseWidth, ellipseHeight) {
+    this.clip("ellipse", {
+        cx: x,
+        cy: y,
+        rx: Math.abs(ellipseWidth) / 2,
+        ry: Math.abs(ellipseHeight) / 2
+    });
+};
+
+/**
+@param {string} name       - Element name.
+@param {object} attributes - Attribute values by name.
+@param {string} paint      - Which of the current "fill" and "stroke" apply, "none", or both when left out.
+@param {string} content    - Text inside the element, if any.
+
+@return {string} markup of the element in the current transform, style, opacity and clip
+*/
+SVGRenderer.prototype.element = function(name, attributes, paint, content) {
+    var number = AnimationExport.formatNumber;
+    var colour = function(value) {
+        return "rgb(" + [number(value[0]), number(value[1]), number(value[2])].join(",") + ")";
+    };
+    var style = this.style;
+    var markup = "<" + name;
+    
+    for (var attribute in attributes) {
+        var value = attributes[attribute];
+        markup += " " + attribute + "=\"" + (typeof value === "number" ? number(value) : SVGRenderer.escape(value)) + "\"";
+    }
+    
+    var isFilled = !paint || paint === "fill";
+    var isStroked = !paint || paint === "stroke";
+    
+    if (isFilled || isStroked) {
+        markup += isFilled && style.fill ? " fill=\"" + colour(style.fill) + "\"" : " fill=\"none\"";
+    }
+    if (isFilled && style.fill && alphaOf(style.fill) < 255) {
+        markup += " fill-opacity=\"" + number(alphaOf(style.fill) / 255) + "\"";
+    }
+    
+    if (isStroked && style.stroke) {
+        markup += " stroke=\"" + colour(style.stroke) + "\" stroke-width=\"" + number(style.strokeWeight) + "\"";
+        if (alphaOf(style.stroke) < 255) {
+            markup += " stroke-opacity=\"" + number(alphaOf(style.stroke) / 255) + "\"";
+        }
+    }
+    
+    if (this.opacity < 1 && !attributes.hasOwnProperty("opacity")) {
+        markup += " opacity=\"" + number(this.opacity) + "\"";
+    }
+    
+    if (this.transformList) {
+        markup += " transform=\"" + this.transformList.substring(1) + "\"";
+    }
+    
+    markup = content === undefined ? markup + "/>" : markup + ">" + SVGRenderer.escape(content) + "</" + name + ">";
+    
+    // Clipped in a group of its own, so the clip isn't moved by the element's transform
+    return this.clipId ? "<g clip-path=\"url(#" + this.clipId + ")\">" + markup + "</g>" : markup;
+};
+
+SVGRenderer.prototype.ellipse = function(x, y, ellipseWidth, ellipseHeight) {
+    this.elements.push(this.element("ellipse", {
+        cx: x,
+        cy: y,
+        rx: Math.abs(ellipseWidth) / 2,
+        ry: Math.abs(ellipseHeight) / 2
+    }));
+};
+
+SVGRenderer.prototype.rect = function(x, y, rectWidth, rectHeight, radius) {
+    var attributes = {
+        x: Math.min(x, x + rectWidth),
+        y: Math.min(y, y + rectHeight),
+        width: Math.abs(rectWidth),
+        height: Math.abs(rectHeight)
+    };
+    
+    if (radius) {
+        attributes.rx = radius;
+    }
+    
+    this.elements.push(this.element("rect", attributes));
+};
+
+SVGRenderer.prototype.polygon = function(points, isClosed) {
+    this.elements.push(this.element(isClosed ? "polygon" : "polyline", {
+        points: points.map(function(point) {
+            return AnimationExport.formatNumber(point[0]) + "," + AnimationExport.formatNumber(point[1]);
+        }).join(" ")
+    }));
+};
+
+SVGRenderer.prototype.line = function(x1, y1, x2, y2) {
+    this.elements.push(this.element("line", { x1: x1, y1: y1, x2: x2, y2: y2 }, "stroke"));
+};
+
+SVGRenderer.prototype.image = function(picture, x, y, imageWidth, imageHeight, opacity) {
+    this.elements.push(this.element("image", {
+        href: typeof picture === "string" ? picture : picture.src,
+        x: x,
+        y: y,
+        width: imageWidth,
+        height: imageHeight,
+        opacity: (opacity === undefined ? 1 : opacity) * this.opacity
+    }, "none"));
+};
+
+SVGRenderer.prototype.text = function(string, x, y, size) {
+    this.elements.push(this.element("text", {
+        x: x,
+        y: y,
+        "font-size": size,
+        "font-family": "sans-serif",
+        "dominant-baseline": "hanging"
+    }, "fill", string));
+};
+
+SVGRenderer.prototype.measureText = function(string, size) {
+    return String(string).length * size * this.characterWidth;
+};
+
+/**
+@return {string} the SVG document of everything drawn since the last clear()
+*/
+SVGRenderer.prototype.toString = function() {
+    return ["<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"" + this.width + "\" height=\"" + this.height + 
+            "\" viewBox=\"0 0 " + this.width + " " + this.height + "\">"]
+           .concat(this.elements.map(function(element) {
+               return "    " + element;
+           }))
+           .concat(["</svg>"]).join("\n") + "\n";
+};
+
+// RecordingRenderer
+/**
+Draws nothing, only records each call as { name, args } so frames can be
+compared as data, e.g. to snapshot-test what a shape draws at a given time.
+@param {double} characterWidth - Width of a character as a fraction of the text size,
+                                 used to measure text. Defaults to 0.6.
+*/
+var RecordingRenderer = function(characterWidth) {
+    this.characterWidth = characterWidth || 0.6;
+    this.calls = [];
+};
+
+/**
+@param {string} name - Renderer method that was called.
+@param {Array} args  - Arguments it was called with.
+*/
+RecordingRenderer.prototype.record = function(name, args) {
+    
+    // Copy colours so later changes to a shape don't alter the recording
+    this.calls.push({
+        name: name,
+        args: Array.prototype.map.call(args, function(arg) {
+            return Array.isArray(arg) ? arg.slice() : arg;
+        })
+    });
+};
+
+/**
+@return {Array} the calls recorded since the last time, which are then forgotten
+*/
+RecordingRenderer.prototype.takeCalls = function() {
+    var calls = this.calls;
+    this.calls = [];
+    return calls;
+};
+
+["save", "restore", "translate", "rotate", "scale", "transform", "setFill", "setStroke", "clear", 
+ "applyOpacity", "clipRect", "clipEllipse", "ellipse", "rect", "polygon", "line", "image", "text"]
+    .forEach(function(name) {
+        RecordingRenderer.prototype[name] = function() {
+            this.record(name, arguments);
+        };
+    });
+
+RecordingRenderer.prototype.measureText = function(string, size) {
+    return String(string).length * size * this.characterWidth;
+};
+
+// Renderer used by everything drawn without being given one
+var activeRenderer = new ProcessingRenderer();
+
+/**
+Replaces the default renderer everything draws with.
+@param {object} renderer - ProcessingRenderer, CanvasRenderer, SVGRenderer, RecordingRenderer or any other renderer.
+*/
+var setRenderer = function(renderer) {
+    activeRenderer = renderer;
+};
+
+//////////////////////////////////////////////////////
+// HELPER OBJECTS
+//////////////////////////////////////////////////////
+
+/**
+Applies an easing curve to represent a distance and provides a position based on time passed 
+and given duration
+ 
+@param {double} time - Time passed in same format as duration.
+@param {double} duration - Time alloted to cover the distance.
+@param {double} distance - Magnitude of change.
+@param {double} positon  - Initial starting position.
+@param {function|string} easing - Easing curve, see Easing.get.
+
+@return {double} position represented by the easing curve based on time passed and 
+given duration 
+*/
+var calculateEase = function(time, duration, distance, position, easing) {
+    
+    // Percentage of animation completion
+    var percentage = duration > 0 ? time/duration : 1;
+    
+    if (percentage > 1) {
+        percentage = 1;
+    }
+
+    return position + distance * Easing.get(easing)(percentage);
+};
+
+// Playback
+/**
+Playback state shared by Animation and Timeline: where the playhead is,
+which way it moves, how fast, and how often it repeats.
+
+Subclasses implement getDuration(), the length of one iteration in seconds,
+and render(iterationTime), which writes the state at a time within one iteration.
+
+Inside a Timeline, a step's delay, repeat and yoyo are honoured but its own
+pause, reverse and time scale are not; control the timeline instead.
+
+Lifecycle callbacks can be given as options or assigned to the fields of the
+same name later. They are called with the animation as `this`:
+    onStart()          - when the first iteration starts rendering, after any delay
+    onUpdate(progress) - after every render, with the overall progress from 0 to 1
+    onRepeat(iteration) - when a new iteration starts, counting from 0
+    onComplete()       - when the playhead reaches the end (or the start, when reversed)
+    onInterrupt()      - when stopped before completing, including being overwritten
+
+Animations are also thenable: then(onFinish) is called with {interrupted} once
+the animation completes or is interrupted. It never rejects, so stopping an
+animation nobody handles the interruption of is not an error.
+
+@param {object} options
+@option {double} delay     - Seconds to wait after starting before the first iteration. Defaults to 0.
+@option {int} repeat       - Number of times to repeat after the first iteration, -1 for forever. Defaults to 0.
+@option {Boolean} yoyo     - Whether every other iteration plays backwards. Defaults to false.
+@option {double} timeScale - Playback speed multiplier, e.g. 0.5 for half speed. Defaults to 1.
+@option {Boolean} reversed - Whether to play from the end towards the start. Defaults to false.
+@option {Boolean} paused   - Whether to start paused. Defaults to false.
+@option {string} overwrite - How properties shared with running animations are resolved, see Animation.
+@option {function} onStart, onUpdate, onRepeat, onComplete, onInterrupt - Lifecycle callbacks, see above.
+*/
+var Playback = function(options) {
+    options = options || {};
+    
+    this.animDelay = options.delay || 0;
+    this.animRepeat = 0;
+    this.animYoyo = !!options.yoyo;
+    this.animTimeScale = options.timeScale === undefined ? 1 : options.timeScale;
+    this.animOverwrite = options.overwrite || "auto";
+    this.isReversed = !!options.reversed;
+    this.isPaused = !!options.paused;
+    this.isAnimating = false;
+    
+    // Playhead in seconds since starting, delay included
+    this.animTime = 0;
+    this.animStartTime = 0;
+    this.animLastUpdateTime = 0;
+    this.animIteration = 0;
+    this.hasRendered = false;
+    this.isComplete = false;
+    this.isInterrupted = false;
+    
+    this.onStart = options.onStart || null;
+    this.onUpdate = options.onUpdate || null;
+    this.onRepeat = options.onRepeat || null;
+    this.onComplete = options.onComplete || null;
+    this.onInterrupt = options.onInterrupt || null;
+    
+    // Created on the first call to then(), and kept until the animation finishes
+    this.animPromise = null;
+    this.animResolve = null;
+    
+    this.setRepeat(options.repeat || 0);
+    
+    if (this.animOverwrite !== "auto" && this.animOverwrite !== "none") {
+        throw new Error("Unknown overwrite rule '" + this.animOverwrite + "'");
+    }
+};
+
+// Global playback controls, applied on top of every animation's own
+Playback.timeScale = 1;
+Playback.isPaused = false;
+
+/**
+Pauses every animation.
+*/
+Playback.pauseAll = function() {
+    Playback.isPaused = true;
+};
+
+/**
+Resumes every animation, except those paused individually.
+*/
+Playback.resumeAll = function() {
+    Playback.isPaused = false;
+};
+
+/**
+Speeds up or slows down every animation.
+@param {double} timeScale - Speed multiplier, e.g. 0.1 for slow motion.
+*/
+Playback.setGlobalTimeScale = function(timeScale) {
+    Playback.timeScale = timeScale;
+};
+
+/**
+@param {int} count - Number of repeats after the first iteration, -1 (or Infinity) for forever.
+
+@return {Playback} this, for chaining
+*/
+Playback.prototype.setRepeat = function(count) {
+    this.animRepeat = count < 0 ? Infinity : count;
+    return this;
+};
+
+/**
+@param {Boolean} yoyo - Whether every other iteration plays backwards.
+
+@return {Playback} this, for chaining
+*/
+Playback.prototype.setYoyo = function(yoyo) {
+    this.animYoyo = yoyo;
+    return this;
+};
+
+/**
+@param {double} seconds - Time to wait after starting before the first iteration.
+
+@return {Playback} this, for chaining
+*/
+Playback.prototype.setDelay = function(seconds) {
+    this.animDelay = seconds;
+    return this;
+};
+
+/**
+@param {double} timeScale - Playback speed multiplier, e.g. 2 for double speed.
+
+@return {Playback} this, for chaining
+*/
+Playback.prototype.setTimeScale = function(timeScale) {
+    this.animTimeScale = timeScale;
+    return this;
+};
+
+/**
+@return {double} Seconds from starting until the last iteration has finished,
+                 Infinity when repeating forever
+*/
+Playback.prototype.getTotalDuration = function() {
+    if (this.animRepeat === Infinity) {
+        return Infinity;
+    }
+    return this.animDelay + this.getDuration() * (this.animRepeat + 1);
+};
+
+/**
+Holds the playhead where it is.
+*/
+Playback.prototype.pause = function() {
+    this.isPaused = true;
+};
+
+/**
+Continues from where the playhead was paused.
+*/
+Playback.prototype.resume = function() {
+    this.isPaused = false;
+};
+
+/**
+Flips the direction the playhead moves in. To replay a finished animation
+backwards, reverse it and play it again.
+*/
+Playback.prototype.reverse = function() {
+    this.isReversed = !this.isReversed;
+};
+
+/**
+@return {double} Overall progress from 0 to 1, of the current iteration when repeating forever
+*/
+Playback.prototype.getProgress = function() {
+    var duration = this.getDuration();
+    var activeDuration = this.getTotalDuration() - this.animDelay;
+    var activeTime = Math.max(0, this.animTime - this.animDelay);
+    
+    if (activeDuration === Infinity) {
+        return duration > 0 ? (activeTime % duration) / duration : 1;
+    }
+    
+    return activeDuration > 0 ? Math.min(activeTime / activeDuration, 1) : 1;
+};
+
+/**
+Moves the playhead and writes the state at that point.
+@param {double} time - Seconds since the first iteration started, repeats included.
+*/
+Playback.prototype.seek = function(time) {
+    this.animTime = Math.max(0, Math.min(this.animDelay + time, this.getTotalDuration()));
+    this.renderTotal(this.animTime);
+};
+
+/**
+Moves the playhead to a fraction of the animation and writes the state at that point.
+@param {double} progress - 0 for the start, 1 for the end. Covers a single iteration
+                           when repeating forever.
+*/
+Playback.prototype.seekProgress = function(progress) {
+    var activeDuration = this.getTotalDuration() - this.animDelay;
+    
+    if (activeDuration === Infinity) {
+        activeDuration = this.getDuration();
+    }
+    
+    this.seek(progress * activeDuration);
+};
+
+/**
+Writes the state at a time since starting, resolving delay, repeats and yoyo
+into a time within one iteration.
+@param {double} totalTime - Seconds since starting, delay included.
+*/
+Playback.prototype.renderTotal = function(totalTime) {
+    var duration = this.getDuration();
+    var activeTime = totalTime - this.animDelay;
+    
+    // Still waiting out the delay
+    if (activeTime < 0) {
+        return;
+    }
+    
+    var iteration = 0;
+    var iterationTime = duration === Infinity ? activeTime : duration;
+    
+    if (duration > 0 && duration !== Infinity) {
+        iteration = Math.floor(activeTime / duration);
+        iterationTime = activeTime - iteration * duration;
+        
+        // The very end belongs to the last iteration, not the start of the next
+        if (iteration > this.animRepeat || 
+            (iteration > 0 && iterationTime === 0 && activeTime >= duration * (this.animRepeat + 1))) {
+            iteration = this.animRepeat;
+            iterationTime = duration;
+        }
+    }
+    
+    if (this.animYoyo && iteration % 2 === 1) {
+        iterationTime = duration - iterationTime;
+    }
+    
+    if (!this.hasRendered) {
+        this.hasRendered = true;
+        this.animIteration = iteration;
+        
+        if (this.onStart) {
+            this.onStart();
+        }
+    } else if (iteration !== this.animIteration) {
+        this.animIteration = iteration;
+        
+        if (this.onRepeat) {
+            this.onRepeat(iteration);
+        }
+    }
+    
+    this.render(iterationTime);
+    
+    if (this.onUpdate) {
+        this.onUpdate(this.getProgress());
+    }
+};
+
+/**
+Puts the animation back in its not-yet-started state, so its callbacks fire again.
+*/
+Playback.prototype.rewind = function() {
+    this.animIteration = 0;
+    this.hasRendered = false;
+    this.isComplete = false;
+    this.isInterrupted = false;
+};
+
+/**
+Marks the animation as finished and lets everyone waiting on it know.
+*/
+Playback.prototype.complete = function() {
+    this.isAnimating = false;
+    this.isComplete = true;
+    
+    if (this.onComplete) {
+        this.onComplete();
+    }
+    
+    this.settle(false);
+};
+
+/**
+Stops the animation before it has finished and lets everyone waiting on it know.
+*/
+Playback.prototype.interrupt = function() {
+    this.isAnimating = false;
+    this.isInterrupted = true;
+    
+    if (this.onInterrupt) {
+        this.onInterrupt();
+    }
+    
+    this.settle(true);
+};
+
+/**
+Lets everyone waiting on the animation know it has finished. Waiting again
+afterwards waits on the next time it plays.
+@param {Boolean} isInterrupted - Whether it stopped before completing.
+*/
+Playback.prototype.settle = function(isInterrupted) {
+    var resolve = this.animResolve;
+    
+    this.animPromise = null;
+    this.animResolve = null;
+    
+    if (resolve) {
+        resolve({ interrupted: isInterrupted });
+    }
+};
+
+/**
+Waits for the animation to finish, like a promise. Waiting before it starts
+waits on the time it is next played. The promise never rejects.
+@param {function} onFinish - Called with {interrupted} once the animation completes or is interrupted.
+@param {function} onError  - Called if onFinish throws, as with a promise.
+
+@return {Promise} promise for the result of the callback
+*/
+Playback.prototype.then = function(onFinish, onError) {
+    var self = this;
+    
+    // Already finished, and not played again since
+    if (!this.animPromise && !this.isAnimating && (this.isComplete || this.isInterrupted)) {
+        return Promise.resolve({ interrupted: this.isInterrupted }).then(onFinish, onError);
+    }
+    
+    if (!this.animPromise) {
+        this.animPromise = new Promise(function(resolve) {
+            self.animResolve = resolve;
+        });
+    }
+    
+    return this.animPromise.then(onFinish, onError);
+};
+
+/**
+Forgets whatever was read from the target, so that it is read again next time
+the animation renders. Subclasses that capture start values override this.
+*/
+Playback.prototype.reset = function() {};
+
+/**
+Starts playing from the beginning, or from the end when reversed, reading the
+start values from the target again.
+@param {double} startTime - Time in milliseconds the animation starts at.
+*/
+Playback.prototype.start = function(startTime) {
+    var totalDuration = this.getTotalDuration();
+    
+    this.animStartTime = startTime;
+    this.animLastUpdateTime = startTime;
+    this.isAnimating = true;
+    this.rewind();
+    this.reset();
+    
+    if (!this.isReversed) {
+        this.animTime = 0;
+    } else if (totalDuration === Infinity) {
+        this.animTime = this.animDelay + this.getDuration();
+    } else {
+        this.animTime = totalDuration;
+    }
+};
+
+/**
+Advances the playhead to the given time, stopping once it reaches the end
+(or the start, when reversed).
+@param {double} time - Current time in milliseconds.
+
+@return {Boolean} Whether the animation is still running
+*/
+Playback.prototype.update = function(time) {
+    
+    if (!this.isAnimating) {
+        return false;
+    }
+    
+    var elapsed = (time / MILLISECONDS_IN_SECOND) - 
+                  (this.animLastUpdateTime / MILLISECONDS_IN_SECOND);
+    this.animLastUpdateTime = time;
+    
+    if (this.isPaused || Playback.isPaused) {
+        return true;
+    }
+    
+    var step = elapsed * this.animTimeScale * Playback.timeScale;
+    var totalDuration = this.getTotalDuration();
+    
+    this.animTime += this.isReversed ? -step : step;
+    this.animTime = Math.max(0, Math.min(this.animTime, totalDuration));
+    
+    // Once started, rewinding into the delay leaves the start state showing
+    var renderTime = this.animTime;
+    if (this.hasRendered) {
+        renderTime = Math.max(renderTime, this.animDelay);
+    }
+    this.renderTotal(renderTime);
+    
+    // If time is up, let's stop
+    if (this.isReversed ? this.animTime <= 0 : this.animTime >= totalDuration) {
+        this.complete();
+    }
+    
+    return this.isAnimating;
+};
+
+// Animation
+/**
+Animates any number of numeric properties of a target from their current
+values to the given destinations.
+
+Start values are read from the target when the animation starts (or, inside a
+Timeline, when its step is first reached) unless given in options.from.
+
+When an animation starts on a shape while another animation on that shape is
+already driving one of the same properties of the same target, the rule is set
+by options.overwrite:
+    "auto" - (default) the newer animation takes those properties over. The older
+             animation keeps animating its other properties, and stops once it has
+             none left.
+    "none" - both keep running, and the one started last writes its value last
+             each frame, so it wins while it runs.
+
+@param {object} target     - Object whose properties are animated.
+@param {object} properties - Destination value of each animated property, e.g. {x: 200, opacity: 0}.
+@param {object} options
+@option {double} duration        - Duration of the animation in seconds. Defaults to 0.
+@option {function|string} easing - Easing curve of the animation, see Easing.get. Linear by default.
+@option {object} from            - Starting value of some or all properties, instead of their current value.
+@option {string} overwrite       - "auto" or "none", see above.
+Delay, repeat, yoyo, time scale etc. are also accepted, see Playback.
+*/
+var Animation = function(target, properties, options) {
+    options = options || {};
+    Playback.call(this, options);
+    
+    this.animTarget = target;
+    this.animDuration = options.duration || 0;
+    this.animEasing = Easing.get(options.easing || "linear");
+    
+    this.animDestinations = {};
+    this.animFrom = options.from || {};
+    
+    // Filled in from the target when the animation is first rendered
+    this.animStartValues = null;
+    
+    for (var name in properties) {
+        if (properties.hasOwnProperty(name)) {
+            if (typeof properties[name] !== "number" || isNaN(properties[name])) {
+                throw new Error("Cannot animate '" + name + "' to non-numeric value " + properties[name]);
+            }
+            this.animDestinations[name] = properties[name];
+        }
+    }
+};
+
+// Inherit from Playback
+Animation.prototype = Object.create(Playback.prototype);
+
+/**
+@return {double} Number of seconds one iteration of the animation lasts
+*/
+Animation.prototype.getDuration = function() {
+    return this.animDuration;
+};
+
+/**
+Reads the starting value of every animated property, from options.from
+or from the target as it is now.
+*/
+Animation.prototype.captureStartValues = function() {
+    this.animStartValues = {};
+    
+    for (var name in this.animDestinations) {
+        var start = this.animFrom.hasOwnProperty(name) ? this.animFrom[name] : this.animTarget[name];
+        
+        if (typeof start !== "number" || isNaN(start)) {
+            throw new Error("Cannot animate '" + name + "' from non-numeric value " + start);
+        }
+        this.animStartValues[name] = start;
+    }
+};
+
+/**
+Forgets the captured start values, so they are read from the target again
+next time the animation renders.
+*/
+Animation.prototype.reset = function() {
+    this.animStartValues = null;
+};
+
+/**
+Writes the values the animation has at a given time to its target.
+@param {double} timePassed - Seconds into the iteration.
+*/
+Animation.prototype.render = function(timePassed) {
+    
+    if (!this.animStartValues) {
+        this.captureStartValues();
+    }
+    
+    for (var name in this.animDestinations) {
+        var start = this.animStartValues[name];
+        
+        this.animTarget[name] = calculateEase(timePassed, 
+                                              this.animDuration, 
+                                              this.animDestinations[name] - start, 
+                                              start, 
+                                              this.animEasing);
+    }
+};
+
+/**
+@return {Array} Every {target, name} pair this animation writes to
+*/
+Animation.prototype.getAnimatedProperties = function() {
+    var animated = [];
+    
+    for (var name in this.animDestinations) {
+        animated.push({ target: this.animTarget, name: name });
+    }
+    
+    return animated;
+};
+
+/**
+Stops animating the given properties, leaving them to another animation.
+@param {Array} properties - {target, name} pairs to give up.
+
+@return {Boolean} Whether the animation still has properties to animate
+*/
+Animation.prototype.releaseProperties = function(properties) {
+    
+    for (var i = 0; i < properties.length; i++) {
+        if (properties[i].target === this.animTarget) {
+            delete this.animDestinations[properties[i].name];
+        }
+    }
+    
+    for (var name in this.animDestinations) {
+        return true;
+    }
+    
+    return false;
+};
+
+// ColourAnimation
+/**
+Animates a colour property of a target, e.g. a shape's fillColour, blending
+in a chosen colour space. Plays, overwrites and composes like Animation.
+A target with no colour (null, as for a shape with no fill) fades in from the
+destination colour at alpha 0.
+@param {object} target       - Object whose colour is animated.
+@param {string} property     - Name of the colour property.
+@param {Array|string|int} colour - Destination colour, see Colour.parse.
+@param {object} options      - As for Animation, with a single colour for options.from, plus:
+@option {string} space       - Colour space to blend in, see Colour. Defaults to "rgb".
+*/
+var ColourAnimation = function(target, property, colour, options) {
+    options = options || {};
+    Playback.call(this, options);
+    
+    this.animTarget = target;
+    this.animProperty = property;
+    this.animDuration = options.duration || 0;
+    this.animEasing = Easing.get(options.easing || "linear");
+    this.animSpace = options.space || "rgb";
+    this.animDestination = Colour.parse(colour);
+    this.animFrom = options.from === undefined ? null : Colour.parse(options.from);
+    
+    // Filled in from the target when the animation is first rendered
+    this.animStartColour = null;
+    
+    // Fail now rather than part way through the animation
+    Colour.interpolate(this.animDestination, this.animDestination, 0, this.animSpace);
+};
+
+// Inherit from Playback
+ColourAnimation.prototype = Object.create(Playback.prototype);
+
+/**
+@return {double} Number of seconds one iteration of the animation lasts
+*/
+ColourAnimation.prototype.getDuration = function() {
+    return this.animDuration;
+};
+
+/**
+Forgets the captured start colour, so it is read from the target again
+next time the animation renders.
+*/
+ColourAnimation.prototype.reset = function() {
+    this.animStartColour = null;
+};
+
+/**
+Writes the colour the animation has at a given time to its target.
+@param {double} timePassed - Seconds into the iteration.
+*/
+ColourAnimation.prototype.render = function(timePassed) {
+    
+    if (!this.animDestination) {
+        return;
+    }
+    
+    if (!this.animStartColour) {
+        var start = this.animFrom || this.animTarget[this.animProperty];
+        
+        if (start === null || start === undefined) {
+            this.animStartColour = this.animDestination.slice(0, 3).concat([0]);
+        } else {
+            this.animStartColour = Colour.parse(start);
+        }
+    }
+    
+    var amount = calculateEase(timePassed, this.animDuration, 1, 0, this.animEasing);
+    
+    this.animTarget[this.animProperty] = Colour.interpolate(this.animStartColour, 
+                                                            this.animDestination, 
+                                                            amount, 
+                                                            this.animSpace);
+};
+
+/**
+@return {Array} The {target, name} pair this animation writes to
+*/
+ColourAnimation.prototype.getAnimatedProperties = function() {
+    if (!this.animDestination) {
+        return [];
+    }
+    return [{ target: this.animTarget, name: this.animProperty }];
+};
+
+/**
+Stops animating the colour if it is one of the given properties.
+@param {Array} properties - {target, name} pairs to give up.
+
+@return {Boolean} Whether the animation still has its colour to animate
+*/
+ColourAnimation.prototype.releaseProperties = function(properties) {
+    
+    for (var i = 0; i < properties.length; i++) {
+        if (properties[i].target === this.animTarget && properties[i].name === this.animProperty) {
+            this.animDestination = null;
+        }
+    }
+    
+    return this.animDestination !== null;
+};
+
+// SpringAnimation
+/**
+Moves numeric properties of a target towards their destinations as if pulled
+by a spring, instead of over a fixed duration. Useful when the destination keeps
+changing (e.g. following the mouse): retarget() changes the destinations while
+keeping the current velocity, so there is no jerk.
+
+The spring completes once every property has settled, that is once it is within
+restDelta of its destination and moving slower than restSpeed.
+
+Plays, pauses, time scales and overwrites like Animation. It has no fixed length,
+so repeat, yoyo and reverse do not apply, and a Timeline holding a spring never ends.
+
+@param {object} target     - Object whose properties are animated.
+@param {object} properties - Destination value of each animated property, e.g. {x: 200}.
+@param {object} options    - Delay, callbacks etc. as for Playback, plus:
+@option {double} stiffness - Strength of the pull towards the destination. Defaults to 170.
+@option {double} damping   - Friction slowing the motion down. Defaults to 26.
+@option {double} mass      - Weight being moved, heavier is slower. Defaults to 1.
+@option {double} restDelta - Distance from the destination that counts as settled. Defaults to 0.01.
+@option {double} restSpeed - Speed (per second) that counts as settled. Defaults to 0.01.
+@option {object} from      - Starting value of some or all properties, instead of their current value.
+@option {object} velocity  - Starting velocity (per second) of some or all properties. Defaults to 0.
+*/
+var SpringAnimation = function(target, properties, options) {
+    options = options || {};
+    Playback.call(this, options);
+    
+    this.animTarget = target;
+    this.animStiffness = 170;
+    this.animDamping = 26;
+    this.animMass = 1;
+    this.animRestDelta = 0.01;
+    this.animRestSpeed = 0.01;
+    this.setPhysics(options);
+    this.animFrom = options.from || {};
+    this.animInitialVelocity = options.velocity || {};
+    this.animDestinations = {};
+    this.isSettled = false;
+    
+    // State of the simulation, filled in when the spring is first rendered
+    this.springValues = null;
+    this.springVelocities = null;
+    this.springTime = 0;
+    
+    this.retarget(properties);
+};
+
+// Inherit from Playback
+SpringAnimation.prototype = Object.create(Playback.prototype);
+
+// Length of one simulation step in seconds, small enough to stay stable for stiff springs
+SpringAnimation.STEP = 1 / 240;
+
+/**
+@return {double} Infinity, since a spring lasts until it settles
+*/
+SpringAnimation.prototype.getDuration = function() {
+    return Infinity;
+};
+
+/**
+Changes how the spring moves from now on, keeping its current values and velocities.
+@param {object} options - Any of stiffness, damping, mass, restDelta and restSpeed, see above.
+                          Those not given are left as they are.
+*/
+SpringAnimation.prototype.setPhysics = function(options) {
+    if (options.stiffness !== undefined) {
+        this.animStiffness = options.stiffness;
+    }
+    if (options.damping !== undefined) {
+        this.animDamping = options.damping;
+    }
+    if (options.mass !== undefined) {
+        this.animMass = options.mass;
+    }
+    if (options.restDelta !== undefined) {
+        this.animRestDelta = options.restDelta;
+    }
+    if (options.restSpeed !== undefined) {
+        this.animRestSpeed = options.restSpeed;
+    }
+    
+    this.isSettled = false;
+};
+
+/**
+Changes where the spring pulls its properties towards, keeping their current
+values and velocities. Properties not animated yet are added.
+@param {object} properties - New destination value of each property.
+*/
+SpringAnimation.prototype.retarget = function(properties) {
+    
+    for (var name in properties) {
+        if (properties.hasOwnProperty(name)) {
+            if (typeof properties[name] !== "number" || isNaN(properties[name])) {
+                throw new Error("Cannot animate '" + name + "' to non-numeric value " + properties[name]);
+            }
+            
+            this.animDestinations[name] = properties[name];
+            
+            // Joining a simulation already under way
+            if (this.springValues && !this.springValues.hasOwnProperty(name)) {
+                this.springValues[name] = this.animTarget[name];
+                this.springVelocities[name] = this.animInitialVelocity[name] || 0;
+            }
+        }
+    }
+    
+    this.isSettled = false;
+};
+
+/**
+@param {string} name - Animated property.
+
+@return {double} Current velocity of the property per second, 0 if it is not moving
+*/
+SpringAnimation.prototype.getVelocity = function(name) {
+    if (!this.springVelocities || !this.springVelocities.hasOwnProperty(name)) {
+        return this.animInitialVelocity[name] || 0;
+    }
+    return this.springVelocities[name];
+};
+
+/**
+Forgets the simulation, so it starts again from the target's values next time
+the spring renders.
+*/
+SpringAnimation.prototype.reset = function() {
+    this.springValues = null;
+    this.springVelocities = null;
+    this.springTime = 0;
+};
+
+/**
+Runs the simulation up to a given time and writes the values to the target.
+@param {double} timePassed - Seconds since the spring started.
+*/
+SpringAnimation.prototype.render = function(timePassed) {
+    var name;
+    
+    // Simulations only run forwards, so going back means starting over
+    if (!this.springValues || timePassed < this.springTime) {
+        this.springValues = {};
+        this.springVelocities = {};
+        this.springTime = 0;
+        
+        for (name in this.animDestinations) {
+            this.springValues[name] = this.animFrom.hasOwnProperty(name) ? this.animFrom[name] : this.animTarget[name];
+            this.springVelocities[name] = this.animInitialVelocity[name] || 0;
+        }
+    }
+    
+    while (this.springTime < timePassed) {
+        var step = Math.min(SpringAnimation.STEP, timePassed - this.springTime);
+        
+        for (name in this.animDestinations) {
+            var displacement = this.springValues[name] - this.animDestinations[name];
+            var force = -this.animStiffness * displacement - this.animDamping * this.springVelocities[name];
+            
+            // Semi-implicit Euler: update the velocity first, then move with it
+            this.springVelocities[name] += (force / this.animMass) * step;
+            this.springValues[name] += this.springVelocities[name] * step;
+        }
+        
+        this.springTime += step;
+    }
+    
+    this.isSettled = true;
+    
+    for (name in this.animDestinations) {
+        if (Math.abs(this.springValues[name] - this.animDestinations[name]) > this.animRestDelta ||
+            Math.abs(this.springVelocities[name]) > this.animRestSpeed) {
+            this.isSettled = false;
+        }
+    }
+    
+    for (name in this.animDestinations) {
+        if (this.isSettled) {
+            this.springValues[name] = this.animDestinations[name];
+            this.springVelocities[name] = 0;
+        }
+        this.animTarget[name] = this.springValues[name];
+    }
+};
+
+/**
+Advances the spring to the given time, completing it once it has settled.
+@param {double} time - Current time in milliseconds.
+
+@return {Boolean} Whether the spring is still moving
+*/
+SpringAnimation.prototype.update = function(time) {
+    
+    if (!Playback.prototype.update.call(this, time)) {
+        return false;
+    }
+    
+    if (this.isSettled) {
+        this.complete();
+    }
+    
+    return this.isAnimating;
+};
+
+SpringAnimation.prototype.getAnimatedProperties = Animation.prototype.getAnimatedProperties;
+SpringAnimation.prototype.releaseProperties = Animation.prototype.releaseProperties;
+
+// PathAnimation
+/**
+Moves a target's x and y along a MotionPath at an even speed, optionally
+turning its rotation to face the direction of travel.
+Plays, composes and overwrites like Animation.
+@param {object} target     - Object with x and y (and rotation, when auto rotating) to animate.
+@param {MotionPath} path   - Path to travel along.
+@param {object} options    - Duration, easing (over the whole path), delay etc. as for Animation, plus:
+@option {Boolean} autoRotate    - Whether to set rotation to the direction of travel. Defaults to false.
+@option {double} rotationOffset - Degrees added to the direction of travel, for shapes
+                                  drawn facing another way than along the x axis. Defaults to 0.
+*/
+var PathAnimation = function(target, path, options) {
+    options = options || {};
+    Playback.call(this, options);
+    
+    this.animTarget = target;
+    this.animPath = path;
+    this.animDuration = options.duration || 0;
+    this.animEasing = Easing.get(options.easing || "linear");
+    this.animRotationOffset = options.rotationOffset || 0;
+    
+    this.animProperties = options.autoRotate ? ["x", "y", "rotation"] : ["x", "y"];
+};
+
+// Inherit from Playback
+PathAnimation.prototype = Object.create(Playback.prototype);
+
+/**
+@return {double} Number of seconds one trip along the path lasts
+*/
+PathAnimation.prototype.getDuration = function() {
+    return this.animDuration;
+};
+
+/**
+Writes the position (and direction) along the path at a given time to the target.
+@param {double} timePassed - Seconds into the iteration.
+*/
+PathAnimation.prototype.render = function(timePassed) {
+    var point = this.animPath.getPointAtProgress(calculateEase(timePassed, 
+                                                               this.animDuration, 
+                                                               1, 
+                                                               0, 
+                                                               this.animEasing));
+    var values = { x: point.x, y: point.y, rotation: point.angle + this.animRotationOffset };
+    
+    for (var i = 0; i < this.animProperties.length; i++) {
+        this.animTarget[this.animProperties[i]] = values[this.animProperties[i]];
+    }
+};
+
+/**
+@return {Array} Every {target, name} pair this animation writes to
+*/
+PathAnimation.prototype.getAnimatedProperties = function() {
+    var target = this.animTarget;
+    
+    return this.animProperties.map(function(name) {
+        return { target: target, name: name };
+    });
+};
+
+/**
+Stops writing the given properties, leaving them to another animation.
+@param {Array} properties - {target, name} pairs to give up.
+
+@return {Boolean} Whether the animation still has properties to animate
+*/
+PathAnimation.prototype.releaseProperties = function(properties) {
+    
+    for (var i = 0; i < properties.length; i++) {
+        var index = this.animProperties.indexOf(properties[i].name);
+        
+        if (properties[i].target === this.animTarget && index !== -1) {
+            this.animProperties.splice(index, 1);
+        }
+    }
+    
+    return this.animProperties.length > 0;
+};
+
+// Timeline
+/**
+Composes steps to run in sequence, in parallel, or at any offset from each
+other. A step is an Animation or another Timeline, so timelines nest.
+
+Steps are placed with a position, in seconds from the start of the timeline:
+    undefined     - after the end of the timeline (in sequence)
+    2, "2"        - at exactly 2 seconds, which cannot be negative
+    "+=0.5"       - 0.5 seconds after the end of the timeline
+    "-=0.5"       - 0.5 seconds before the end of the timeline
+    "<"           - at the start of the previously added step (in parallel)
+    "<0.2"        - 0.2 seconds after the start of the previously added step
+    "intro"       - at the label "intro", see addLabel
+    "intro+=0.2"  - 0.2 seconds after the label "intro"
+
+Labels can hold any character, e.g. "fade-in-=0.2" is 0.2 seconds before "fade-in".
+
+e.g. tween in, then stretch while fading:
+    new Timeline().add(tweenIn).addLabel("pop").add(stretch).add(fade, "pop");
+
+@param {object} options - Delay, repeat, yoyo, time scale etc. of the whole timeline, see Playback.
+*/
+var Timeline = function(options) {
+    Playback.call(this, options);
+    
+    this.steps = [];
+    this.labels = {};
+    
+    // Where the next step goes when no position is given
+    this.endTime = 0;
+    this.previousOffset = 0;
+};
+
+// Inherit from Playback
+Timeline.prototype = Object.create(Playback.prototype);
+
+/**
+Builds a timeline running the given steps one after the other.
+@param {Array} steps - Animations or timelines.
+
+@return {Timeline} the sequence
+*/
+Timeline.sequence = function(steps) {
+    var timeline = new Timeline();
+    
+    for (var i = 0; i < steps.length; i++) {
+        timeline.add(steps[i]);
+    }
+    
+    return timeline;
+};
+
+/**
+Builds a timeline running the given steps all at once.
+@param {Array} steps - Animations or timelines.
+
+@return {Timeline} the group of steps
+*/
+Timeline.parallel = function(steps) {
+    var timeline = new Timeline();
+    
+    for (var i = 0; i < steps.length; i++) {
+        timeline.add(steps[i], 0);
+    }
+    
+    return timeline;
+};
+
+/**
+Builds a timeline running one animation per shape, each starting a little after
+the last so they cascade. Play it on a shape that updates every frame, such as
+the group holding the shapes:
+    group.play(Timeline.stagger(group.children, function(shape) {
+        return new Animation(shape, { opacity: 1 }, { duration: 0.3, from: { opacity: 0 } });
+    }, { each: 0.05, origin: "center" }));
+
+Offsets grow with each shape's distance from the origin. The distance is measured
+by index, by cell when the shapes are in a grid, or by position when the origin is a point.
+@param {Array} shapes        - Shapes to animate.
+@param {function} definition - Builds the animation of one shape: function(shape, index, count) returning an Animation, Timeline, etc.
+@param {object} options      - Delay, repeat, etc. of the whole timeline, see Playback, plus:
+@option {double} each        - Seconds between shapes one index, grid cell or (from a point) pixel apart.
+                               Defaults to 0.1, or spreading over 0.1 seconds per shape from a point.
+@option {double} amount      - Seconds between the first and last shape to start, used instead of each.
+@option {*} origin           - Where the cascade starts: "start" (default), "end", "center", "edges",
+                               an index, or a point as {x, y} or [x, y] to ripple out from by position.
+@option {Array|string} grid  - [columns, rows] the shapes are laid out in by index, or "auto" to count
+                               the columns as the shapes level with the first one.
+@option {string} axis        - "x" or "y" to only count grid or point distance along one axis.
+@option {function|string} easing - Easing curve the offsets are spread along, see Easing.get. Defaults to "linear".
+@option {function} offsetOf  - Works out offsets instead: function(shape, index, count) returning seconds.
+
+@return {Timeline} the cascade of animations
+*/
+Timeline.stagger = function(shapes, definition, options) {
+    options = options || {};
+    
+    var timeline = new Timeline(options);
+    var count = shapes.length;
+    var offsets = options.offsetOf ? 
+                  shapes.map(function(shape, index) {
+                      return options.offsetOf(shape, index, count);
+                  }) : 
+                  Timeline.getStaggerOffsets(shapes, options);
+    
+    for (var i = 0; i < count; i++) {
+        timeline.add(definition(shapes[i], i, count), offsets[i]);
+    }
+    
+    return timeline;
+};
+
+/**
+Works out when each shape starts in a stagger, see Timeline.stagger for the options.
+@param {Array} shapes   - Shapes to animate.
+@param {object} options - Options of the stagger.
+
+@return {Array} offset of each shape in seconds
+*/
+Timeline.getStaggerOffsets = function(shapes, options) {
+    var count = shapes.length;
+    var origin = options.origin === undefined ? "start" : options.origin;
+    var isFromPoint = typeof origin === "object" && origin !== null;
+    var axis = options.axis;
+    var easing = Easing.get(options.easing || "linear");
+    
+    if (axis !== undefined && axis !== "x" && axis !== "y") {
+        throw new Error("Unknown axis '" + axis + "', expected x or y");
+    }
+    
+    // Distance between two points, or along one axis
+    var measure = function(from, to) {
+        var dx = axis === "y" ? 0 : to.x - from.x;
+        var dy = axis === "x" ? 0 : to.y - from.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    };
+    
+    // Where each shape is counted from: its position, its grid cell or its index
+    var places;
+    var columns = count;
+    var rows = 1;
+    
+    if (isFromPoint) {
+        origin = MotionPath.toPoint(origin);
+        places = shapes.map(function(shape) {
+            return { x: shape.x, y: shape.y };
+        });
+    } else {
+        if (options.grid === "auto") {
+            columns = 1;
+            while (columns < count && shapes[columns].y === shapes[0].y) {
+                columns++;
+            }
+            rows = Math.ceil(count / columns);
+        } else if (options.grid) {
+            columns = options.grid[0];
+            rows = options.grid[1];
+        }
+        
+        places = shapes.map(function(shape, index) {
+            return { x: index % columns, y: Math.floor(index / columns) };
+        });
+        
+        if (origin === "start") {
+            origin = { x: 0, y: 0 };
+        } else if (origin === "end") {
+            origin = { x: columns - 1, y: rows - 1 };
+        } else if (origin === "center") {
+            origin = { x: (columns - 1) / 2, y: (rows - 1) / 2 };
+        } else if (typeof origin === "number") {
+            origin = { x: origin % columns, y: Math.floor(origin / columns) };
+        } else if (origin !== "edges") {
+            throw new Error("Unknown stagger origin '" + origin + "', expected start, end, center, edges, an index or a point");
+        }
+    }
+    
+    var distances = places.map(function(place) {
+        if (origin !== "edges") {
+            return measure(origin, place);
+        }
+        
+        // Closest edge, so the cascade runs inwards
+        var toColumnEdge = axis === "y" ? Infinity : Math.min(place.x, columns - 1 - place.x);
+        var toRowEdge = axis === "x" || rows === 1 ? Infinity : Math.min(place.y, rows - 1 - place.y);
+        return Math.min(toColumnEdge, toRowEdge);
+    });
+    
+    var furthest = Math.max.apply(null, distances.concat([0]));
+    var spread = options.amount;
+    
+    if (spread === undefined) {
+        spread = options.each === undefined && isFromPoint ? 0.1 * (count - 1) : 
+                 furthest * (options.each === undefined ? 0.1 : options.each);
+    }
+    
+    return distances.map(function(distance) {
+        return furthest > 0 ? easing(distance / furthest) * spread : 0;
+    });
+};
+
+/**
+Changes the layout of several shapes at once, e.g. reordering a list, and
+builds a timeline animating each shape that moved or resized from its old
+layout to its new one. Play it on a shape that updates every frame, such as
+the group holding the shapes:
+    group.play(Timeline.layout(group.children, function() {
+        sortItems(group.children);
+    }, 0.4));
+@param {Array} shapes         - Shapes the layout may change.
+@param {function} applyLayout - Sets the new x, y, width and height of the shapes.
+@param {double} duration      - Number of seconds each shape takes to reach its new layout.
+@param {function|string} easing - Easing curve of the changes. Defaults to "easeOutQuad".
+@param {object} options       - Stagger between the shapes that changed, see Timeline.stagger.
+                                Defaults to none, all of them moving together.
+
+@return {Timeline} the layout changes
+*/
+Timeline.layout = function(shapes, applyLayout, duration, easing, options) {
+    var before = shapes.map(function(shape) {
+        return shape.getLayout();
+    });
+    
+    applyLayout();
+    
+    var changed = [];
+    var animations = [];
+    
+    for (var i = 0; i < shapes.length; i++) {
+        var animation = shapes[i].createLayoutAnimation(before[i], duration, easing);
+        
+        if (animation) {
+            changed.push(shapes[i]);
+            animations.push(animation);
+        }
+    }
+    
+    var staggerOptions = {};
+    for (var name in options) {
+        if (options.hasOwnProperty(name)) {
+            staggerOptions[name] = options[name];
+        }
+    }
+    if (staggerOptions.each === undefined && staggerOptions.amount === undefined) {
+        staggerOptions.each = 0;
+    }
+    
+    return Timeline.stagger(changed, function(shape, index) {
+        return animations[index];
+    }, staggerOptions);
+};
+
+/**
+Converts a position (see Timeline) into seconds from the start of the timeline.
+@param {double|string} position - Position to resolve.
+
+@return {double} offset in seconds
+*/
+Timeline.prototype.resolvePosition = function(position) {
+    
+    if (position === undefined || position === null) {
+        return this.endTime;
+    }
+    
+    // Seconds, also when written as a string, which would otherwise be read as a label
+    var seconds = typeof position === "number" ? position : String(position).trim();
+    if (typeof seconds === "number" || /^-?(\d+\.?\d*|\.\d+)$/.test(seconds)) {
+        seconds = parseFloat(seconds);
+        
+        if (!(seconds >= 0)) {
+            throw new Error("Invalid timeline position '" + position + "', expected 0 seconds or more");
+        }
+        return seconds;
+    }
+    
+    position = String(position);
+    
+    // Labels are matched whole first, so they can hold any character
+    if (this.labels.hasOwnProperty(position)) {
+        return this.labels[position];
+    }
+    
+    var previous = /^<\s*(-?(\d+\.?\d*|\.\d+))?\s*$/.exec(position);
+    if (previous) {
+        return this.previousOffset + (previous[1] ? parseFloat(previous[1]) : 0);
+    }
+    
+    // Anything before a trailing += or -= is the label, or the end of the timeline if there is none
+    var relative = /^([\s\S]*?)\s*(\+=|-=)\s*(\d+\.?\d*|\.\d+)\s*$/.exec(position);
+    var anchor = relative ? relative[1] : position;
+    var base;
+    
+    if (anchor.trim() === "") {
+        base = this.endTime;
+    } else if (anchor.trim() === "<") {
+        base = this.previousOffset;
+    } else if (this.labels.hasOwnProperty(anchor)) {
+        base = this.labels[anchor];
+    } else if (/^\s*<|\+=|-=/.test(anchor)) {
+        throw new Error("Invalid timeline position '" + position + "'");
+    } else {
+        throw new Error("Unknown timeline label '" + anchor + "'");
+    }
+    
+    if (!relative) {
+        return base;
+    }
+    
+    var amount = parseFloat(relative[3]);
+    return relative[2] === "-=" ? base - amount : base + amount;
+};
+
+/**
+Adds a step to the timeline.
+@param {Animation|Timeline} step - Step to add.
+@param {double|string} position  - Where the step starts, see Timeline. In sequence by default.
+
+@return {Timeline} this timeline, for chaining
+*/
+Timeline.prototype.add = function(step, position) {
+    var offset = Math.max(0, this.resolvePosition(position));
+    
+    this.steps.push({ step: step, offset: offset });
+    
+    // Keep steps ordered by start time so later steps win when seeking
+    this.steps.sort(function(a, b) {
+        return a.offset - b.offset;
+    });
+    
+    this.previousOffset = offset;
+    this.endTime = Math.max(this.endTime, offset + step.getTotalDuration());
+    
+    return this;
+};
+
+/**
+Names a point in the timeline so steps can be positioned relative to it.
+@param {string} name            - Name of the label.
+@param {double|string} position - Where the label is, see Timeline. End of the timeline by default.
+
+@return {Timeline} this timeline, for chaining
+*/
+Timeline.prototype.addLabel = function(name, position) {
+    this.labels[name] = this.resolvePosition(position);
+    return this;
+};
+
+/**
+Leaves a gap before the next step added in sequence.
+@param {double} seconds - Length of the gap.
+
+@return {Timeline} this timeline, for chaining
+*/
+Timeline.prototype.addDelay = function(seconds) {
+    this.endTime += seconds;
+    return this;
+};
+
+// Name addDelay had before, kept for sketches that still use it
+Timeline.prototype.delay = Timeline.prototype.addDelay;
+
+/**
+@return {double} Number of seconds until the last step has finished, or the end
+                 of a gap left after it with addDelay
+*/
+Timeline.prototype.getDuration = function() {
+    var duration = this.endTime;
+    
+    for (var i = 0; i < this.steps.length; i++) {
+        duration = Math.max(duration, this.steps[i].offset + this.steps[i].step.getTotalDuration());
+    }
+    
+    return duration;
+};
+
+/**
+Writes the state every step has at a given time to its target. Steps that
+have not started yet are left alone.
+@param {double} timePassed - Seconds into the iteration of the timeline.
+*/
+Timeline.prototype.render = function(timePassed) {
+    
+    for (var i = 0; i < this.steps.length; i++) {
+        var entry = this.steps[i];
+        var stepTime = timePassed - entry.offset;
+        var stepDuration = entry.step.getTotalDuration();
+        
+        // Going back to before a step started (a repeat, or seeking) lets it start again
+        if (stepTime < 0) {
+            entry.step.rewind();
+            continue;
+        }
+        
+        entry.step.renderTotal(Math.min(stepTime, stepDuration));
+        
+        if (stepTime >= stepDuration && !entry.step.isComplete) {
+            entry.step.complete();
+        }
+    }
+};
+
+/**
+@return {Array} Every {target, name} pair the steps of this timeline write to
+*/
+Timeline.prototype.getAnimatedProperties = function() {
+    var animated = [];
+    
+    for (var i = 0; i < this.steps.length; i++) {
+        animated = animated.concat(this.steps[i].step.getAnimatedProperties());
+    }
+    
+    return animated;
+};
+
+/**
+Stops every step from animating the given properties.
+@param {Array} properties - {target, name} pairs to give up.
+
+@return {Boolean} Whether any step still has properties to animate
+*/
+Timeline.prototype.releaseProperties = function(properties) {
+    var hasProperties = false;
+    
+    for (var i = 0; i < this.steps.length; i++) {
+        if (this.steps[i].step.releaseProperties(properties)) {
+            hasProperties = true;
+        }
+    }
+    
+    return hasProperties;
+};
+
+/**
+Interrupts the timeline along with every step that was part way through.
+*/
+Timeline.prototype.interrupt = function() {
+    Playback.prototype.interrupt.call(this);
+    
+    for (var i = 0; i < this.steps.length; i++) {
+        var step = this.steps[i].step;
+        
+        if (step.hasRendered && !step.isComplete && !step.isInterrupted) {
+            step.interrupt();
+        }
+    }
+};
+
+/**
+Puts the timeline and every step back in their not-yet-started state.
+*/
+Timeline.prototype.rewind = function() {
+    Playback.prototype.rewind.call(this);
+    
+    for (var i = 0; i < this.steps.length; i++) {
+        this.steps[i].step.rewind();
+    }
+};
+
+/**
+Forgets the start values captured by every step.
+*/
+Timeline.prototype.reset = function() {
+    for (var i = 0; i < this.steps.length; i++) {
+        this.steps[i].step.reset();
+    }
+};
+
+/**
+Animates numeric properties of any object. The animation runs as part of an
+AnimatableShape's animations: the target itself when it is one, otherwise options.owner.
+@param {object} target     - Object whose properties are animated.
+@param {object} properties - Destination value of each property, e.g. {rotation: 90}.
+@param {object} options    - See Animation, plus:
+@option {AnimatableShape} owner - Shape whose updates drive the animation. Defaults to target.
+
+@return {Animation} the running animation
+*/
+var animate = function(target, properties, options) {
+    var owner = (options && options.owner) || target;
+    
+    if (!(owner instanceof AnimatableShape)) {
+        throw new Error("animate() needs an AnimatableShape to run on, pass one as options.owner");
+    }
+    
+    return owner.play(new Animation(target, properties, options));
+};
+
+// AnimatableShape
+/**
+An object that has a (x, y) coordinate, width, and height
+with the ability to perform arithmetic operations on it's property
+to create animations.
+
+(x, y) is where the shape's anchor point sits, by default its centre. The shape
+rotates, skews and scales around the anchor, see getTransform, so animations of
+those leave width and height as they are.
+
+@param {int} x           - X position of the shape's anchor.
+@param {int} y           - Y position of the shape's anchor.
+@param {int} shapeWidth  - Width of the shape.
+@param {int} shapeHeight - Height of the shape.
+@param {object} clock    - Clock driving this shape's animations. Defaults to animationClock.
+*/
+var AnimatableShape = function(x, y, shapeWidth, shapeHeight, clock) {
+    this.x = x;
+    this.y = y;
+    
+    this.width = shapeWidth;
+    this.height = shapeHeight;
+    
+    // Degrees clockwise around (x, y), as rotate() takes them
+    this.rotation = 0;
+    
+    // Multiples of width and height drawn at, negative to flip
+    this.scaleX = 1;
+    this.scaleY = 1;
+    
+    // Degrees the shape is slanted by along each axis
+    this.skewX = 0;
+    this.skewY = 0;
+    
+    // Point placed at (x, y), as fractions of width and height from the top left corner
+    this.anchorX = 0.5;
+    this.anchorY = 0.5;
+    
+    this.clock = clock || null;
+    
+    // Colours as [r, g, b, a], see Colour. Set to null for no fill or stroke
+    this.fillColour = [255, 255, 255, 255];
+    this.strokeColour = [0, 0, 0, 255];
+    this.strokeWeight = 1;
+    
+    // From 0 (transparent) to 1 (opaque), applied on top of the colours' alpha
+    this.opacity = 1;
+    
+    // AnimatableGroup the shape is in, whose transform and opacity apply on top of its own
+    this.parent = null;
+    this.isVisible = true;
+    this.isRemoved = false;
+    
+    // Scale before an exit collapsed the shape, so the next entrance can restore it
+    this.exitedScale = null;
+    
+    // Opacity before a fade exit, restored by the next entrance the same way
+    this.exitedOpacity = null;
+    
+    // Animations and timelines currently playing, in the order they were started
+    this.animations = [];
+    
+    // Most recent animations started by tween and stretchIn
+    this.animationTween = null;
+    this.animationStretch = null;
+    this.animationShrink = null;
+    this.animationStretchIn = null;
+    
+    // Set by makeDraggable
+    this.draggable = null;
+};
+
+// Named anchor points as [anchorX, anchorY], see setAnchor
+AnimatableShape.ANCHORS = {
+    "center": [0.5, 0.5],
+    "top-left": [0, 0],
+    "top": [0.5, 0],
+    "top-right": [1, 0],
+    "left": [0, 0.5],
+    "right": [1, 0.5],
+    "bottom-left": [0, 1],
+    "bottom": [0.5, 1],
+    "bottom-right": [1, 1]
+};
+
+/**
+Moves the point the shape is positioned, rotated and scaled around.
+@param {string|Array} anchor - Name from AnimatableShape.ANCHORS, or [anchorX, anchorY]
+                               as fractions of width and height from the top left corner.
+@param {Boolean} keepInPlace - Whether to move (x, y) to the new anchor so the shape stays where it is drawn.
+                               Otherwise the shape moves so the new anchor sits at (x, y).
+
+@return {AnimatableShape} the shape, for chaining
+*/
+AnimatableShape.prototype.setAnchor = function(anchor, keepInPlace) {
+    if (typeof anchor === "string") {
+        if (!AnimatableShape.ANCHORS.hasOwnProperty(anchor)) {
+            throw new Error("Unknown anchor '" + anchor + "', expected one of " + 
+                            Object.keys(AnimatableShape.ANCHORS).join(", ") + " or [x, y]");
+        }
+        anchor = AnimatableShape.ANCHORS[anchor];
+    }
+    
+    if (keepInPlace) {
+        var position = Matrix.apply(this.getTransform(), anchor[0] * this.width, anchor[1] * this.height);
+        this.x = position.x;
+        this.y = position.y;
+    }
+    
+    this.anchorX = anchor[0];
+    this.anchorY = anchor[1];
+    
+    return this;
+};
+
+/**
+Transform from the shape's own coordinates, where its box spans (0, 0) to
+(width, height), to the canvas. Places the anchor at (x, y), then rotates, skews
+and scales around it.
+@return {Array} the transform, see Matrix
+*/
+AnimatableShape.prototype.getTransform = function() {
+    return Matrix.compose(Matrix.translation(this.x, this.y),
+                          Matrix.rotation(this.rotation),
+                          Matrix.skewing(this.skewX, this.skewY),
+                          Matrix.scaling(this.scaleX, this.scaleY),
+                          Matrix.translation(-this.anchorX * this.width, -this.anchorY * this.height));
+};
+
+/**
+@return {Array} the transform from the shape's own coordinates to the canvas,
+                through every group it is in, see Matrix
+*/
+AnimatableShape.prototype.getWorldTransform = function() {
+    var transform = this.getTransform();
+    return this.parent ? Matrix.multiply(this.parent.getWorldTransform(), transform) : transform;
+};
+
+/**
+@return {double} opacity the shape is drawn at, including that of every group it is in
+*/
+AnimatableShape.prototype.getOpacity = function() {
+    return this.parent ? this.opacity * this.parent.getOpacity() : this.opacity;
+};
+
+/**
+Transforms the renderer so the shape can be drawn in its own coordinates, see getTransform.
+@param {object} renderer - Renderer to draw with.
+*/
+AnimatableShape.prototype.applyTransform = function(renderer) {
+    renderer.transform.apply(renderer, this.getTransform());
+};
+
+/**
+@param {Array} transform - Transform to measure through. Defaults to getTransform(), measuring
+                           in the coordinates (x, y) are in: the canvas, or the group the shape is in.
+
+@return {object} the smallest upright box around the shape as drawn, as {left, top, right, bottom}
+*/
+AnimatableShape.prototype.getBounds = function(transform) {
+    transform = transform || this.getTransform();
+    var corners = [Matrix.apply(transform, 0, 0),
+                   Matrix.apply(transform, this.width, 0),
+                   Matrix.apply(transform, 0, this.height),
+                   Matrix.apply(transform, this.width, this.height)];
+    var xs = corners.map(function(corner) {
+        return corner.x;
+    });
+    var ys = corners.map(function(corner) {
+        return corner.y;
+    });
+    
+    return {
+        left: Math.min.apply(null, xs),
+        top: Math.min.apply(null, ys),
+        right: Math.max.apply(null, xs),
+        bottom: Math.max.apply(null, ys)
+    };
+};
+
+/**
+Gets the shape ready for an entrance: shown again, at the scale and opacity it had
+before an exit collapsed or faded it.
+*/
+AnimatableShape.prototype.prepareEntrance = function() {
+    if (this.exitedScale) {
+        this.scaleX = this.exitedScale.scaleX;
+        this.scaleY = this.exitedScale.scaleY;
+        this.exitedScale = null;
+    }
+    
+    if (this.exitedOpacity !== null) {
+        this.opacity = this.exitedOpacity;
+        this.exitedOpacity = null;
+    }
+    
+    this.isVisible = true;
+};
+
+/**
+@return {double} Current time in milliseconds, read from the shape's clock
+*/
+AnimatableShape.prototype.now = function() {
+    return (this.clock || animationClock).now();
+};
+
+/**
+Starts an animation or timeline on this shape's clock. It runs each time the shape
+updates until it finishes. Properties it shares with animations already running
+are resolved by its overwrite rule, see Animation.
+@param {Animation|Timeline} animation - Animation or timeline to run.
+
+@return {Animation|Timeline} the animation, for keeping a reference
+*/
+AnimatableShape.prototype.play = function(animation) {
+    this.stop(animation);
+    
+    if (animation.animOverwrite === "auto") {
+        var claimed = animation.getAnimatedProperties();
+        
+        // Shapes animated through a timeline played here may be running their own animations
+        var owners = [this];
+        for (var c = 0; c < claimed.length; c++) {
+            if (claimed[c].target instanceof AnimatableShape && owners.indexOf(claimed[c].target) === -1) {
+                owners.push(claimed[c].target);
+            }
+        }
+        
+        for (var o = 0; o < owners.length; o++) {
+            var running = owners[o].animations.slice();
+            
+            for (var i = 0; i < running.length; i++) {
+                if (!running[i].releaseProperties(claimed)) {
+                    owners[o].stop(running[i]);
+                }
+            }
+        }
+    }
+    
+    animation.start(this.now());
+    this.animations.push(animation);
+    animationTicker.add(animation, this);
+    
+    return animation;
+};
+
+/**
+Stops an animation or timeline, leaving the shape where it currently is.
+Interrupts it if it had not finished yet.
+@param {Animation|Timeline} animation - Animation or timeline to stop.
+*/
+AnimatableShape.prototype.stop = function(animation) {
+    var index = this.animations.indexOf(animation);
+    
+    if (index !== -1) {
+        this.animations.splice(index, 1);
+        animationTicker.remove(animation);
+    }
+    
+    if (animation.isAnimating) {
+        animation.interrupt();
+    }
+};
+
+/**
+Animates numeric properties of this shape, including custom fields of subclasses.
+See Animation for the options.
+@param {object} properties - Destination value of each property, e.g. {x: 200, width: 40}.
+@param {object} options    - Duration, easing, etc. of the animation.
+
+@return {Animation} the running animation
+*/
+AnimatableShape.prototype.animate = function(properties, options) {
+    return this.play(new Animation(this, properties, options));
+};
+
+/**
+Tweens the shape to a destination within number of seconds.
+@param {int} finalX      - X position where the shape stops animating.
+@param {int} finalY      - Y position where the shape stops animating.
+@param {double} duration - Number of seconds till the animation has finished.
+@param {function|string} easing - Easing curve of the movement. Defaults to "easeOutQuad".
+
+@return {Animation} the tween, which can be waited on with then()
+*/
+AnimatableShape.prototype.tween = function(finalX, finalY, duration, easing) {
+    
+    this.animationTween = this.animate({ x: finalX, y: finalY }, {
+        duration: duration,
+        easing: easing || "easeOutQuad"
+    });
+                                        
+    return this.animationTween;
+};
+
+/**
+Stretches the shape to a given scale then shrinks back to the original size
+in succession.
+@param {double} maxScale - Maximum scale of the shape to stretch to.
+@param {double} duration - Number of seconds till the animation has finished.
+@param {function|string} stretchEasing - Easing curve of the stretch. Defaults to "easeOutQuad".
+@param {function|string} shrinkEasing  - Easing curve of the shrink. Defaults to "easeInQuad".
+
+@return {Timeline} the stretch followed by the shrink, which can be waited on with then()
+*/
+AnimatableShape.prototype.stretchIn = function(maxScale, duration, stretchEasing, shrinkEasing) {
+
+    if (maxScale < 1.0){
+        maxScale = 1;
+    }
+    
+    // Stretching again mid-way should not take the stretched scale as the original
+    if (this.animationStretchIn && this.animationStretchIn.isAnimating) {
+        var originalScale = this.animationShrink.animDestinations;
+        
+        this.stop(this.animationStretchIn);
+        this.scaleX = originalScale.scaleX;
+        this.scaleY = originalScale.scaleY;
+    }
+    
+    this.prepareEntrance();
+    
+    var totalScaleChange = (maxScale + maxScale - 1);
+    var durationOfStretch = (maxScale/ totalScaleChange) * duration;
+    
+    var stretchedScale = { scaleX: maxScale * this.scaleX, scaleY: maxScale * this.scaleY };
+    
+    // Animation for stretching to 'maxScale' of the shape
+    this.animationStretch = new Animation(this, stretchedScale, {
+        duration: durationOfStretch,
+        easing: stretchEasing || "easeOutQuad",
+        from: { scaleX: 0, scaleY: 0 }
+    });
+    
+    // Animation for shrinking to the original scale of the shape
+    this.animationShrink = new Animation(this, { scaleX: this.scaleX, scaleY: this.scaleY }, {
+        duration: duration - durationOfStretch,
+        easing: shrinkEasing || "easeInQuad",
+        from: stretchedScale
+    });
+    
+    this.animationStretchIn = Timeline.sequence([this.animationStretch, this.animationShrink]);
+    
+    return this.play(this.animationStretchIn);
+};
+
+/**
+Fades the shape in to fully opaque.
+@param {double} duration - Number of seconds till the animation has finished.
+@param {function|string} easing - Easing curve of the fade. Defaults to "easeOutQuad".
+
+@return {Animation} the fade, which can be waited on with then()
+*/
+AnimatableShape.prototype.fadeIn = function(duration, easing) {
+    this.isVisible = true;
+    
+    // Fading in already undoes the fade exit
+    this.exitedOpacity = null;
+    
+    return this.animate({ opacity: 1 }, {
+        duration: duration,
+        easing: easing || "easeOutQuad"
+    });
+};
+
+/**
+Grows the shape from nothing while spinning it into its current rotation.
+@param {double} turns    - Number of full turns to spin, negative for anticlockwise. Defaults to 1.
+@param {double} duration - Number of seconds till the animation has finished.
+@param {function|string} easing - Easing curve of the spin. Defaults to "easeOutCubic".
+
+@return {Animation} the spin, which can be waited on with then()
+*/
+AnimatableShape.prototype.spinIn = function(turns, duration, easing) {
+    this.prepareEntrance();
+    
+    turns = turns === undefined ? 1 : turns;
+    
+    return this.animate({ 
+        rotation: this.rotation, 
+        scaleX: this.scaleX, 
+        scaleY: this.scaleY 
+    }, {
+        duration: duration,
+        easing: easing || "easeOutCubic",
+        from: { rotation: this.rotation - 360 * turns, scaleX: 0, scaleY: 0 }
+    });
+};
+
+/**
+Flips the shape in like a card turning over, from edge on to face on.
+@param {string} axis     - "x" to turn about the vertical line through the anchor, "y" about the horizontal one.
+@param {double} duration - Number of seconds till the animation has finished.
+@param {function|string} easing - Easing curve of the flip. Defaults to "easeOutBack".
+
+@return {Animation} the flip, which can be waited on with then()
+*/
+AnimatableShape.prototype.flipIn = function(axis, duration, easing) {
+    var property = { x: "scaleX", y: "scaleY" }[axis];
+    
+    if (!property) {
+        throw new Error("Unknown axis '" + axis + "', expected x or y");
+    }
+    
+    this.prepareEntrance();
+    
+    var destination = {};
+    var from = {};
+    
+    destination[property] = this[property];
+    from[property] = 0;
+    
+    return this.animate(destination, {
+        duration: duration,
+        easing: easing || "easeOutBack",
+        from: from
+    });
+};
+
+/**
+Moves the shape along a path at an even speed.
+@param {MotionPath} path - BezierPath, PolylinePath, ArcPath or other path to travel along.
+@param {double} duration - Number of seconds till the animation has finished.
+@param {function|string} easing - Easing curve over the whole path. Defaults to "easeOutQuad".
+@param {Boolean} autoRotate     - Whether to turn the shape to face the direction of travel.
+
+@return {PathAnimation} the movement, which can be waited on with then()
+*/
+AnimatableShape.prototype.followPath = function(path, duration, easing, autoRotate) {
+    return this.play(new PathAnimation(this, path, {
+        duration: duration,
+        easing: easing || "easeOutQuad",
+        autoRotate: autoRotate
+    }));
+};
+
+/**
+Pulls numeric properties of this shape towards the given values with a spring.
+If a spring is already moving all of these properties it is retargeted, keeping
+its velocity, otherwise a new spring starts with the velocity of any spring it takes over from.
+@param {object} properties - Destination value of each property, e.g. {x: mouseX, y: mouseY}.
+@param {object} options    - Stiffness, damping etc. of the spring, see SpringAnimation. A retargeted
+                             spring takes on the stiffness, damping, mass and rest thresholds given.
+
+@return {SpringAnimation} the spring, which can be waited on with then()
+*/
+AnimatableShape.prototype.springTo = function(properties, options) {
+    var name;
+    var velocity = {};
+    
+    for (var i = this.animations.length - 1; i >= 0; i--) {
+        var running = this.animations[i];
+        
+        if (!(running instanceof SpringAnimation) || running.animTarget !== this) {
+            continue;
+        }
+        
+        var coversAll = true;
+        for (name in properties) {
+            if (!running.animDestinations.hasOwnProperty(name)) {
+                coversAll = false;
+            } else if (!velocity.hasOwnProperty(name)) {
+                velocity[name] = running.getVelocity(name);
+            }
+        }
+        
+        if (coversAll) {
+            running.retarget(properties);
+            running.setPhysics(options || {});
+            return running;
+        }
+    }
+    
+    options = options || {};
+    
+    var springOptions = {};
+    for (name in options) {
+        springOptions[name] = options[name];
+    }
+    springOptions.velocity = options.velocity || velocity;
+    
+    return this.play(new SpringAnimation(this, properties, springOptions));
+};
+
+/**
+@return {object} the shape's layout as {x, y, width, height}, see animateLayout
+*/
+AnimatableShape.prototype.getLayout = function() {
+    return { x: this.x, y: this.y, width: this.width, height: this.height };
+};
+
+/**
+Builds the animation from an earlier layout to the shape's current one, and
+puts the shape back at the earlier layout until it plays, so nothing jumps.
+@param {object} from     - Earlier layout, from getLayout().
+@param {double} duration - Number of seconds till the shape reaches its current layout.
+@param {function|string} easing - Easing curve of the change. Defaults to "easeOutQuad".
+
+@return {Animation} the layout change, or null if the layout is the same
+*/
+AnimatableShape.prototype.createLayoutAnimation = function(from, duration, easing) {
+    var destinations = {};
+    var starts = {};
+    var isChanged = false;
+    
+    for (var name in from) {
+        if (from.hasOwnProperty(name) && from[name] !== this[name]) {
+            destinations[name] = this[name];
+            starts[name] = from[name];
+            this[name] = from[name];
+            isChanged = true;
+        }
+    }
+    
+    if (!isChanged) {
+        return null;
+    }
+    
+    return new Animation(this, destinations, {
+        duration: duration,
+        easing: easing || "easeOutQuad",
+        from: starts
+    });
+};
+
+/**
+Animates from an earlier layout to where and how big the shape is now. Record
+the layout, change x, y, width and height however the layout code likes, then
+call this:
+    var before = shape.getLayout();
+    shape.x = 40;
+    shape.width = 200;
+    shape.animateLayout(before, 0.4);
+@param {object} from     - Earlier layout, from getLayout().
+@param {double} duration - Number of seconds till the shape reaches its current layout.
+@param {function|string} easing - Easing curve of the change. Defaults to "easeOutQuad".
+
+@return {Animation} the layout change, or null if the layout is the same
+*/
+AnimatableShape.prototype.animateLayout = function(from, duration, easing) {
+    var animation = this.createLayoutAnimation(from, duration, easing);
+    
+    return animation ? this.play(animation) : null;
+};
+
+/**
+Changes the shape's layout and animates to it.
+@param {function} applyLayout - Sets the new x, y, width and height, called with the shape as this.
+@param {double} duration      - Number of seconds till the shape reaches the new layout.
+@param {function|string} easing - Easing curve of the change. Defaults to "easeOutQuad".
+
+@return {Animation} the layout change, or null if the layout is the same
+*/
+AnimatableShape.prototype.layoutTransition = function(applyLayout, duration, easing) {
+    var before = this.getLayout();
+    
+    applyLayout.call(this);
+    
+    return this.animateLayout(before, duration, easing);
+};
+
+/**
+Lets the shape be dragged, flung and snapped with the mouse, see Draggable.
+@param {object} options - Axis, bounds, snap points etc., see Draggable.
+
+@return {Draggable} the widget to add to a WidgetManager, also kept in the draggable field
+*/
+AnimatableShape.prototype.makeDraggable = function(options) {
+    this.draggable = new Draggable(this, options);
+    return this.draggable;
+};
+
+/**
+Plays keyframes on this shape, see Keyframes.
+@param {string|object} keyframes - Keyframes as JSON text or as an object.
+
+@return {Timeline} the running keyframes, which can be waited on with then()
+*/
+AnimatableShape.prototype.playKeyframes = function(keyframes) {
+    return this.play(Keyframes.toTimeline(keyframes, this));
+};
+
+/**
+Tweens the fill colour of the shape.
+@param {Array|string|int} colour - Final fill colour, see Colour.parse.
+@param {double} duration - Number of seconds till the animation has finished.
+@param {function|string} easing - Easing curve of the change. Defaults to "easeOutQuad".
+@param {string} space    - Colour space to blend in, see Colour. Defaults to "rgb".
+
+@return {ColourAnimation} the tween, which can be waited on with then()
+*/
+AnimatableShape.prototype.tweenFill = function(colour, duration, easing, space) {
+    return this.play(new ColourAnimation(this, "fillColour", colour, {
+        duration: duration,
+        easing: easing || "easeOutQuad",
+        space: space
+    }));
+};
+
+/**
+Tweens the stroke colour of the shape.
+@param {Array|string|int} colour - Final stroke colour, see Colour.parse.
+@param {double} duration - Number of seconds till the animation has finished.
+@param {function|string} easing - Easing curve of the change. Defaults to "easeOutQuad".
+@param {string} space    - Colour space to blend in, see Colour. Defaults to "rgb".
+
+@return {ColourAnimation} the tween, which can be waited on with then()
+*/
+AnimatableShape.prototype.tweenStroke = function(colour, duration, easing, space) {
+    return this.play(new ColourAnimation(this, "strokeColour", colour, {
+        duration: duration,
+        easing: easing || "easeOutQuad",
+        space: space
+    }));
+};
+
+/**
+Pulses the fill colour of the shape to a colour and back again.
+@param {Array|string|int} colour - Colour at the peak of each pulse, see Colour.parse.
+@param {double} duration - Number of seconds each pulse lasts, there and back.
+@param {int} pulses      - Number of pulses, -1 for forever. Defaults to 1.
+@param {string} space    - Colour space to blend in, see Colour. Defaults to "rgb".
+
+@return {ColourAnimation} the pulse, which can be waited on with then()
+*/
+AnimatableShape.prototype.pulseFill = function(colour, duration, pulses, space) {
+    pulses = pulses || 1;
+    
+    return this.play(new ColourAnimation(this, "fillColour", colour, {
+        duration: duration / 2,
+        easing: "easeInOutSine",
+        space: space,
+        yoyo: true,
+        repeat: pulses < 0 ? -1 : pulses * 2 - 1
+    }));
+};
+
+/**
+Sets the fill and stroke this shape is drawn with, including its opacity and that of its groups.
+@param {object} renderer - Renderer to draw with, see Renderers.
+*/
+AnimatableShape.prototype.applyStyle = function(renderer) {
+    var fillColour = this.fillColour;
+    var strokeColour = this.strokeColour;
+    
+    var opacity = this.getOpacity();
+    
+    renderer.setFill(fillColour && [fillColour[0], fillColour[1], fillColour[2], alphaOf(fillColour) * opacity]);
+    renderer.setStroke(strokeColour && [strokeColour[0], strokeColour[1], strokeColour[2], alphaOf(strokeColour) * opacity], 
+                       this.strokeWeight);
+};
+
+// Exit animations
+// Each exit takes an optional finish behaviour as its last argument:
+//     "hide"   - hide the shape once the exit completes, see isVisible
+//     "remove" - remove the shape once the exit completes, see remove()
+// Nothing happens if the exit is interrupted. Any other finish behaviour throws
+// before the exit starts.
+
+/**
+Throws if an exit's finish behaviour is not one of those above.
+@param {string} finishBehaviour - "hide", "remove" or nothing.
+*/
+AnimatableShape.checkFinishBehaviour = function(finishBehaviour) {
+    if (finishBehaviour && finishBehaviour !== "hide" && finishBehaviour !== "remove") {
+        throw new Error("Unknown finish behaviour '" + finishBehaviour + "', expected hide or remove");
+    }
+};
+
+/**
+Stretches the shape to a given scale then collapses it to nothing
+in succession. The counterpart of stretchIn.
+@param {double} maxScale - Maximum scale of the shape to stretch to.
+@param {double} duration - Number of seconds till the animation has finished.
+@param {function|string} stretchEasing  - Easing curve of the stretch. Defaults to "easeOutQuad".
+@param {function|string} collapseEasing - Easing curve of the collapse. Defaults to "easeInQuad".
+@param {string} finishBehaviour - "hide", "remove" or nothing, see above.
+
+@return {Timeline} the stretch followed by the collapse, which can be waited on with then()
+*/
+AnimatableShape.prototype.stretchOut = function(maxScale, duration, stretchEasing, collapseEasing, finishBehaviour) {
+    AnimatableShape.checkFinishBehaviour(finishBehaviour);
+    
+    if (maxScale < 1.0){
+        maxScale = 1;
+    }
+    
+    this.exitedScale = this.exitedScale || { scaleX: this.scaleX, scaleY: this.scaleY };
+    
+    // Mirror of stretchIn: grow by (maxScale - 1), then collapse by maxScale
+    var totalScaleChange = (maxScale + maxScale - 1);
+    var durationOfStretch = ((maxScale - 1) / totalScaleChange) * duration;
+    
+    var stretchedScale = { scaleX: maxScale * this.scaleX, scaleY: maxScale * this.scaleY };
+    
+    var stretch = new Animation(this, stretchedScale, {
+        duration: durationOfStretch,
+        easing: stretchEasing || "easeOutQuad"
+    });
+    
+    var collapse = new Animation(this, { scaleX: 0, scaleY: 0 }, {
+        duration: duration - durationOfStretch,
+        easing: collapseEasing || "easeInQuad",
+        from: stretchedScale
+    });
+    
+    return this.finishExit(this.play(Timeline.sequence([stretch, collapse])), finishBehaviour);
+};
+
+/**
+Slides the shape until it is just past an edge of the canvas. Shapes in a group
+slide along the canvas too, however the group is moved, scaled or turned.
+@param {string} edge     - "left", "right", "top" or "bottom".
+@param {double} duration - Number of seconds till the animation has finished.
+@param {function|string} easing - Easing curve of the movement. Defaults to "easeInQuad".
+@param {string} finishBehaviour - "hide", "remove" or nothing, see above.
+
+@return {Animation} the slide, which can be waited on with then()
+*/
+AnimatableShape.prototype.slideOut = function(edge, duration, easing, finishBehaviour) {
+    AnimatableShape.checkFinishBehaviour(finishBehaviour);
+    
+    // Move just far enough for the shape as drawn to clear the edge, measured on the canvas
+    var bounds = this.getBounds(this.getWorldTransform());
+    var shifts = {
+        left: { x: -bounds.right, y: 0 },
+        right: { x: width - bounds.left, y: 0 },
+        top: { x: 0, y: -bounds.bottom },
+        bottom: { x: 0, y: height - bounds.top }
+    };
+    
+    if (!shifts.hasOwnProperty(edge)) {
+        throw new Error("Unknown edge '" + edge + "', expected left, right, top or bottom");
+    }
+    
+    var shift = shifts[edge];
+    var inverse = this.parent && Matrix.invert(this.parent.getWorldTransform());
+    
+    // The same shift in the group's coordinates, which a turned group spreads over x and y
+    if (inverse) {
+        var origin = Matrix.apply(inverse, 0, 0);
+        var shifted = Matrix.apply(inverse, shift.x, shift.y);
+        shift = { x: shifted.x - origin.x, y: shifted.y - origin.y };
+    }
+    
+    var destination = {};
+    
+    if (shift.x !== 0) {
+        destination.x = this.x + shift.x;
+    }
+    if (shift.y !== 0) {
+        destination.y = this.y + shift.y;
+    }
+    
+    var slide = this.animate(destination, {
+        duration: duration,
+        easing: easing || "easeInQuad"
+    });
+    
+    return this.finishExit(slide, finishBehaviour);
+};
+
+/**
+Shrinks the shape to nothing, optionally moving towards a point while doing so.
+@param {double} duration - Number of seconds till the animation has finished.
+@param {function|string} easing - Easing curve of the shrink. Defaults to "easeInQuad".
+@param {int} pointX      - X position to shrink towards. Defaults to the shape's x.
+@param {int} pointY      - Y position to shrink towards. Defaults to the shape's y.
+@param {string} finishBehaviour - "hide", "remove" or nothing, see above.
+
+@return {Animation} the shrink, which can be waited on with then()
+*/
+AnimatableShape.prototype.shrinkToPoint = function(duration, easing, pointX, pointY, finishBehaviour) {
+    AnimatableShape.checkFinishBehaviour(finishBehaviour);
+    
+    this.exitedScale = this.exitedScale || { scaleX: this.scaleX, scaleY: this.scaleY };
+    
+    var shrink = this.animate({
+        x: pointX === undefined ? this.x : pointX,
+        y: pointY === undefined ? this.y : pointY,
+        scaleX: 0,
+        scaleY: 0
+    }, {
+        duration: duration,
+        easing: easing || "easeInQuad"
+    });
+    
+    return this.finishExit(shrink, finishBehaviour);
+};
+
+/**
+Fades the shape out to fully transparent. The counterpart of fadeIn.
+@param {double} duration - Number of seconds till the animation has finished.
+@param {function|string} easing - Easing curve of the fade. Defaults to "easeInQuad".
+@param {string} finishBehaviour - "hide", "remove" or nothing, see above.
+
+@return {Animation} the fade, which can be waited on with then()
+*/
+AnimatableShape.prototype.fadeOut = function(duration, easing, finishBehaviour) {
+    AnimatableShape.checkFinishBehaviour(finishBehaviour);
+    
+    if (this.exitedOpacity === null) {
+        this.exitedOpacity = this.opacity;
+    }
+    
+    var fade = this.animate({ opacity: 0 }, {
+        duration: duration,
+        easing: easing || "easeInQuad"
+    });
+    
+    return this.finishExit(fade, finishBehaviour);
+};
+
+/**
+Applies an exit's finish behaviour once the exit completes.
+@param {Animation|Timeline} exit - The running exit.
+@param {string} finishBehaviour  - "hide", "remove" or nothing, already checked.
+
+@return {Animation|Timeline} the exit
+*/
+AnimatableShape.prototype.finishExit = function(exit, finishBehaviour) {
+    var shape = this;
+    
+    if (finishBehaviour === "hide") {
+        exit.then(function(result) {
+            if (!result.interrupted) {
+                shape.isVisible = false;
+            }
+        });
+    } else if (finishBehaviour === "remove") {
+        exit.then(function(result) {
+            if (!result.interrupted) {
+                shape.remove();
+            }
+        });
+    }
+    
+    return exit;
+};
+
+/**
+Takes the shape out of the scene: stops its animations and stops it from being drawn.
+*/
+AnimatableShape.prototype.remove = function() {
+    var running = this.animations.slice();
+    
+    for (var i = 0; i < running.length; i++) {
+        this.stop(running[i]);
+    }
+    
+    this.isVisible = false;
+    this.isRemoved = true;
+};
+
+/**
+@return {Boolean} Whether the shape should be drawn this frame
+*/
+AnimatableShape.prototype.isShown = function() {
+    return this.isVisible && !this.isRemoved && this.opacity > 0;
+};
+
+/**
+Applies an easing curve to represent a distance and provides a position based on time passed 
+and given duration. See calculateEase.
+*/
+AnimatableShape.prototype.calculateEase = function(time, duration, distance, position, easing) {
+    return calculateEase(time, duration, distance, position, easing);
+};
+
+/**
+Applies a quadratic function to represent a distance and provides a vector based on time passed 
+and given duration
+ 
+@param {double} time - Time passed in same format as duration.
+@param {double} duration - Time alloted to cover the distance.
+@param {double} distance - Magnitude of change.
+@param {double} positon  - Initial starting position.
+
+@return {double} position represented by a quadratic equation based on time passed and 
+given duration 
+*/
+AnimatableShape.prototype.calculateEaseIn = function(time, duration, distance, position) {
+    return this.calculateEase(time, duration, distance, position, "easeInQuad");
+};
+
+/**
+Applies a quadratic function to represent a distance and provides a vector based on time passed and given duration
+ 
+@param {double} time - Time passed in same format as duration.
+@param {double} duration - Time alloted to cover the distance.
+@param {double} distance - Magnitude of change.
+@param {double} positon  - Initial starting position.
+
+@return {double} position represented by a quadratic equation based on time passed and given duration 
+*/
+AnimatableShape.prototype.calculateEaseOut = function(time, duration, distance, position) {
+    return this.calculateEase(time, duration, distance, position, "easeOutQuad");
+};
+
+/*
+Applies the necessary changes for animation based on the shapes acceleration, velocity, and scale factor
+at the current time of the shape's clock. Does not draw anything, so it can be stepped without a sketch.
+animationTicker does this for every shape each frame; this steps one shape on its own.
+*/
+AnimatableShape.prototype.update = function() {
+    
+    var time = this.now();
+    
+    // Iterate over a copy since finished animations are removed as we go
+    var animations = this.animations.slice();
+    
+    for (var i = 0; i < animations.length; i++) {
+        if (!animations[i].update(time)) {
+            this.stop(animations[i]);
+        }
+    }
+};
+
+/*
+Draws the shape as it is now. Subclasses draw themselves here; animations are
+advanced separately, see Ticker.
+@param {object} renderer - Renderer to draw with. Defaults to activeRenderer.
+*/
+AnimatableShape.prototype.draw = function(renderer) {};
+
+// Animatable Ellipse
+// See ellipse(x, y, w, h)
+var AnimatableEllipse = function(x, y, w, h, clock) {
+    AnimatableShape.call(this, x, y, w, h, clock);
+};
+
+// Inherit from AnimatableShape
+AnimatableEllipse.prototype = Object.create(AnimatableShape.prototype);
+
+AnimatableEllipse.prototype.draw = function(renderer) {
+    renderer = renderer || activeRenderer;
+    
+    if (!this.isShown()) {
+        return;
+    }
+    
+    this.applyStyle(renderer);
+    
+    renderer.save();
+    this.applyTransform(renderer);
+    renderer.ellipse(this.width / 2, this.height / 2, this.width, this.height);
+    renderer.restore();
+};
+
+// Animatable Rect
+/**
+Rectangle anchored at its centre like the ellipse, see setAnchor to pivot around a corner.
+@param {int} x            - X position of the anchor.
+@param {int} y            - Y position of the anchor.
+@param {int} w            - Width of the rectangle.
+@param {int} h            - Height of the rectangle.
+@param {int} cornerRadius - Radius of the rounded corners, animatable. Defaults to 0.
+@param {object} clock     - Clock driving this shape's animations. Defaults to animationClock.
+*/
+var AnimatableRect = function(x, y, w, h, cornerRadius, clock) {
+    AnimatableShape.call(this, x, y, w, h, clock);
+    
+    this.cornerRadius = cornerRadius || 0;
+};
+
+// Inherit from AnimatableShape
+AnimatableRect.prototype = Object.create(AnimatableShape.prototype);
+
+AnimatableRect.prototype.draw = function(renderer) {
+    renderer = renderer || activeRenderer;
+    
+    if (!this.isShown()) {
+        return;
+    }
+    
+    this.applyStyle(renderer);
+    
+    renderer.save();
+    this.applyTransform(renderer);
+    renderer.rect(0, 0, this.width, this.height, Math.max(0, this.cornerRadius));
+    renderer.restore();
+};
+
+// Animatable Polygon
+/**
+Shape through a list of points around (x, y). The anchor starts at the point the
+corners were given relative to, so the shape rotates and scales around (x, y).
+@param {int} x        - X position the points are relative to.
+@param {int} y        - Y position the points are relative to.
+@param {Array} points - Corners relative to (x, y), as PVector, {x, y} or [x, y].
+@param {object} clock - Clock driving this shape's animations. Defaults to animationClock.
+*/
+var AnimatablePolygon = function(x, y, points, clock) {
+    points = points.map(MotionPath.toPoint);
+    
+    var xs = points.map(function(point) {
+        return point.x;
+    });
+    var ys = points.map(function(point) {
+        return point.y;
+    });
+    var left = Math.min.apply(null, xs);
+    var top = Math.min.apply(null, ys);
+    
+    AnimatableShape.call(this, x, y, Math.max.apply(null, xs) - left, Math.max.apply(null, ys) - top, clock);
+    
+    // Corners in the shape's own coordinates, from the top left of their bounds
+    this.points = points.map(function(point) {
+        return { x: point.x - left, y: point.y - top };
+    });
+    
+    this.anchorX = this.width ? -left / this.width : 0.5;
+    this.anchorY = this.height ? -top / this.height : 0.5;
+};
+
+// Inherit from AnimatableShape
+AnimatablePolygon.prototype = Object.create(AnimatableShape.prototype);
+
+AnimatablePolygon.prototype.draw = function(renderer) {
+    renderer = renderer || activeRenderer;
+    
+    if (!this.isShown()) {
+        return;
+    }
+    
+    this.applyStyle(renderer);
+    
+    renderer.save();
+    this.applyTransform(renderer);
+    renderer.polygon(this.points.map(function(point) {
+        return [point.x, point.y];
+    }), true);
+    renderer.restore();
+};
+
+// Animatable Line
+/**
+Line between two points, anchored at its midpoint so it stretches and rotates
+about its middle. width and height are the signed distance from start to end.
+@param {int} x1       - X position of the start.
+@param {int} y1       - Y position of the start.
+@param {int} x2       - X position of the end.
+@param {int} y2       - Y position of the end.
+@param {object} clock - Clock driving this shape's animations. Defaults to animationClock.
+*/
+var AnimatableLine = function(x1, y1, x2, y2, clock) {
+    AnimatableShape.call(this, (x1 + x2) / 2, (y1 + y2) / 2, x2 - x1, y2 - y1, clock);
+    
+    // Lines have nothing to fill
+    this.fillColour = null;
+    
+    // How much of the line is drawn from its start, from 0 to 1
+    this.drawProgress = 1;
+};
+
+// Inherit from AnimatableShape
+AnimatableLine.prototype = Object.create(AnimatableShape.prototype);
+
+/**
+Draws the line on from its start to its end.
+@param {double} duration - Number of seconds till the animation has finished.
+@param {function|string} easing - Easing curve of the drawing. Defaults to "easeInOutQuad".
+
+@return {Animation} the drawing, which can be waited on with then()
+*/
+AnimatableLine.prototype.drawOn = function(duration, easing) {
+    this.isVisible = true;
+    
+    return this.animate({ drawProgress: 1 }, {
+        duration: duration,
+        easing: easing || "easeInOutQuad",
+        from: { drawProgress: 0 }
+    });
+};
+
+AnimatableLine.prototype.draw = function(renderer) {
+    renderer = renderer || activeRenderer;
+    
+    if (!this.isShown() || this.drawProgress <= 0) {
+        return;
+    }
+    
+    var progress = Math.min(1, this.drawProgress);
+    
+    this.applyStyle(renderer);
+    
+    renderer.save();
+    this.applyTransform(renderer);
+    renderer.line(0, 0, this.width * progress, this.height * progress);
+    renderer.restore();
+};
+
+// Animatable Text
+/**
+Single line of text, anchored at its centre. The box is measured once from the
+initial text; changing textSize afterwards resizes the characters within it.
+@param {int} x         - X position of the anchor.
+@param {int} y         - Y position of the anchor.
+@param {string} string - Text to show.
+@param {int} size      - Text size, animatable. Defaults to 19.
+@param {object} clock  - Clock driving this shape's animations. Defaults to animationClock.
+*/
+var AnimatableText = function(x, y, string, size, clock) {
+    this.text = String(string);
+    this.textSize = size || 19;
+    
+    AnimatableShape.call(this, x, y, activeRenderer.measureText(this.text, this.textSize), this.textSize, clock);
+    
+    // Text is filled, not outlined
+    this.fillColour = [0, 0, 0, 255];
+    this.strokeColour = null;
+    
+    // How much of the text is shown from its first character, from 0 to 1
+    this.revealProgress = 1;
+};
+
+// Inherit from AnimatableShape
+AnimatableText.prototype = Object.create(AnimatableShape.prototype);
+
+/**
+Reveals the text one character at a time.
+@param {double} duration - Number of seconds till the animation has finished.
+@param {function|string} easing - Easing curve of the reveal. Defaults to "linear".
+
+@return {Animation} the reveal, which can be waited on with then()
+*/
+AnimatableText.prototype.reveal = function(duration, easing) {
+    this.isVisible = true;
+    
+    return this.animate({ revealProgress: 1 }, {
+        duration: duration,
+        easing: easing || "linear",
+        from: { revealProgress: 0 }
+    });
+};
+
+/**
+@return {string} the characters currently revealed
+*/
+AnimatableText.prototype.getRevealedText = function() {
+    var count = Math.floor(Math.min(1, Math.max(0, this.revealProgress)) * this.text.length + 1e-9);
+    return this.text.substring(0, count);
+};
+
+AnimatableText.prototype.draw = function(renderer) {
+    renderer = renderer || activeRenderer;
+    
+    var revealedText = this.getRevealedText();
+    
+    if (!this.isShown() || revealedText.length === 0 || this.textSize <= 0) {
+        return;
+    }
+    
+    // Laid out by the whole text so characters don't move as they are revealed
+    var fullWidth = renderer.measureText(this.text, this.textSize);
+    
+    this.applyStyle(renderer);
+    
+    renderer.save();
+    this.applyTransform(renderer);
+    renderer.text(revealedText, (this.width - fullWidth) / 2, (this.height - this.textSize) / 2, this.textSize);
+    renderer.restore();
+};
+
+// Animatable Image
+/**
+Image drawn at the shape's width and height, anchored at its centre.
+@param {int} x          - X position of the anchor.
+@param {int} y          - Y position of the anchor.
+@param {PImage} picture - Image to draw, e.g. from getImage(). Canvas and SVG renderers take an image element or URL.
+@param {int} w          - Width to draw at. Defaults to the image's width.
+@param {int} h          - Height to draw at. Defaults to the image's height.
+@param {object} clock   - Clock driving this shape's animations. Defaults to animationClock.
+*/
+var AnimatableImage = function(x, y, picture, w, h, clock) {
+    AnimatableShape.call(this, x, y, w || picture.width, h || picture.height, clock);
+    
+    this.image = picture;
+};
+
+// Inherit from AnimatableShape
+AnimatableImage.prototype = Object.create(AnimatableShape.prototype);
+
+AnimatableImage.prototype.draw = function(renderer) {
+    renderer = renderer || activeRenderer;
+    
+    if (!this.isShown()) {
+        return;
+    }
+    
+    renderer.save();
+    this.applyTransform(renderer);
+    renderer.image(this.image, 0, 0, this.width, this.height, this.getOpacity());
+    renderer.restore();
+};
+
+// Animatable Group
+/**
+Holds other animatables so they can be moved, scaled, faded and entered together.
+Children are positioned in the group's own coordinates, which span (0, 0) to
+(width, height). With the default size of 0 that puts (0, 0) at the group's (x, y).
+Children keep running their own animations in those coordinates while the group
+animates on top of them.
+@param {int} x        - X position of the group's anchor.
+@param {int} y        - Y position of the group's anchor.
+@param {int} w        - Width of the group's box, used for anchoring. Defaults to 0.
+@param {int} h        - Height of the group's box, used for anchoring. Defaults to 0.
+@param {object} clock - Clock driving this group's animations. Defaults to animationClock.
+*/
+var AnimatableGroup = function(x, y, w, h, clock) {
+    AnimatableShape.call(this, x, y, w || 0, h || 0, clock);
+    
+    // Drawn in order, so later children are on top
+    this.children = [];
+};
+
+// Inherit from AnimatableShape
+AnimatableGroup.prototype = Object.create(AnimatableShape.prototype);
+
+/**
+Adds shapes or groups to the group, taking them out of any group they were in.
+@param {AnimatableShape} child - Shapes to add, any number of them.
+
+@return {AnimatableGroup} the group, for chaining
+*/
+AnimatableGroup.prototype.add = function() {
+    for (var i = 0; i < arguments.length; i++) {
+        var child = arguments[i];
+        
+        if (child.parent) {
+            child.parent.removeChild(child);
+        }
+        
+        child.parent = this;
+        this.children.push(child);
+    }
+    
+    return this;
+};
+
+/**
+Takes a shape out of the group. Its position stays in the group's coordinates.
+@param {AnimatableShape} child - Shape to take out.
+*/
+AnimatableGroup.prototype.removeChild = function(child) {
+    var index = this.children.indexOf(child);
+    
+    if (index !== -1) {
+        this.children.splice(index, 1);
+        child.parent = null;
+    }
+};
+
+/**
+Removes the group along with everything in it.
+*/
+AnimatableGroup.prototype.remove = function() {
+    AnimatableShape.prototype.remove.call(this);
+    
+    var children = this.children.slice();
+    
+    for (var i = 0; i < children.length; i++) {
+        children[i].remove();
+    }
+};
+
+AnimatableGroup.prototype.draw = function(renderer) {
+    renderer = renderer || activeRenderer;
+    
+    // Children removed since the last frame are dropped
+    var children = this.children.slice();
+    
+    for (var i = 0; i < children.length; i++) {
+        if (children[i].isRemoved) {
+            this.removeChild(children[i]);
+        }
+    }
+    
+    if (!this.isShown()) {
+        return;
+    }
+    
+    renderer.save();
+    this.applyTransform(renderer);
+    
+    for (var j = 0; j < this.children.length; j++) {
+        this.children[j].draw(renderer);
+    }
+    
+    renderer.restore();
+};
+
+// Draggable
+/**
+Lets a shape be dragged with the mouse. On release the shape keeps going with
+the speed it was let go at, slowing down exponentially, and then settles onto
+the nearest snap point or back inside its bounds with a spring.
+
+A Draggable is a widget: add it to a WidgetManager (e.g. a Scene's widgets),
+which draws the shape and passes it the mouse, so shapes over it are
+grabbed first. The shape is grabbed anywhere inside its box.
+
+@param {AnimatableShape} shape - Shape to drag.
+@param {object} options
+@option {string} axis          - "x" or "y" to only move along one axis. Defaults to both.
+@option {object} bounds        - Limits of the shape's x and y, as {left, top, right, bottom}, each optional.
+                                 Dragging past them meets resistance, and the shape springs back inside.
+@option {Array|function} snapPoints - Positions the shape settles on, nearest to where it would coast to.
+                                 Points as {x, y} or [x, y], plain numbers along a single axis, or a
+                                 function(point) returning the point to settle on.
+@option {double} timeConstant  - Seconds for a fling to lose most (63%) of its speed. Defaults to 0.325.
+@option {double} overscroll    - Fraction of the drag past the bounds that moves the shape. Defaults to 0.35.
+@option {double} stiffness, damping - Spring settling onto snap points and bounds, see SpringAnimation.
+@option {function} onDragStart()      - Called when the shape is grabbed
+@option {function} onDrag()           - Called each time the shape is dragged
+@option {function} onRelease(velocity) - Called when let go, with the velocity as {x, y} in pixels per second
+@option {function} onSettle()         - Called once the shape comes to rest after being let go
+*/
+var Draggable = function(shape, options) {
+    options = options || {};
+    
+    this.shape = shape;
+    this.axis = options.axis || null;
+    this.bounds = options.bounds || {};
+    this.snapPoints = options.snapPoints || null;
+    this.timeConstant = options.timeConstant || 0.325;
+    this.overscroll = options.overscroll === undefined ? 0.35 : options.overscroll;
+    this.springOptions = { stiffness: options.stiffness, damping: options.damping };
+    
+    this.onDragStart = options.onDragStart || function() {};
+    this.onDrag = options.onDrag || function() {};
+    this.onRelease = options.onRelease || function(velocity) {};
+    this.onSettle = options.onSettle || function() {};
+    
+    if (this.axis !== null && this.axis !== "x" && this.axis !== "y") {
+        throw new Error("Unknown axis '" + this.axis + "', expected x or y");
+    }
+    
+    // Widget fields, see WidgetManager
+    this.isVisible = true;
+    this.isEnabled = true;
+    this.isFocused = false;
+    
+    this.isDragging = false;
+    this.grabOffset = { x: 0, y: 0 };
+    
+    // Recent positions while dragging as {x, y, time}, for the release velocity
+    this.samples = [];
+    this.velocity = { x: 0, y: 0 };
+    this.settleAnimation = null;
+};
+
+// Milliseconds of dragging the release velocity is measured over
+Draggable.VELOCITY_WINDOW = 100;
+
+// Pixels per second below which letting go doesn't fling the shape
+Draggable.MIN_FLING_SPEED = 50;
+
+// Pixels from its end at which a fling counts as stopped
+Draggable.REST_DISTANCE = 0.5;
+
+/**
+@return {object} the mouse position as {x, y} in the coordinates the shape's x and y are in
+*/
+Draggable.prototype.getPointer = function() {
+    if (!this.shape.parent) {
+        return { x: mouseX, y: mouseY };
+    }
+    
+    var inverse = Matrix.invert(this.shape.parent.getWorldTransform());
+    
+    return inverse ? Matrix.apply(inverse, mouseX, mouseY) : { x: mouseX, y: mouseY };
+};
+
+/**
+@return {Boolean} Whether the mouse is within the shape's box, as drawn
+*/
+Draggable.prototype.isMouseInside = function() {
+    if (!this.shape.isShown()) {
+        return false;
+    }
+    
+    var inverse = Matrix.invert(this.shape.getWorldTransform());
+    
+    if (!inverse) {
+        return false;
+    }
+    
+    var local = Matrix.apply(inverse, mouseX, mouseY);
+    
+    return local.x >= 0 && local.x <= this.shape.width && local.y >= 0 && local.y <= this.shape.height;
+};
+
+/**
+@param {double} value   - Position along an axis.
+@param {double} low     - Lowest position allowed, undefined for none.
+@param {double} high    - Highest position allowed, undefined for none.
+@param {double} give    - Fraction of the distance past a limit kept, 0 to clamp.
+
+@return {double} the position, pulled back towards the limits
+*/
+Draggable.prototype.limit = function(value, low, high, give) {
+    if (low !== undefined && value < low) {
+        return low + (value - low) * give;
+    }
+    if (high !== undefined && value > high) {
+        return high + (value - high) * give;
+    }
+    return value;
+};
+
+/**
+@param {object} point - Position as {x, y}.
+@param {double} give  - Fraction of the distance past the bounds kept, 0 to clamp.
+
+@return {object} the position limited to the bounds, as {x, y}
+*/
+Draggable.prototype.limitToBounds = function(point, give) {
+    return {
+        x: this.limit(point.x, this.bounds.left, this.bounds.right, give),
+        y: this.limit(point.y, this.bounds.top, this.bounds.bottom, give)
+    };
+};
+
+/**
+@param {object} point - Position the shape would coast to, as {x, y}.
+
+@return {object} the snap point nearest to it as {x, y}, or the point itself without snap points
+*/
+Draggable.prototype.getSnapPoint = function(point) {
+    if (!this.snapPoints) {
+        return point;
+    }
+    
+    if (typeof this.snapPoints === "function") {
+        return this.snapPoints(point);
+    }
+    
+    var closest = point;
+    var closestDistance = Infinity;
+    
+    for (var i = 0; i < this.snapPoints.length; i++) {
+        var snap = this.snapPoints[i];
+        
+        if (typeof snap === "number") {
+            snap = this.axis === "y" ? { x: point.x, y: snap } : { x: snap, y: point.y };
+        } else if (Array.isArray(snap)) {
+            snap = { x: snap[0], y: snap[1] };
+        }
+        
+        var distance = (snap.x - point.x) * (snap.x - point.x) + (snap.y - point.y) * (snap.y - point.y);
+        
+        if (distance < closestDistance) {
+            closest = snap;
+            closestDistance = distance;
+        }
+    }
+    
+    return closest;
+};
+
+/**
+Records where the shape is, dropping samples too old to count towards the velocity.
+*/
+Draggable.prototype.addSample = function() {
+    var now = this.shape.now();
+    
+    this.samples.push({ x: this.shape.x, y: this.shape.y, time: now });
+    
+    while (this.samples.length > 2 && now - this.samples[0].time > Draggable.VELOCITY_WINDOW) {
+        this.samples.shift();
+    }
+};
+
+/**
+@return {object} velocity over the last moments of dragging, as {x, y} in pixels per second
+*/
+Draggable.prototype.getReleaseVelocity = function() {
+    this.addSample();
+    
+    var last = this.samples[this.samples.length - 1];
+    var first = last;
+    
+    // Only movement in the window counts, so holding still before letting go doesn't fling
+    for (var i = this.samples.length - 1; i >= 0; i--) {
+        if (last.time - this.samples[i].time > Draggable.VELOCITY_WINDOW) {
+            break;
+        }
+        first = this.samples[i];
+    }
+    
+    var elapsed = (last.time - first.time) / MILLISECONDS_IN_SECOND;
+    
+    if (elapsed <= 0) {
+        return { x: 0, y: 0 };
+    }
+    
+    return {
+        x: this.axis === "y" ? 0 : (last.x - first.x) / elapsed,
+        y: this.axis === "x" ? 0 : (last.y - first.y) / elapsed
+    };
+};
+
+// Grabs the shape, taking it over from anything moving it
+Draggable.prototype.handleMousePressed = function() {
+    var shape = this.shape;
+    var position = [{ target: shape, name: "x" }, { target: shape, name: "y" }];
+    var running = shape.animations.slice();
+    
+    for (var i = 0; i < running.length; i++) {
+        if (!running[i].releaseProperties(position)) {
+            shape.stop(running[i]);
+        }
+    }
+    this.settleAnimation = null;
+    
+    var pointer = this.getPointer();
+    
+    this.isDragging = true;
+    this.grabOffset = { x: shape.x - pointer.x, y: shape.y - pointer.y };
+    this.samples = [];
+    this.addSample();
+    this.onDragStart();
+};
+
+Draggable.prototype.handleMouseDragged = function() {
+    if (!this.isDragging) {
+        return;
+    }
+    
+    var pointer = this.getPointer();
+    var position = this.limitToBounds({
+        x: this.axis === "y" ? this.shape.x : pointer.x + this.grabOffset.x,
+        y: this.axis === "x" ? this.shape.y : pointer.y + this.grabOffset.y
+    }, this.overscroll);
+    
+    this.shape.x = position.x;
+    this.shape.y = position.y;
+    this.addSample();
+    this.onDrag();
+};
+
+// Lets go, flinging the shape with the speed it was dragged at
+Draggable.prototype.handleMouseReleased = function() {
+    if (!this.isDragging) {
+        return;
+    }
+    
+    this.isDragging = false;
+    this.velocity = this.getReleaseVelocity();
+    this.onRelease(this.velocity);
+    this.settle(this.velocity);
+};
+
+/**
+Sends the shape coasting from where it is, to rest on a snap point or inside the bounds.
+@param {object} velocity - Starting velocity as {x, y} in pixels per second.
+
+@return {Playback} the animation settling the shape, or null if it is already at rest
+*/
+Draggable.prototype.settle = function(velocity) {
+    var self = this;
+    var shape = this.shape;
+    var speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+    
+    // Where exponential decay would leave the shape, and where it has to end up instead
+    var coasted = {
+        x: shape.x + velocity.x * this.timeConstant,
+        y: shape.y + velocity.y * this.timeConstant
+    };
+    var target = this.limitToBounds(this.getSnapPoint(coasted), 0);
+    var destination = {};
+    
+    if (this.axis !== "y") {
+        destination.x = target.x;
+    }
+    if (this.axis !== "x") {
+        destination.y = target.y;
+    }
+    
+    if (target.x !== coasted.x || target.y !== coasted.y) {
+        
+        // Spring onto the snap point or bound, carrying on from the fling
+        this.settleAnimation = shape.springTo(destination, {
+            stiffness: this.springOptions.stiffness,
+            damping: this.springOptions.damping,
+            velocity: { x: velocity.x, y: velocity.y }
+        });
+    } else if (speed > Draggable.MIN_FLING_SPEED) {
+        
+        // Coast until within REST_DISTANCE of the end, decaying as e^(-t / timeConstant)
+        var timeConstant = this.timeConstant;
+        var duration = timeConstant * Math.log(speed * timeConstant / Draggable.REST_DISTANCE);
+        var reached = 1 - Math.exp(-duration / timeConstant);
+        
+        this.settleAnimation = shape.animate(destination, {
+            duration: duration,
+            easing: function(t) {
+                return (1 - Math.exp(-t * duration / timeConstant)) / reached;
+            }
+        });
+    } else {
+        this.settleAnimation = null;
+        this.onSettle();
+        return null;
+    }
+    
+    this.settleAnimation.then(function(result) {
+        if (!result.interrupted) {
+            self.onSettle();
+        }
+    });
+    
+    return this.settleAnimation;
+};
+
+// Widget methods with nothing to do, see WidgetManager
+Draggable.prototype.activate = function() {};
+
+Draggable.prototype.setFocused = function(isFocused) {
+    this.isFocused = isFocused;
+};
+
+/**
+@param {object} renderer - Renderer to draw with. Defaults to activeRenderer.
+*/
+Draggable.prototype.draw = function(renderer) {
+    this.shape.draw(renderer);
+};
+
+// Button
+/**
+Object for custom buttons
+@param config 
+@config x                - Top left x position of button
+@config y                - Top left y position of button
+@config width            - Width of button
+@config height           - Height of button
+@config radius           - Button's corner radius
+@config backgroundColour - Background colour of button
+@config strokeColour     - Stroke colour displayed on button
+@config textColour       - Text colour displayed on button                
+@config onClick()        - Function block to execute when button has been pressed
+@config label            - Button title
+*/
+var Button = function(config) {
+    this.x = config.x || 0;
+    this.y = config.y || 0;
+    this.width = config.width || 150;
+    this.height = config.height || 50;
+    this.radius = config.radius || 5;
+    this.label = config.label || "Button";
+    this.onClick = config.onClick || function() {};
+    this.backgroundColour = config.backgroundColour || [255, 255, 255];
+    this.textColour = config.textColour || [0, 0, 0];
+    this.strokeColour = config.strokeColour || [255, 255, 255];
+    
+    this.isEnabled = true;
+    this.isVisible = true;
+    
+    // Set by WidgetManager while keyboard input goes to this widget
+    this.isFocused = false;
+};
+
+// Outline drawn around the focused widget
+Button.FOCUS_COLOUR = [0, 120, 215];
+
+/**
+@param {object} renderer - Renderer to draw with. Defaults to activeRenderer.
+*/
+Button.prototype.draw = function(renderer) {
+    renderer = renderer || activeRenderer;
+    
+    if (this.isFocused) {
+        renderer.setStroke(Button.FOCUS_COLOUR, 2);
+    } else {
+        renderer.setStroke(this.strokeColour);
+    }
+    renderer.setFill(this.backgroundColour);
+    renderer.rect(this.x, this.y, this.width, this.height, this.radius);
+    renderer.setFill(this.textColour);
+    renderer.text(this.label, this.x+10, this.y+this.height/4, 19);
+};
+
+// Handles mouse location relative to Button
+/**
+@return {Boolean} Whether the mouse is within Button bounds
+*/
+Button.prototype.isMouseInside = function() {
+    return mouseX > this.x &&
+           mouseX < (this.x + this.width) &&
+           mouseY > this.y &&
+           mouseY < (this.y + this.height);
+};
+
+Button.prototype.handleMouseClick = function() {
+    if (this.isMouseInside() && this.isEnabled) {
+        this.onClick();
+    }
+};
+
+/**
+Presses the button, as when it is clicked or Enter is pressed while it has focus.
+*/
+Button.prototype.activate = function() {
+    this.onClick();
+};
+
+/**
+@param {Boolean} isFocused - Whether keyboard input now goes to this widget.
+*/
+Button.prototype.setFocused = function(isFocused) {
+    this.isFocused = isFocused;
+};
+
+// Text Field
+/**
+Object for custom text fields, with a caret that can be moved with the arrow
+keys, Home and End or by clicking, and text that can be selected by dragging
+or with Shift held. Text too long for the field scrolls to keep the caret shown.
+
+The type of a field limits what can be typed in it:
+    "text"    - (default) anything
+    "integer" - whole numbers
+    "decimal" - numbers with an optional decimal point
+Numbers can start with a minus sign if the field is signed, and are marked
+invalid when outside min and max, see isValid().
+
+@param config 
+@config x                   Top left x position
+@config y                   Top left y position
+@config width               Width of field
+@config height              Height of field
+@config backgroundColour    Background colour of field
+@config strokeColour        Stroke colour displayed on field
+@config textColour          Text colour displayed on field 
+@config invalidColour       Stroke colour displayed while the value is invalid
+@config textSize            Size of the text. Defaults to 19.
+@config value               Default value of text field
+@config maxChars            Most characters the field holds. Defaults to 10.
+@config type                "text", "integer" or "decimal", see above
+@config min                 Smallest valid number
+@config max                 Largest valid number
+@config signed              Whether numbers can be negative. Defaults to whether min is below 0.
+@config onClick()           Function block to execute when the field is clicked or Enter is pressed in it
+*/
+var TextField = function(config) {
+    Button.call(this, config);
+    
+    this.isActive = false;
+    this.isBlack = false;
+    this.maxChar = config.maxChars || 10;
+    this.value = config.value || "";
+    this.textSize = config.textSize || 19;
+    this.invalidColour = config.invalidColour || [220, 50, 50];
+    
+    this.type = config.type || "text";
+    this.min = config.min === undefined ? -Infinity : config.min;
+    this.max = config.max === undefined ? Infinity : config.max;
+    this.isSigned = config.signed === undefined ? this.min < 0 : config.signed;
+    
+    if (!TextField.PATTERNS.hasOwnProperty(this.type)) {
+        throw new Error("Unknown text field type '" + this.type + "', expected text, integer or decimal");
+    }
+    
+    // Caret and selection as character indices, the selection running from selectionAnchor to caret
+    this.caret = this.value.length;
+    this.selectionAnchor = this.caret;
+    this.isSelecting = false;
+    
+    // How far the text is scrolled left, in pixels
+    this.scrollX = 0;
+    
+    // Renderer the field was last drawn with, which measures its text for the caret
+    this.renderer = null;
+};
+
+// Inherit from button
+TextField.prototype = Object.create(Button.prototype);
+
+// Space between the field's edge and its text
+TextField.PADDING = 5;
+
+// Fill behind selected text
+TextField.SELECTION_COLOUR = [179, 215, 255];
+
+// Key codes Processing has no constants for
+TextField.KEY_HOME = 36;
+TextField.KEY_END = 35;
+
+// Patterns of each type as [while typing, once complete], for unsigned values
+TextField.PATTERNS = {
+    text: [/^[\s\S]*$/, /^[\s\S]*$/],
+    integer: [/^\d*$/, /^\d+$/],
+    decimal: [/^\d*\.?\d*$/, /^(\d+\.?\d*|\.\d+)$/]
+};
+
+/**
+@param {string} value  - Value to check.
+@param {Boolean} isComplete - Whether the value has to be complete, rather than on the way to being typed.
+
+@return {Boolean} whether the value has the form of the field's type
+*/
+TextField.prototype.matchesType = function(value, isComplete) {
+    if (this.type !== "text" && this.isSigned && value.charAt(0) === "-") {
+        value = value.substring(1);
+    }
+    
+    return TextField.PATTERNS[this.type][isComplete ? 1 : 0].test(value);
+};
+
+/**
+@return {string|double} the value as a number for number fields, NaN if it isn't one, or the text itself
+*/
+TextField.prototype.getParsedValue = function() {
+    if (this.type === "text") {
+        return this.value;
+    }
+    
+    if (!this.matchesType(this.value, true)) {
+        return NaN;
+    }
+    
+    return this.type === "integer" ? parseInt(this.value, 10) : parseFloat(this.value);
+};
+
+/**
+@return {Boolean} whether the value is complete and, for numbers, within min and max
+*/
+TextField.prototype.isValid = function() {
+    if (this.type === "text") {
+        return true;
+    }
+    
+    var number = this.getParsedValue();
+    
+    return !isNaN(number) && number >= this.min && number <= this.max;
+};
+
+/**
+Replaces the value, putting the caret at its end.
+@param {string} value - New value of the field.
+*/
+TextField.prototype.setValue = function(value) {
+    this.value = String(value);
+    this.caret = this.value.length;
+    this.selectionAnchor = this.caret;
+};
+
+/**
+@return {object} the selected characters as {start, end}, equal when nothing is selected
+*/
+TextField.prototype.getSelection = function() {
+    return {
+        start: Math.min(this.selectionAnchor, this.caret),
+        end: Math.max(this.selectionAnchor, this.caret)
+    };
+};
+
+/**
+Puts the caret somewhere in the value.
+@param {int} index         - Number of characters before the caret.
+@param {Boolean} isSelecting - Whether to extend the selection to the caret, rather than clear it.
+*/
+TextField.prototype.moveCaret = function(index, isSelecting) {
+    this.caret = Math.max(0, Math.min(this.value.length, index));
+    
+    if (!isSelecting) {
+        this.selectionAnchor = this.caret;
+    }
+};
+
+/**
+Replaces the selection, or inserts at the caret, if the result is still a
+value of the field's type that fits.
+@param {string} string - Text to put in.
+
+@return {Boolean} whether the text was accepted
+*/
+TextField.prototype.insert = function(string) {
+    var selection = this.getSelection();
+    var value = this.value.substring(0, selection.start) + string + this.value.substring(selection.end);
+    
+    if (value.length > this.maxChar || !this.matchesType(value, false)) {
+        return false;
+    }
+    
+    this.value = value;
+    this.moveCaret(selection.start + string.length);
+    
+    return true;
+};
+
+/**
+Deletes the selection, or the character next to the caret.
+@param {int} direction - -1 to delete before the caret (Backspace), 1 after it (Delete).
+*/
+TextField.prototype.deleteText = function(direction) {
+    var selection = this.getSelection();
+    
+    if (selection.start === selection.end) {
+        selection.start = direction < 0 ? Math.max(0, this.caret - 1) : this.caret;
+        selection.end = direction < 0 ? this.caret : Math.min(this.value.length, this.caret + 1);
+    }
+    
+    this.value = this.value.substring(0, selection.start) + this.value.substring(selection.end);
+    this.moveCaret(selection.start);
+};
+
+/**
+@param {int} index - Number of characters in front.
+
+@return {double} distance from the start of the text to the character, in pixels
+*/
+TextField.prototype.measureTo = function(index) {
+    return (this.renderer || activeRenderer).measureText(this.value.substring(0, index), this.textSize);
+};
+
+/**
+@param {int} x - X position, e.g. of the mouse.
+
+@return {int} the character index closest to the position
+*/
+TextField.prototype.getIndexAt = function(x) {
+    var offset = x - (this.x + TextField.PADDING) + this.scrollX;
+    var closest = 0;
+    
+    for (var i = 1; i <= this.value.length; i++) {
+        if (Math.abs(this.measureTo(i) - offset) < Math.abs(this.measureTo(closest) - offset)) {
+            closest = i;
+        }
+    }
+    
+    return closest;
+};
+
+/**
+Scrolls the text just enough for the caret to be inside the field.
+*/
+TextField.prototype.scrollToCaret = function() {
+    var innerWidth = this.width - 2 * TextField.PADDING;
+    var caretX = this.measureTo(this.caret);
+    var textWidth = this.measureTo(this.value.length);
+    
+    if (caretX - this.scrollX > innerWidth) {
+        this.scrollX = caretX - innerWidth;
+    } else if (caretX < this.scrollX) {
+        this.scrollX = caretX;
+    }
+    
+    // Don't leave space after the text once it is shortened
+    this.scrollX = Math.max(0, Math.min(this.scrollX, textWidth - innerWidth));
+};
+
+/**
+@param {object} renderer - Renderer to draw with. Defaults to activeRenderer.
+*/
+TextField.prototype.draw = function(renderer) {
+    renderer = renderer || activeRenderer;
+    this.renderer = renderer;
+    
+    // Constants
+    var BLINK_RATE = FRAME_RATE*0.5;
+    var DESCRIPTION_LABEL_PADDING = 0;
+    
+    this.scrollToCaret();
+    
+    // Text Field
+    if (!this.isValid()) {
+        renderer.setStroke(this.invalidColour, 2);
+    } else if (this.isFocused) {
+        renderer.setStroke(Button.FOCUS_COLOUR, 2);
+    } else {
+        renderer.setStroke(this.strokeColour);
+    }
+    renderer.setFill(this.backgroundColour);
+    renderer.rect(this.x, this.y, this.width, this.height, this.radius);
+    renderer.setFill(this.textColour);
+    
+    // Text Description Label
+    renderer.text(this.label, 
+                  this.x + DESCRIPTION_LABEL_PADDING, 
+                  this.y - this.height - DESCRIPTION_LABEL_PADDING, 
+                  this.textSize);
+    
+    // Content scrolled inside the field
+    var textX = this.x + TextField.PADDING - this.scrollX;
+    var selection = this.getSelection();
+    
+    renderer.save();
+    renderer.clipRect(this.x + TextField.PADDING, this.y, this.width - 2 * TextField.PADDING, this.height);
+    
+    if (this.isActive && selection.start !== selection.end) {
+        renderer.setStroke(null);
+        renderer.setFill(TextField.SELECTION_COLOUR);
+        renderer.rect(textX + this.measureTo(selection.start), 
+                      this.y + this.height * 0.2, 
+                      this.measureTo(selection.end) - this.measureTo(selection.start), 
+                      this.height * 0.6);
+    }
+    
+    // Text Content
+    renderer.setFill(this.textColour);
+    renderer.text(this.value, textX, this.y + TextField.PADDING, this.textSize);
+    
+    // Toggle blinker
+    if (this.isActive && frameCount % BLINK_RATE === 0){
+        if (this.isBlack) {
+            this.isBlack = false;
+        } else {
+           this.isBlack = true;
+        }
+    }
+    
+    // Caret, hidden while text is selected
+    if (this.isActive && this.isBlack && selection.start === selection.end) {
+        renderer.setFill([0, 0, 0]);
+        renderer.setStroke(null);
+        renderer.rect(textX + this.measureTo(this.caret), 
+                      this.y + this.height * 0.25, 
+                      2, 
+                      this.height * 0.5);
+    }
+    
+    renderer.restore();
+};
+
+/**
+@param {Boolean} isFocused - Whether typing now goes to this field.
+*/
+TextField.prototype.setFocused = function(isFocused) {
+    this.isFocused = isFocused;
+    this.isActive = isFocused;
+    this.isSelecting = false;
+    
+    // Show the caret straight away
+    this.isBlack = isFocused;
+};
+
+TextField.prototype.handleMouseClick = function() {
+    
+    if (this.isMouseInside() && this.isEnabled) {
+        // Allow key input
+        this.isActive = true;
+    }else if (this.isActive) {
+        // Resign key responder
+        this.isActive = false;
+    }
+};
+
+// Places the caret under the mouse and starts selecting from it
+TextField.prototype.handleMousePressed = function() {
+    this.moveCaret(this.getIndexAt(mouseX), false);
+    this.isSelecting = true;
+};
+
+// Selects from where the mouse was pressed to where it is now
+TextField.prototype.handleMouseDragged = function() {
+    if (this.isSelecting) {
+        this.moveCaret(this.getIndexAt(mouseX), true);
+    }
+};
+
+TextField.prototype.handleMouseReleased = function() {
+    this.isSelecting = false;
+};
+
+TextField.prototype.handleKeyPressed = function() {
+    
+    if (!this.isActive) {
+        return;
+    }
+    
+    var isSelecting = WidgetManager.isShiftDown;
+    
+    // Caret movement
+    if (keyCode === LEFT || keyCode === RIGHT) {
+        var selection = this.getSelection();
+        
+        // An arrow without Shift goes to that end of the selection
+        if (!isSelecting && selection.start !== selection.end) {
+            this.moveCaret(keyCode === LEFT ? selection.start : selection.end, false);
+        } else {
+            this.moveCaret(this.caret + (keyCode === LEFT ? -1 : 1), isSelecting);
+        }
+    } else if (keyCode === TextField.KEY_HOME) {
+        this.moveCaret(0, isSelecting);
+    } else if (keyCode === TextField.KEY_END) {
+        this.moveCaret(this.value.length, isSelecting);
+    }
+    
+    // Handle backspace and delete
+    else if (keyCode === BACKSPACE) {
+        this.deleteText(-1);
+    } else if (keyCode === DELETE) {
+        this.deleteText(1);
+    }
+    
+    // Handle printable characters, which the field's type may still reject
+    else if (key >= 32 && key < CODED) {
+        this.insert(String.fromCharCode(key));
+    }
+};
+
+// Slider
+/**
+Object for sliders picking a number in a range, by dragging the knob along
+the track or with the arrow keys, Home and End once focused.
+@param config 
+@config x                - Top left x position of slider
+@config y                - Top left y position of slider
+@config width            - Width of track
+@config height           - Height of slider, the knob being a little smaller
+@config label            - Name shown above the slider, followed by its value
+@config min              - Smallest value. Defaults to 0.
+@config max              - Largest value. Defaults to 1.
+@config step             - Values are rounded to multiples of this from min. Defaults to 0, for any value.
+@config value            - Starting value. Defaults to min.
+@config decimals         - Decimal places shown in the label. Defaults to those of step, or 2.
+@config trackColour      - Colour of the track
+@config fillColour       - Colour of the track up to the knob, and of the knob
+@config textColour       - Colour of the label
+@config onChange(value)  - Function block to execute when the value changes
+*/
+var Slider = function(config) {
+    Button.call(this, config);
+    
+    this.label = config.label || "";
+    this.min = config.min || 0;
+    this.max = config.max === undefined ? 1 : config.max;
+    this.step = config.step || 0;
+    this.trackColour = config.trackColour || [200, 200, 200];
+    this.fillColour = config.fillColour || [242, 80, 80];
+    this.onChange = config.onChange || function(value) {};
+    
+    if (config.decimals !== undefined) {
+        this.decimals = config.decimals;
+    } else {
+        this.decimals = this.step ? (String(this.step).split(".")[1] || "").length : 2;
+    }
+    
+    this.value = this.snap(config.value === undefined ? this.min : config.value);
+    this.isDragging = false;
+};
+
+// Inherit from button
+Slider.prototype = Object.create(Button.prototype);
+
+/**
+@param {double} value - Any number.
+
+@return {double} the closest value the slider can take
+*/
+Slider.prototype.snap = function(value) {
+    value = Math.max(this.min, Math.min(this.max, value));
+    
+    if (this.step) {
+        value = this.min + Math.round((value - this.min) / this.step) * this.step;
+        
+        // Drop the rounding error of adding up steps, e.g. 0.30000000000000004
+        value = parseFloat(Math.min(this.max, value).toFixed(10));
+    }
+    
+    return value;
+};
+
+/**
+Moves the knob, calling onChange if that changes the value.
+@param {double} value - New value, snapped into the slider's range and steps.
+*/
+Slider.prototype.setValue = function(value) {
+    value = this.snap(value);
+    
+    if (value !== this.value) {
+        this.value = value;
+        this.onChange(value);
+    }
+};
+
+/**
+@param {int} x - X position, e.g. of the mouse.
+
+@return {double} the value whose knob position is closest to x
+*/
+Slider.prototype.getValueAt = function(x) {
+    return this.min + (x - this.x) / this.width * (this.max - this.min);
+};
+
+/**
+@return {string} the value as shown in the label
+*/
+Slider.prototype.formatValue = function() {
+    return this.value.toFixed(this.decimals);
+};
+
+/**
+@param {object} renderer - Renderer to draw with. Defaults to activeRenderer.
+*/
+Slider.prototype.draw = function(renderer) {
+    renderer = renderer || activeRenderer;
+    
+    var TRACK_HEIGHT = 4;
+    var centreY = this.y + this.height / 2;
+    var knobSize = this.height * 0.6;
+    var progress = this.max > this.min ? (this.value - this.min) / (this.max - this.min) : 0;
+    
+    // Label with the live value
+    renderer.setFill(this.textColour);
+    renderer.text(this.label ? this.label + ": " + this.formatValue() : this.formatValue(), 
+                  this.x, 
+                  this.y - this.height, 
+                  19);
+    
+    // Track, filled up to the knob
+    renderer.setStroke(null);
+    renderer.setFill(this.trackColour);
+    renderer.rect(this.x, centreY - TRACK_HEIGHT / 2, this.width, TRACK_HEIGHT, TRACK_HEIGHT / 2);
+    renderer.setFill(this.fillColour);
+    renderer.rect(this.x, centreY - TRACK_HEIGHT / 2, this.width * progress, TRACK_HEIGHT, TRACK_HEIGHT / 2);
+    
+    // Knob
+    if (this.isFocused) {
+        renderer.setStroke(Button.FOCUS_COLOUR, 2);
+    } else {
+        renderer.setStroke([255, 255, 255], 2);
+    }
+    renderer.ellipse(this.x + this.width * progress, centreY, knobSize, knobSize);
+};
+
+Slider.prototype.handleMousePressed = function() {
+    this.isDragging = true;
+    this.setValue(this.getValueAt(mouseX));
+};
+
+Slider.prototype.handleMouseDragged = function() {
+    if (this.isDragging) {
+        this.setValue(this.getValueAt(mouseX));
+    }
+};
+
+Slider.prototype.handleMouseReleased = function() {
+    this.isDragging = false;
+};
+
+Slider.prototype.handleKeyPressed = function() {
+    
+    // A step at a time, or a hundredth of the range for continuous sliders
+    var increment = this.step || (this.max - this.min) / 100;
+    
+    if (keyCode === LEFT || keyCode === DOWN) {
+        this.setValue(this.value - increment);
+    } else if (keyCode === RIGHT || keyCode === UP) {
+        this.setValue(this.value + increment);
+    } else if (keyCode === TextField.KEY_HOME) {
+        this.setValue(this.min);
+    } else if (keyCode === TextField.KEY_END) {
+        this.setValue(this.max);
+    }
+};
+
+// Checkbox
+/**
+Object for checkboxes, ticked and unticked by clicking or pressing Enter
+once focused.
+@param config 
+@config x                   - Top left x position of the box
+@config y                   - Top left y position of the box
+@config width               - Width of the box and label, for clicking. Defaults to 150.
+@config height              - Size of the box. Defaults to 24.
+@config label               - Text shown to the right of the box
+@config checked             - Whether the box starts ticked
+@config backgroundColour    - Colour of the unticked box
+@config strokeColour        - Outline colour of the box
+@config checkColour         - Colour of the ticked box
+@config textColour          - Colour of the label
+@config onChange(isChecked) - Function block to execute when the box is ticked or unticked
+*/
+var Checkbox = function(config) {
+    Button.call(this, config);
+    
+    this.height = config.height || 24;
+    this.radius = config.radius || 3;
+    this.label = config.label || "";
+    this.strokeColour = config.strokeColour || [0, 0, 0];
+    this.checkColour = config.checkColour || [0, 120, 215];
+    this.onChange = config.onChange || function(isChecked) {};
+    
+    this.isChecked = config.checked || false;
+};
+
+// Inherit from button
+Checkbox.prototype = Object.create(Button.prototype);
+
+/**
+Ticks or unticks the box, calling onChange if that changes it.
+@param {Boolean} isChecked - Whether the box is now ticked.
+*/
+Checkbox.prototype.setChecked = function(isChecked) {
+    if (isChecked !== this.isChecked) {
+        this.isChecked = isChecked;
+        this.onChange(isChecked);
+    }
+};
+
+// Flips the box, as when clicked or Enter is pressed while focused
+Checkbox.prototype.activate = function() {
+    this.setChecked(!this.isChecked);
+    this.onClick();
+};
+
+/**
+@param {object} renderer - Renderer to draw with. Defaults to activeRenderer.
+*/
+Checkbox.prototype.draw = function(renderer) {
+    renderer = renderer || activeRenderer;
+    
+    var size = this.height;
+    
+    if (this.isFocused) {
+        renderer.setStroke(Button.FOCUS_COLOUR, 2);
+    } else {
+        renderer.setStroke(this.isChecked ? this.checkColour : this.strokeColour);
+    }
+    renderer.setFill(this.isChecked ? this.checkColour : this.backgroundColour);
+    renderer.rect(this.x, this.y, size, size, this.radius);
+    
+    // Tick
+    if (this.isChecked) {
+        renderer.setFill(null);
+        renderer.setStroke([255, 255, 255], 3);
+        renderer.polygon([
+            [this.x + size * 0.22, this.y + size * 0.52],
+            [this.x + size * 0.42, this.y + size * 0.72],
+            [this.x + size * 0.78, this.y + size * 0.3]
+        ], false);
+    }
+    
+    this.drawLabel(renderer, this.x + size + 8);
+};
+
+/**
+Draws the label, centred on the box.
+@param {object} renderer - Renderer to draw with.
+@param {int} x           - Left of the label.
+*/
+Checkbox.prototype.drawLabel = function(renderer, x) {
+    renderer.setFill(this.textColour);
+    renderer.text(this.label, x, this.y + (this.height - 19) / 2, 19);
+};
+
+// Toggle
+/**
+Object for on/off switches, whose knob slides across when flipped. Takes the
+same config as Checkbox, with checkColour filling the switch while on.
+@param config 
+@config trackColour         - Colour of the switch while off
+@config clock               - Clock the knob slides on. Defaults to animationClock.
+*/
+var Toggle = function(config) {
+    Checkbox.call(this, config);
+    
+    this.trackColour = config.trackColour || [200, 200, 200];
+    
+    // From 0 (off) to 1 (on), animated by setChecked
+    this.knobPosition = this.isChecked ? 1 : 0;
+    this.knobAnimation = null;
+    this.clock = config.clock || null;
+};
+
+// Inherit from checkbox
+Toggle.prototype = Object.create(Checkbox.prototype);
+
+// Seconds for the knob to slide across
+Toggle.SLIDE_DURATION = 0.15;
+
+/**
+Switches on or off, calling onChange and sliding the knob if that changes it.
+@param {Boolean} isChecked - Whether the switch is now on.
+*/
+Toggle.prototype.setChecked = function(isChecked) {
+    Checkbox.prototype.setChecked.call(this, isChecked);
+    
+    if (this.knobAnimation) {
+        this.stop(this.knobAnimation);
+    }
+    
+    this.knobAnimation = new Animation(this, { knobPosition: this.isChecked ? 1 : 0 }, {
+        duration: Toggle.SLIDE_DURATION,
+        easing: "easeOutQuad"
+    });
+    this.knobAnimation.start((this.clock || animationClock).now());
+    animationTicker.add(this.knobAnimation, this);
+};
+
+/**
+Stops the knob's animation, called by the ticker once it finishes.
+@param {Animation} animation - Animation of the knob.
+*/
+Toggle.prototype.stop = function(animation) {
+    animationTicker.remove(animation);
+    
+    if (animation.isAnimating) {
+        animation.interrupt();
+    }
+    
+    if (this.knobAnimation === animation) {
+        this.knobAnimation = null;
+    }
+};
+
+/**
+@param {object} renderer - Renderer to draw with. Defaults to activeRenderer.
+*/
+Toggle.prototype.draw = function(renderer) {
+    renderer = renderer || activeRenderer;
+    
+    var switchWidth = this.height * 1.8;
+    var knobSize = this.height - 4;
+    
+    // Track, blending to the on colour as the knob slides across
+    if (this.isFocused) {
+        renderer.setStroke(Button.FOCUS_COLOUR, 2);
+    } else {
+        renderer.setStroke(null);
+    }
+    renderer.setFill(Colour.interpolate(Colour.parse(this.trackColour), Colour.parse(this.checkColour), this.knobPosition));
+    renderer.rect(this.x, this.y, switchWidth, this.height, this.height / 2);
+    
+    // Knob
+    renderer.setStroke(null);
+    renderer.setFill([255, 255, 255]);
+    renderer.ellipse(this.x + this.height / 2 + this.knobPosition * (switchWidth - this.height), 
+                     this.y + this.height / 2, 
+                     knobSize, 
+                     knobSize);
+    
+    this.drawLabel(renderer, this.x + switchWidth + 8);
+};
+
+// Dropdown
+/**
+Object for picking one of a list of options. Clicking opens the list below
+the field, and clicking an option picks it. Once focused, the up and down
+arrows pick the previous and next option and Enter opens and closes the list.
+
+The open list is drawn with the dropdown, so add dropdowns to a WidgetManager
+after the widgets their list covers.
+@param config 
+@config x                      - Top left x position
+@config y                      - Top left y position
+@config width                  - Width of the field and list
+@config height                 - Height of the field and each option
+@config label                  - Name shown above the field
+@config options                - Options as strings, or as {label, value}
+@config value                  - Value of the option picked to start with. Defaults to the first.
+@config backgroundColour       - Background colour of the field and list
+@config strokeColour           - Outline colour of the field and list
+@config textColour             - Text colour of the options
+@config onChange(value, index) - Function block to execute when another option is picked
+*/
+var Dropdown = function(config) {
+    Button.call(this, config);
+    
+    this.label = config.label || "";
+    this.strokeColour = config.strokeColour || [0, 0, 0];
+    this.onChange = config.onChange || function(value, index) {};
+    
+    this.options = (config.options || []).map(function(option) {
+        return typeof option === "string" ? { label: option, value: option } : option;
+    });
+    
+    if (this.options.length === 0) {
+        throw new Error("A dropdown needs at least one option");
+    }
+    
+    this.selectedIndex = 0;
+    for (var i = 0; i < this.options.length; i++) {
+        if (this.options[i].value === config.value) {
+            this.selectedIndex = i;
+        }
+    }
+    
+    this.isOpen = false;
+};
+
+// Inherit from button
+Dropdown.prototype = Object.create(Button.prototype);
+
+/**
+@return {*} value of the option picked
+*/
+Dropdown.prototype.getValue = function() {
+    return this.options[this.selectedIndex].value;
+};
+
+/**
+Picks an option, calling onChange if it wasn't picked already.
+@param {int} index - Index of the option in options.
+*/
+Dropdown.prototype.select = function(index) {
+    index = Math.max(0, Math.min(this.options.length - 1, index));
+    
+    if (index !== this.selectedIndex) {
+        this.selectedIndex = index;
+        this.onChange(this.getValue(), index);
+    }
+};
+
+/**
+@return {int} index of the option under the mouse in the open list, or -1
+*/
+Dropdown.prototype.getOptionUnderMouse = function() {
+    if (!this.isOpen || mouseX <= this.x || mouseX >= this.x + this.width) {
+        return -1;
+    }
+    
+    var index = Math.floor((mouseY - this.y - this.height) / this.height);
+    
+    return index >= 0 && index < this.options.length ? index : -1;
+};
+
+/**
+@return {Boolean} Whether the mouse is over the field, or the list while open
+*/
+Dropdown.prototype.isMouseInside = function() {
+    return Button.prototype.isMouseInside.call(this) || this.getOptionUnderMouse() !== -1;
+};
+
+// Picks the option clicked in the open list, or opens or closes the list
+Dropdown.prototype.activate = function() {
+    var index = this.getOptionUnderMouse();
+    
+    if (index !== -1) {
+        this.select(index);
+    }
+    
+    this.isOpen = !this.isOpen;
+    this.onClick();
+};
+
+/**
+@param {Boolean} isFocused - Whether key presses now go to this dropdown. Closes the list when not.
+*/
+Dropdown.prototype.setFocused = function(isFocused) {
+    this.isFocused = isFocused;
+    
+    if (!isFocused) {
+        this.isOpen = false;
+    }
+};
+
+Dropdown.prototype.handleKeyPressed = function() {
+    if (keyCode === UP) {
+        this.select(this.selectedIndex - 1);
+    } else if (keyCode === DOWN) {
+        this.select(this.selectedIndex + 1);
+    }
+};
+
+/**
+@param {object} renderer - Renderer to draw with. Defaults to activeRenderer.
+*/
+Dropdown.prototype.draw = function(renderer) {
+    renderer = renderer || activeRenderer;
+    
+    var PADDING = 5;
+    var ARROW_SIZE = 8;
+    
+    // Description label
+    renderer.setFill(this.textColour);
+    renderer.text(this.label, this.x, this.y - this.height, 19);
+    
+    // Field, showing the option picked
+    if (this.isFocused) {
+        renderer.setStroke(Button.FOCUS_COLOUR, 2);
+    } else {
+        renderer.setStroke(this.strokeColour);
+    }
+    renderer.setFill(this.backgroundColour);
+    renderer.rect(this.x, this.y, this.width, this.height, this.radius);
+    renderer.setFill(this.textColour);
+    renderer.text(this.options[this.selectedIndex].label, this.x + PADDING, this.y + PADDING, 19);
+    
+    // Arrow, pointing up while open
+    var arrowX = this.x + this.width - PADDING - ARROW_SIZE;
+    var arrowY = this.y + this.height / 2;
+    var direction = this.isOpen ? -1 : 1;
+    
+    renderer.setStroke(null);
+    renderer.polygon([
+        [arrowX - ARROW_SIZE / 2, arrowY - direction * ARROW_SIZE / 4],
+        [arrowX + ARROW_SIZE / 2, arrowY - direction * ARROW_SIZE / 4],
+        [arrowX, arrowY + direction * ARROW_SIZE / 4]
+    ], true);
+    
+    if (!this.isOpen) {
+        return;
+    }
+    
+    // Options, highlighting the one under the mouse or else the one picked
+    var highlighted = this.getOptionUnderMouse();
+    if (highlighted === -1) {
+        highlighted = this.selectedIndex;
+    }
+    
+    for (var i = 0; i < this.options.length; i++) {
+        var optionY = this.y + this.height * (i + 1);
+        
+        renderer.setStroke(this.strokeColour);
+        renderer.setFill(i === highlighted ? TextField.SELECTION_COLOUR : this.backgroundColour);
+        renderer.rect(this.x, optionY, this.width, this.height);
+        renderer.setFill(this.textColour);
+        renderer.text(this.options[i].label, this.x + PADDING, optionY + PADDING, 19);
+    }
+};
+
+// Widget Manager
+/**
+Holds buttons, text fields and other widgets, drawing them and passing them
+mouse and key events. Widgets added later are drawn on top, and take clicks
+first. Hidden (isVisible false) and disabled (isEnabled false) widgets get no
+events.
+
+One widget at a time has focus and gets key presses. Clicking a widget that
+takes typing focuses it, clicking anything else takes focus away, Tab and
+Shift-Tab move focus through the widgets in the order they were added, and
+Enter activates the focused widget, e.g. presses a button.
+
+Widgets need x, y, width, height, isVisible, isEnabled, draw(renderer),
+isMouseInside(), activate() and setFocused(isFocused), and may have
+handleKeyPressed(), handleMousePressed(), handleMouseDragged() and
+handleMouseReleased(), as Button and TextField do.
+*/
+var WidgetManager = function() {
+    this.widgets = [];
+    this.focused = null;
+    
+    // Widget the mouse was pressed on, which gets the drag and release that follow
+    this.pressed = null;
+};
+
+// Whether Shift is held, shared by every manager since only one gets each key release
+WidgetManager.isShiftDown = false;
+
+/**
+Adds any number of widgets, on top of the ones already added.
+@param {Button} widget - Widgets to add.
+
+@return {WidgetManager} this manager, for chaining
+*/
+WidgetManager.prototype.add = function() {
+    for (var i = 0; i < arguments.length; i++) {
+        this.remove(arguments[i]);
+        this.widgets.push(arguments[i]);
+    }
+    
+    return this;
+};
+
+/**
+@param {Button} widget - Widget to stop drawing and passing events to.
+*/
+WidgetManager.prototype.remove = function(widget) {
+    var index = this.widgets.indexOf(widget);
+    
+    if (index !== -1) {
+        this.widgets.splice(index, 1);
+        
+        if (this.focused === widget) {
+            this.focus(null);
+        }
+        if (this.pressed === widget) {
+            this.pressed = null;
+        }
+    }
+};
+
+/**
+@param {Button} widget - Widget to check.
+
+@return {Boolean} whether the widget is shown and enabled, so it can get events
+*/
+WidgetManager.prototype.isAvailable = function(widget) {
+    return widget.isVisible && widget.isEnabled;
+};
+
+/**
+Moves focus to a widget.
+@param {Button} widget - Widget to focus, or null to leave nothing focused.
+*/
+WidgetManager.prototype.focus = function(widget) {
+    if (widget === this.focused) {
+        return;
+    }
+    
+    if (this.focused) {
+        this.focused.setFocused(false);
+    }
+    
+    this.focused = widget;
+    
+    if (widget) {
+        widget.setFocused(true);
+    }
+};
+
+/**
+Leaves nothing focused.
+*/
+WidgetManager.prototype.blur = function() {
+    this.focus(null);
+};
+
+/**
+Moves focus through the available widgets, wrapping round at either end.
+@param {int} step - 1 for the next widget, -1 for the previous one.
+*/
+WidgetManager.prototype.focusNext = function(step) {
+    var available = this.widgets.filter(this.isAvailable);
+    
+    if (available.length === 0) {
+        this.blur();
+        return;
+    }
+    
+    var index = available.indexOf(this.focused);
+    
+    if (index === -1) {
+        index = step > 0 ? 0 : available.length - 1;
+    } else {
+        index = (index + step + available.length) % available.length;
+    }
+    
+    this.focus(available[index]);
+};
+
+/**
+@return {Button} the topmost available widget under the mouse, or null
+*/
+WidgetManager.prototype.getWidgetUnderMouse = function() {
+    for (var i = this.widgets.length - 1; i >= 0; i--) {
+        if (this.isAvailable(this.widgets[i]) && this.widgets[i].isMouseInside()) {
+            return this.widgets[i];
+        }
+    }
+    
+    return null;
+};
+
+/**
+Activates the widget clicked, focusing it if it takes typing.
+
+@return {Boolean} whether a widget was clicked
+*/
+WidgetManager.prototype.handleMouseClick = function() {
+    var widget = this.getWidgetUnderMouse();
+    
+    this.focus(widget && widget.handleKeyPressed ? widget : null);
+    
+    if (widget) {
+        widget.activate();
+    }
+    
+    return widget !== null;
+};
+
+/**
+Focuses the widget pressed if it takes typing, and lets it follow the drag.
+
+@return {Boolean} whether the mouse was pressed on a widget
+*/
+WidgetManager.prototype.handleMousePressed = function() {
+    var widget = this.getWidgetUnderMouse();
+    
+    this.focus(widget && widget.handleKeyPressed ? widget : null);
+    this.pressed = widget;
+    
+    if (widget && widget.handleMousePressed) {
+        widget.handleMousePressed();
+    }
+    
+    return widget !== null;
+};
+
+WidgetManager.prototype.handleMouseDragged = function() {
+    if (this.pressed && this.pressed.handleMouseDragged) {
+        this.pressed.handleMouseDragged();
+    }
+};
+
+WidgetManager.prototype.handleMouseReleased = function() {
+    if (this.pressed && this.pressed.handleMouseReleased) {
+        this.pressed.handleMouseReleased();
+    }
+    this.pressed = null;
+};
+
+/**
+Moves focus on Tab, activates the focused widget on Enter, and passes other
+keys to the focused widget.
+*/
+WidgetManager.prototype.handleKeyPressed = function() {
+    
+    // Focus may have been left on a widget since hidden or disabled
+    if (this.focused && !this.isAvailable(this.focused)) {
+        this.blur();
+    }
+    
+    if (keyCode === SHIFT) {
+        WidgetManager.isShiftDown = true;
+    } else if (keyCode === TAB) {
+        this.focusNext(WidgetManager.isShiftDown ? -1 : 1);
+    } else if (this.focused && (keyCode === ENTER || keyCode === RETURN)) {
+        this.focused.activate();
+    } else if (this.focused && this.focused.handleKeyPressed) {
+        this.focused.handleKeyPressed();
+    }
+};
+
+WidgetManager.prototype.handleKeyReleased = function() {
+    if (keyCode === SHIFT) {
+        WidgetManager.isShiftDown = false;
+    }
+};
+
+/**
+Draws the visible widgets, bottom first.
+@param {object} renderer - Renderer to draw with. Defaults to activeRenderer.
+*/
+WidgetManager.prototype.draw = function(renderer) {
+    renderer = renderer || activeRenderer;
+    
+    for (var i = 0; i < this.widgets.length; i++) {
+        if (this.widgets[i].isVisible) {
+            this.widgets[i].draw(renderer);
+        }
+    }
+};
+
+//////////////////////////////////////////////////////
+// SCENES
+//////////////////////////////////////////////////////
+
+// Scene
+/**
+One screen of the sketch, with its own widgets and hooks run by SceneManager.
+@param config 
+@config name             - Name of the scene, for debugging
+@config backgroundColour - Colour filling the scene behind everything else. Defaults to white.
+@config widgets          - Buttons, text fields, etc. drawn on top of the scene, which get its mouse and key events.
+                           Kept in a WidgetManager, in the widgets field.
+@config enter(previous)  - Called when the scene becomes the current one, with the scene it replaced
+@config exit(next)       - Called when another scene replaces this one
+@config update()         - Called once per frame while the scene is shown
+@config draw(renderer)   - Draws the scene's content, under its widgets
+*/
+var Scene = function(config) {
+    config = config || {};
+    
+    this.name = config.name || "Scene";
+    this.backgroundColour = config.backgroundColour || [255, 255, 255];
+    this.widgets = new WidgetManager();
+    this.widgets.add.apply(this.widgets, config.widgets || []);
+    this.enter = config.enter || function(previous) {};
+    this.exit = config.exit || function(next) {};
+    this.update = config.update || function() {};
+    this.draw = config.draw || function(renderer) {};
+};
+
+/**
+Draws the background, content and widgets of the scene over the whole canvas.
+@param {object} renderer - Renderer to draw with. Defaults to activeRenderer.
+*/
+Scene.prototype.drawAll = function(renderer) {
+    renderer = renderer || activeRenderer;
+    
+    renderer.setStroke(null);
+    renderer.setFill(this.backgroundColour);
+    renderer.rect(0, 0, width, height);
+    
+    this.draw(renderer);
+    this.widgets.draw(renderer);
+};
+
+/**
+Runs the exit and enter hooks again, e.g. to replay the scene's animations.
+*/
+Scene.prototype.restart = function() {
+    this.exit(this);
+    this.enter(this);
+};
+
+/**
+@return {Boolean} whether one of the scene's widgets was clicked
+*/
+Scene.prototype.handleMouseClick = function() {
+    return this.widgets.handleMouseClick();
+};
+
+/**
+@return {Boolean} whether the mouse was pressed on one of the scene's widgets
+*/
+Scene.prototype.handleMousePressed = function() {
+    return this.widgets.handleMousePressed();
+};
+
+Scene.prototype.handleMouseDragged = function() {
+    this.widgets.handleMouseDragged();
+};
+
+Scene.prototype.handleMouseReleased = function() {
+    this.widgets.handleMouseReleased();
+};
+
+Scene.prototype.handleKeyPressed = function() {
+    this.widgets.handleKeyPressed();
+};
+
+Scene.prototype.handleKeyReleased = function() {
+    this.widgets.handleKeyReleased();
+};
+
+// SceneManager
+/**
+Shows one scene at a time, animating between scenes with a transition and
+remembering the scenes gone through so they can be gone back to.
+
+A transition is given by its name, e.g. "crossfade", or as an object:
+    type      - Name of the transition, see SceneManager.transitions
+    direction - "left", "right", "up" or "down", the way the new scene moves in. Defaults to "left".
+    duration  - Length of the transition in seconds. Defaults to the manager's duration.
+    easing    - Easing curve of the transition. Defaults to the manager's easing.
+    x, y      - Centre of a "reveal". Defaults to the middle of the canvas.
+Leaving the transition out switches scenes at once.
+
+Input is ignored while a transition plays.
+
+@param {object} options
+@option {object} clock           - Clock the transitions run on. Defaults to animationClock.
+@option {double} duration        - Default transition length in seconds. Defaults to 0.5.
+@option {function|string} easing - Default transition easing. Defaults to "easeInOutCubic".
+*/
+var SceneManager = function(options) {
+    options = options || {};
+    
+    this.clock = options.clock || null;
+    this.duration = options.duration === undefined ? 0.5 : options.duration;
+    this.easing = options.easing || "easeInOutCubic";
+    
+    this.current = null;
+    
+    // Scenes left by go(), as {scene, transition}, most recent last
+    this.history = [];
+    
+    // Transition playing, as {from, to, type, direction, x, y, progress, animation}, or null
+    this.transition = null;
+};
+
+// Way each direction moves the new scene in, as [x, y]
+SceneManager.DIRECTIONS = {
+    left: [-1, 0],
+    right: [1, 0],
+    up: [0, -1],
+    down: [0, 1]
+};
+
+// Direction that undoes each direction, used when going back
+SceneManager.OPPOSITES = {
+    left: "right",
+    right: "left",
+    up: "down",
+    down: "up"
+};
+
+/**
+Transitions by name. Each draws the scenes part of the way through the
+transition, from a progress of 0 (only the old scene) to 1 (only the new one).
+@param {object} renderer   - Renderer to draw with.
+@param {object} transition - The playing transition, see SceneManager.
+*/
+SceneManager.transitions = {
+    
+    // Fades the new scene in over the old
+    crossfade: function(renderer, transition) {
+        transition.from.drawAll(renderer);
+        
+        renderer.save();
+        renderer.applyOpacity(transition.progress);
+        transition.to.drawAll(renderer);
+        renderer.restore();
+    },
+    
+    // Moves the new scene in over the old
+    slide: function(renderer, transition) {
+        var direction = SceneManager.DIRECTIONS[transition.direction];
+        var remaining = 1 - transition.progress;
+        
+        transition.from.drawAll(renderer);
+        
+        renderer.save();
+        renderer.translate(-direction[0] * width * remaining, -direction[1] * height * remaining);
+        transition.to.drawAll(renderer);
+        renderer.restore();
+    },
+    
+    // Moves the new scene in, pushing the old one out ahead of it
+    push: function(renderer, transition) {
+        var direction = SceneManager.DIRECTIONS[transition.direction];
+        var progress = transition.progress;
+        
+        renderer.save();
+        renderer.translate(direction[0] * width * progress, direction[1] * height * progress);
+        transition.from.drawAll(renderer);
+        renderer.restore();
+        
+        renderer.save();
+        renderer.translate(-direction[0] * width * (1 - progress), -direction[1] * height * (1 - progress));
+        transition.to.drawAll(renderer);
+        renderer.restore();
+    },
+    
+    // Uncovers the new scene behind an edge sweeping across the canvas
+    wipe: function(renderer, transition) {
+        var direction = SceneManager.DIRECTIONS[transition.direction];
+        var shownWidth = direction[0] === 0 ? width : width * transition.progress;
+        var shownHeight = direction[1] === 0 ? height : height * transition.progress;
+        
+        transition.from.drawAll(renderer);
+        
+        renderer.save();
+        renderer.clipRect(direction[0] < 0 ? width - shownWidth : 0, 
+                          direction[1] < 0 ? height - shownHeight : 0, 
+                          shownWidth, 
+                          shownHeight);
+        transition.to.drawAll(renderer);
+        renderer.restore();
+    },
+    
+    // Uncovers the new scene inside a growing circle
+    reveal: function(renderer, transition) {
+        
+        // Big enough to cover the corner furthest from the centre
+        var radius = Math.max(
+            Math.sqrt(transition.x * transition.x + transition.y * transition.y),
+            Math.sqrt((width - transition.x) * (width - transition.x) + transition.y * transition.y),
+            Math.sqrt(transition.x * transition.x + (height - transition.y) * (height - transition.y)),
+            Math.sqrt((width - transition.x) * (width - transition.x) + (height - transition.y) * (height - transition.y))
+        );
+        var diameter = 2 * radius * transition.progress;
+        
+        transition.from.drawAll(renderer);
+        
+        renderer.save();
+        renderer.clipEllipse(transition.x, transition.y, diameter, diameter);
+        transition.to.drawAll(renderer);
+        renderer.restore();
+    }
+};
+
+/**
+@param {string|object} transition - Transition to undo, see SceneManager.
+
+@return {string|object} the transition that plays it backwards, moving the other way
+*/
+SceneManager.reverse = function(transition) {
+    if (!transition) {
+        return transition;
+    }
+    if (typeof transition === "string") {
+        transition = { type: transition };
+    }
+    
+    var reversed = {};
+    for (var name in transition) {
+        if (transition.hasOwnProperty(name)) {
+            reversed[name] = transition[name];
+        }
+    }
+    reversed.direction = SceneManager.OPPOSITES[transition.direction || "left"];
+    
+    return reversed;
+};
+
+/**
+Shows a scene, keeping the current one in the history for back().
+@param {Scene} scene                 - Scene to show.
+@param {string|object} transition    - Transition to play, see SceneManager.
+
+@return {Boolean} whether the scene changed, false if it was already showing
+*/
+SceneManager.prototype.go = function(scene, transition) {
+    if (scene === this.current) {
+        return false;
+    }
+    
+    if (this.current) {
+        this.history.push({ scene: this.current, transition: transition });
+    }
+    this.switchTo(scene, transition);
+    
+    return true;
+};
+
+/**
+Goes back to the scene shown before the last go().
+@param {string|object} transition - Transition to play. Defaults to the one go() played, reversed.
+
+@return {Boolean} whether there was a scene to go back to
+*/
+SceneManager.prototype.back = function(transition) {
+    var entry = this.history.pop();
+    
+    if (!entry) {
+        return false;
+    }
+    
+    this.switchTo(entry.scene, transition === undefined ? SceneManager.reverse(entry.transition) : transition);
+    
+    return true;
+};
+
+/**
+Shows a scene in place of the current one, without adding to the history.
+@param {Scene} scene              - Scene to show.
+@param {string|object} transition - Transition to play, see SceneManager.
+*/
+SceneManager.prototype.replace = function(scene, transition) {
+    this.switchTo(scene, transition);
+};
+
+/**
+Runs the exit and enter hooks and starts the transition between the scenes.
+A transition already playing is finished first.
+@param {Scene} scene              - Scene to show.
+@param {string|object} transition - Transition to play, see SceneManager.
+*/
+SceneManager.prototype.switchTo = function(scene, transition) {
+    if (this.transition) {
+        this.stop(this.transition.animation);
+    }
+    
+    var previous = this.current;
+    
+    if (previous) {
+        previous.widgets.blur();
+        previous.exit(scene);
+    }
+    this.current = scene;
+    scene.enter(previous);
+    
+    if (!transition || !previous) {
+        return;
+    }
+    
+    if (typeof transition === "string") {
+        transition = { type: transition };
+    }
+    
+    if (!SceneManager.transitions.hasOwnProperty(transition.type)) {
+        throw new Error("Unknown transition '" + transition.type + "', expected " + 
+                        Object.keys(SceneManager.transitions).join(", "));
+    }
+    
+    var direction = transition.direction || "left";
+    
+    if (!SceneManager.DIRECTIONS.hasOwnProperty(direction)) {
+        throw new Error("Unknown direction '" + direction + "', expected left, right, up or down");
+    }
+    
+    this.transition = {
+        from: previous,
+        to: scene,
+        type: transition.type,
+        direction: direction,
+        x: transition.x === undefined ? width / 2 : transition.x,
+        y: transition.y === undefined ? height / 2 : transition.y,
+        progress: 0,
+        animation: null
+    };
+    
+    var animation = new Animation(this.transition, { progress: 1 }, {
+        duration: transition.duration === undefined ? this.duration : transition.duration,
+        easing: transition.easing || this.easing
+    });
+    
+    this.transition.animation = animation;
+    animation.start((this.clock || animationClock).now());
+    animationTicker.add(animation, this);
+};
+
+/**
+Ends a transition, called by the ticker once it finishes. The new scene is shown on its own from then on.
+@param {Animation} animation - Animation of the transition.
+*/
+SceneManager.prototype.stop = function(animation) {
+    animationTicker.remove(animation);
+    
+    if (animation.isAnimating) {
+        animation.interrupt();
+    }
+    
+    if (this.transition && this.transition.animation === animation) {
+        this.transition = null;
+    }
+};
+
+/**
+@return {Boolean} whether a transition is playing
+*/
+SceneManager.prototype.isTransitioning = function() {
+    return this.transition !== null;
+};
+
+/**
+Updates the scenes being shown, both while a transition plays.
+*/
+SceneManager.prototype.update = function() {
+    if (this.transition) {
+        this.transition.from.update();
+    }
+    if (this.current) {
+        this.current.update();
+    }
+};
+
+/**
+@param {object} renderer - Renderer to draw with. Defaults to activeRenderer.
+*/
+SceneManager.prototype.draw = function(renderer) {
+    renderer = renderer || activeRenderer;
+    
+    if (this.transition) {
+        SceneManager.transitions[this.transition.type](renderer, this.transition);
+    } else if (this.current) {
+        this.current.drawAll(renderer);
+    }
+};
+
+/**
+@return {Boolean} whether one of the current scene's widgets was clicked
+*/
+SceneManager.prototype.handleMouseClick = function() {
+    if (this.current && !this.transition) {
+        return this.current.handleMouseClick();
+    }
+    
+    return false;
+};
+
+/**
+@return {Boolean} whether the mouse was pressed on one of the current scene's widgets
+*/
+SceneManager.prototype.handleMousePressed = function() {
+    if (this.current && !this.transition) {
+        return this.current.handleMousePressed();
+    }
+    
+    return false;
+};
+
+SceneManager.prototype.handleMouseDragged = function() {
+    if (this.current && !this.transition) {
+        this.current.handleMouseDragged();
+    }
+};
+
+// Passed on even during a transition, so no drag is left going
+SceneManager.prototype.handleMouseReleased = function() {
+    if (this.current) {
+        this.current.handleMouseReleased();
+    }
+};
+
+SceneManager.prototype.handleKeyPressed = function() {
+    if (this.current && !this.transition) {
+        this.current.handleKeyPressed();
+    }
+};
+
+// Passed on even during a transition, so no key is left held
+SceneManager.prototype.handleKeyReleased = function() {
+    if (this.current) {
+        this.current.handleKeyReleased();
+    }
+};
+
+//////////////////////////////////////////////////////
+// INSPECTOR
+//////////////////////////////////////////////////////
+
+// Inspector
+/**
+Debug overlay for seeing what animations are doing. It lists every animation
+the ticker is running, grouped by the shape (or other owner) running it, with
+a progress bar each; plots the easing curve of the selected animation with a
+marker at its progress; and shows the frame rate and how many frames were
+dropped. Pausing stops every animation, and the scrubber then drags them all
+backwards and forwards through time together.
+
+Click an animation in the list to select it. Press the toggle key, or call
+show() and hide(), to show and hide the overlay. Call update() at the start
+of every frame so frames are timed, and draw() after everything else.
+
+@param {object} options
+@option {int} x            - Left of the panel. Defaults to 10.
+@option {int} y            - Top of the panel. Defaults to 10.
+@option {int} width        - Width of the panel. Defaults to 220.
+@option {string} toggleKey - Key that shows and hides the overlay. Defaults to "`".
+@option {object} clock     - Clock frames are timed on. Defaults to animationClock.
+*/
+var Inspector = function(options) {
+    options = options || {};
+    
+    var self = this;
+    
+    this.x = options.x === undefined ? 10 : options.x;
+    this.y = options.y === undefined ? 10 : options.y;
+    this.width = options.width || 220;
+    this.toggleKey = options.toggleKey || "`";
+    this.clock = options.clock || null;
+    this.isVisible = false;
+    
+    // Names shown for owners, as {owner, name}
+    this.names = [];
+    this.selected = null;
+    
+    // Time between recent frames in milliseconds, for the frame rate
+    this.frameTimes = [];
+    this.lastFrameTime = null;
+    this.droppedFrames = 0;
+    
+    // Playheads when paused as {animation, time}, which the scrubber offsets
+    this.isPaused = false;
+    this.scrubStarts = [];
+    
+    this.pauseButton = new Button({
+        width: 60,
+        height: 24,
+        label: "Pause",
+        strokeColour: [0, 0, 0],
+        onClick: function() {
+            if (self.isPaused) {
+                self.resume();
+            } else {
+                self.pause();
+            }
+        }
+    });
+    
+    this.scrubber = new Slider({
+        width: this.width - 90,
+        height: 24,
+        label: "Offset (s)",
+        min: 0,
+        max: 0,
+        decimals: 2,
+        onChange: function(offset) {
+            self.scrubTo(offset);
+        }
+    });
+    this.scrubber.isEnabled = false;
+    
+    this.widgets = new WidgetManager().add(this.pauseButton, this.scrubber);
+    
+    // Set by draw(), for hit testing clicks
+    this.rows = [];
+    this.height = 0;
+};
+
+// Text size of everything in the panel
+Inspector.TEXT_SIZE = 12;
+
+// Height of each line of the list
+Inspector.ROW_HEIGHT = 16;
+
+// Frames the frame rate is averaged over
+Inspector.FRAME_SAMPLES = 60;
+
+// Size of the easing graph
+Inspector.GRAPH_SIZE = 90;
+
+// Seconds the scrubber reaches past the end of animations that repeat forever
+Inspector.SCRUB_AHEAD = 5;
+
+// Fields AnimatableShape keeps its built-in animations in, named in the list after them
+Inspector.REFERENCES = ["animationTween", "animationStretchIn", "animationStretch", "animationShrink"];
+
+/**
+Names an owner in the list, instead of numbering it.
+@param {object} owner - Shape, scene manager, etc. that runs animations.
+@param {string} name  - Name to show.
+*/
+Inspector.prototype.name = function(owner, name) {
+    for (var i = 0; i < this.names.length; i++) {
+        if (this.names[i].owner === owner) {
+            this.names[i].name = name;
+            return;
+        }
+    }
+    
+    this.names.push({ owner: owner, name: name });
+};
+
+Inspector.prototype.show = function() {
+    this.isVisible = true;
+};
+
+Inspector.prototype.hide = function() {
+    this.isVisible = false;
+};
+
+/**
+@return {Array} the running animations grouped by owner, as {owner, animations}
+*/
+Inspector.prototype.getGroups = function() {
+    var groups = [];
+    var owners = [];
+    
+    for (var i = 0; i < animationTicker.entries.length; i++) {
+        var entry = animationTicker.entries[i];
+        
+        if (entry.isRemoved) {
+            continue;
+        }
+        
+        var index = owners.indexOf(entry.owner);
+        
+        if (index === -1) {
+            index = owners.push(entry.owner) - 1;
+            groups.push({ owner: entry.owner, animations: [] });
+        }
+        groups[index].animations.push(entry.animation);
+    }
+    
+    return groups;
+};
+
+/**
+@param {object} owner - Owner of running animations.
+@param {int} index    - Position of the owner in the list.
+
+@return {string} the name given to the owner, or a numbered one
+*/
+Inspector.prototype.getOwnerName = function(owner, index) {
+    for (var i = 0; i < this.names.length; i++) {
+        if (this.names[i].owner === owner) {
+            return this.names[i].name;
+        }
+    }
+    
+    return "Owner " + (index + 1);
+};
+
+/**
+@param {object} owner       - Owner running the animation.
+@param {Playback} animation - Animation to describe.
+
+@return {string} the built-in animation it is, e.g. "tween", or else the properties it animates
+*/
+Inspector.prototype.getAnimationLabel = function(owner, animation) {
+    for (var i = 0; i < Inspector.REFERENCES.length; i++) {
+        if (owner[Inspector.REFERENCES[i]] === animation) {
+            var reference = Inspector.REFERENCES[i].substring("animation".length);
+            return reference.charAt(0).toLowerCase() + reference.substring(1);
+        }
+    }
+    
+    var names = [];
+    var properties = animation.getAnimatedProperties();
+    
+    for (var p = 0; p < properties.length; p++) {
+        if (names.indexOf(properties[p].name) === -1) {
+            names.push(properties[p].name);
+        }
+    }
+    
+    return names.length > 0 ? names.join(", ") : "animation";
+};
+
+/**
+@param {Playback} animation - Animation to check.
+
+@return {double} how far through its current iteration the animation is, from 0 to 1,
+                 counting down while a yoyo plays backwards
+*/
+Inspector.prototype.getIterationProgress = function(animation) {
+    var duration = animation.getDuration();
+    var activeTime = Math.max(0, animation.animTime - animation.animDelay);
+    
+    if (!(duration > 0) || duration === Infinity) {
+        return 1;
+    }
+    
+    var iteration = Math.min(Math.floor(activeTime / duration), animation.animRepeat);
+    var progress = Math.min(1, (activeTime - iteration * duration) / duration);
+    
+    return animation.animYoyo && iteration % 2 === 1 ? 1 - progress : progress;
+};
+
+/**
+@return {double} frames per second, averaged over the last few frames
+*/
+Inspector.prototype.getFrameRate = function() {
+    if (this.frameTimes.length === 0) {
+        return 0;
+    }
+    
+    var total = 0;
+    for (var i = 0; i < this.frameTimes.length; i++) {
+        total += this.frameTimes[i];
+    }
+    
+    return total > 0 ? MILLISECONDS_IN_SECOND * this.frameTimes.length / total : 0;
+};
+
+/**
+Times the frame, counting any frames dropped since the last one. Call at the
+start of every frame, whether or not the overlay is shown.
+*/
+Inspector.prototype.update = function() {
+    var now = (this.clock || animationClock).now();
+    
+    if (this.lastFrameTime !== null) {
+        var elapsed = now - this.lastFrameTime;
+        var frameLength = MILLISECONDS_IN_SECOND / FRAME_RATE;
+        
+        this.frameTimes.push(elapsed);
+        if (this.frameTimes.length > Inspector.FRAME_SAMPLES) {
+            this.frameTimes.shift();
+        }
+        
+        // Frames that should have been drawn in the gap
+        if (elapsed > frameLength * 1.5) {
+            this.droppedFrames += Math.round(elapsed / frameLength) - 1;
+        }
+    }
+    
+    this.lastFrameTime = now;
+    
+    if (this.selected && !this.selected.tickerEntry) {
+        this.selected = null;
+    }
+};
+
+/**
+Pauses every animation and lets the scrubber move them through time, from
+when the earliest started to when the latest ends.
+*/
+Inspector.prototype.pause = function() {
+    var behind = 0;
+    var ahead = 0;
+    
+    Playback.pauseAll();
+    this.isPaused = true;
+    this.scrubStarts = [];
+    
+    var groups = this.getGroups();
+    
+    for (var g = 0; g < groups.length; g++) {
+        for (var a = 0; a < groups[g].animations.length; a++) {
+            var animation = groups[g].animations[a];
+            var totalDuration = animation.getTotalDuration();
+            
+            this.scrubStarts.push({ animation: animation, time: animation.animTime });
+            
+            behind = Math.max(behind, animation.animTime);
+            ahead = Math.max(ahead, totalDuration === Infinity ? 
+                                    Inspector.SCRUB_AHEAD : 
+                                    totalDuration - animation.animTime);
+        }
+    }
+    
+    this.scrubber.min = -behind;
+    this.scrubber.max = ahead;
+    this.scrubber.value = 0;
+    this.scrubber.isEnabled = true;
+    this.pauseButton.label = "Play";
+};
+
+/**
+Resumes every animation from wherever the scrubber left it.
+*/
+Inspector.prototype.resume = function() {
+    Playback.resumeAll();
+    this.isPaused = false;
+    this.scrubStarts = [];
+    
+    this.scrubber.min = 0;
+    this.scrubber.max = 0;
+    this.scrubber.value = 0;
+    this.scrubber.isEnabled = false;
+    this.pauseButton.label = "Pause";
+};
+
+/**
+Moves every animation running when paused to a time relative to where it was paused.
+@param {double} offset - Seconds from where each animation was paused, negative for earlier.
+*/
+Inspector.prototype.scrubTo = function(offset) {
+    for (var i = 0; i < this.scrubStarts.length; i++) {
+        var start = this.scrubStarts[i];
+        start.animation.seek(start.time + offset - start.animation.animDelay);
+    }
+};
+
+/**
+@return {Boolean} whether the mouse is over the panel while shown
+*/
+Inspector.prototype.isMouseInside = function() {
+    return this.isVisible &&
+           mouseX > this.x && mouseX < this.x + this.width &&
+           mouseY > this.y && mouseY < this.y + this.height;
+};
+
+/**
+Shows or hides the overlay on the toggle key.
+
+@return {Boolean} whether the key was used
+*/
+Inspector.prototype.handleKeyPressed = function() {
+    if (String.fromCharCode(key) === this.toggleKey) {
+        this.isVisible = !this.isVisible;
+        return true;
+    }
+    
+    return false;
+};
+
+/**
+Selects the animation clicked, and passes the click to the pause button.
+
+@return {Boolean} whether the click was on the panel, so nothing under it gets it
+*/
+Inspector.prototype.handleMouseClick = function() {
+    if (!this.isMouseInside()) {
+        return false;
+    }
+    
+    for (var i = 0; i < this.rows.length; i++) {
+        if (mouseY >= this.rows[i].y && mouseY < this.rows[i].y + Inspector.ROW_HEIGHT) {
+            this.selected = this.rows[i].animation;
+        }
+    }
+    
+    this.widgets.handleMouseClick();
+    
+    return true;
+};
+
+/**
+@return {Boolean} whether the mouse was pressed on the panel
+*/
+Inspector.prototype.handleMousePressed = function() {
+    if (!this.isMouseInside()) {
+        return false;
+    }
+    
+    this.widgets.handleMousePressed();
+    
+    return true;
+};
+
+Inspector.prototype.handleMouseDragged = function() {
+    this.widgets.handleMouseDragged();
+};
+
+Inspector.prototype.handleMouseReleased = function() {
+    this.widgets.handleMouseReleased();
+};
+
+/**
+@param {object} renderer - Renderer to draw with. Defaults to activeRenderer.
+*/
+Inspector.prototype.draw = function(renderer) {
+    renderer = renderer || activeRenderer;
+    
+    if (!this.isVisible) {
+        return;
+    }
+    
+    var PADDING = 8;
+    var BAR_WIDTH = 60;
+    var TEXT_SIZE = Inspector.TEXT_SIZE;
+    var ROW_HEIGHT = Inspector.ROW_HEIGHT;
+    var groups = this.getGroups();
+    var selected = this.selected;
+    
+    // Size the panel to the list before drawing its background
+    var rowCount = 1;
+    for (var g = 0; g < groups.length; g++) {
+        rowCount += 1 + groups[g].animations.length;
+        
+        if (!selected && groups[g].animations.length > 0) {
+            selected = groups[g].animations[0];
+        }
+    }
+    this.height = PADDING * 2 + rowCount * ROW_HEIGHT + Inspector.GRAPH_SIZE + 80;
+    
+    renderer.save();
+    renderer.setStroke([0, 0, 0]);
+    renderer.setFill([255, 255, 255, 230]);
+    renderer.rect(this.x, this.y, this.width, this.height, 4);
+    
+    // Frame rate
+    var rowY = this.y + PADDING;
+    renderer.setFill([0, 0, 0]);
+    renderer.text("FPS " + this.getFrameRate().toFixed(1) + "   dropped " + this.droppedFrames, 
+                  this.x + PADDING, rowY, TEXT_SIZE);
+    rowY += ROW_HEIGHT;
+    
+    // Animations by owner, with progress bars
+    this.rows = [];
+    for (g = 0; g < groups.length; g++) {
+        renderer.setFill([0, 0, 0]);
+        renderer.text(this.getOwnerName(groups[g].owner, g), this.x + PADDING, rowY, TEXT_SIZE);
+        rowY += ROW_HEIGHT;
+        
+        for (var a = 0; a < groups[g].animations.length; a++) {
+            var animation = groups[g].animations[a];
+            var barX = this.x + this.width - PADDING - BAR_WIDTH;
+            
+            if (animation === selected) {
+                renderer.setStroke(null);
+                renderer.setFill(TextField.SELECTION_COLOUR);
+                renderer.rect(this.x + 2, rowY, this.width - 4, ROW_HEIGHT);
+            }
+            
+            renderer.setFill([60, 60, 60]);
+            renderer.text(this.getAnimationLabel(groups[g].owner, animation), this.x + PADDING * 2, rowY, TEXT_SIZE);
+            
+            renderer.setStroke(null);
+            renderer.setFill([220, 220, 220]);
+            renderer.rect(barX, rowY + 4, BAR_WIDTH, ROW_HEIGHT - 8);
+            renderer.setFill([242, 80, 80]);
+            renderer.rect(barX, rowY + 4, BAR_WIDTH * animation.getProgress(), ROW_HEIGHT - 8);
+            
+            this.rows.push({ animation: animation, y: rowY });
+            rowY += ROW_HEIGHT;
+        }
+    }
+    
+    this.drawEasingGraph(renderer, selected, this.x + PADDING, rowY + PADDING);
+    rowY += Inspector.GRAPH_SIZE + PADDING * 2;
+    
+    // Pause button and scrubber, the scrubber's label sitting above it
+    this.pauseButton.x = this.x + PADDING;
+    this.pauseButton.y = rowY + 24;
+    this.scrubber.x = this.x + this.width - PADDING - this.scrubber.width;
+    this.scrubber.y = rowY + 24;
+    this.widgets.draw(renderer);
+    
+    renderer.restore();
+};
+
+/**
+Plots an animation's easing curve, from 0 to 1 across and down to up, with a
+marker where the animation is on it.
+@param {object} renderer    - Renderer to draw with.
+@param {Playback} animation - Animation whose curve to plot, or null.
+@param {int} x              - Left of the graph.
+@param {int} y              - Top of the graph.
+*/
+Inspector.prototype.drawEasingGraph = function(renderer, animation, x, y) {
+    var SAMPLES = 40;
+    var size = Inspector.GRAPH_SIZE;
+    
+    renderer.setStroke([200, 200, 200]);
+    renderer.setFill([255, 255, 255]);
+    renderer.rect(x, y, size, size);
+    
+    var easing = animation && animation.animEasing;
+    
+    if (typeof easing !== "function") {
+        renderer.setFill([120, 120, 120]);
+        renderer.text(animation ? "No single easing" : "Nothing running", x + size + 8, y, Inspector.TEXT_SIZE);
+        return;
+    }
+    
+    // Room for curves that overshoot, such as back and elastic
+    var values = [];
+    var lowest = -0.1;
+    var highest = 1.1;
+    for (var i = 0; i <= SAMPLES; i++) {
+        values.push(easing(i / SAMPLES));
+        lowest = Math.min(lowest, values[i]);
+        highest = Math.max(highest, values[i]);
+    }
+    
+    var toY = function(value) {
+        return y + size - (value - lowest) / (highest - lowest) * size;
+    };
+    
+    var points = values.map(function(value, index) {
+        return [x + index / SAMPLES * size, toY(value)];
+    });
+    
+    renderer.setFill(null);
+    renderer.setStroke([0, 0, 0], 1);
+    renderer.polygon(points, false);
+    
+    // Marker where the animation is now
+    var progress = this.getIterationProgress(animation);
+    
+    renderer.setStroke(null);
+    renderer.setFill([242, 80, 80]);
+    renderer.ellipse(x + progress * size, toY(easing(progress)), 7, 7);
+    
+    renderer.setFill([120, 120, 120]);
+    renderer.text(Easing.nameOf(easing) || "custom", x + size + 8, y, Inspector.TEXT_SIZE);
+    renderer.text(Math.round(progress * 100) + "%", x + size + 8, y + Inspector.ROW_HEIGHT, Inspector.TEXT_SIZE);
+};
+
+//////////////////////////////////////////////////////
+// KEYFRAMES
+//////////////////////////////////////////////////////
+
+// Keyframes
+/**
+Reads, plays and writes animations described as data, e.g.
+
+{
+    "duration": 1,
+    "delay": 0,
+    "repeat": 0,
+    "yoyo": false,
+    "easing": "linear",
+    "tracks": {
+        "y":          [{ "time": 0, "value": 0, "easing": "easeOutBounce" }, { "time": 0.6, "value": 200 }],
+        "opacity":    [{ "time": 0, "value": 0 }, { "time": 0.3, "value": 1 }],
+        "fillColour": [{ "time": 0.5, "value": "#f25050", "space": "oklab" }, { "time": 1, "value": [80, 80, 242] }]
+    }
+}
+
+Every track animates one property of the shape through its keyframes. Times are
+in seconds from the start, and never go back. The easing (and for colours, the
+colour space) of a keyframe applies from it to the next keyframe, as in CSS.
+Keyframes without an easing use the top-level "easing". Values are numbers, or
+colours (see Colour.parse) for colour properties.
+
+Everything but "tracks" is optional. "duration" defaults to the time of the
+last keyframe, and can be longer to hold still at the end.
+*/
+var Keyframes = {};
+
+// Allowed fields, anything else is reported as a mistake
+Keyframes.DEFINITION_FIELDS = ["duration", "delay", "repeat", "yoyo", "easing", "tracks"];
+Keyframes.KEYFRAME_FIELDS = ["time", "value", "easing", "space"];
+
+// Number of keyframes a path is sampled into when converting animations
+Keyframes.PATH_SAMPLES = 20;
+
+/**
+Checks keyframes and fills in their defaults.
+@param {string|object} source - Keyframes as JSON text or as an object.
+
+@return {object} the keyframes, with every top-level field and colours as [r, g, b, a]
+*/
+Keyframes.parse = function(source) {
+    var definition = source;
+    var problems = [];
+    var report = function(path, message) {
+        problems.push(path + ": " + message);
+    };
+    var isNumber = function(value) {
+        return typeof value === "number" && isFinite(value);
+    };
+    var checkEasing = function(path, easing) {
+        try {
+            Easing.get(easing);
+        } catch (error) {
+            report(path, typeof easing === "string" ? error.message : "must be an easing name, got " + easing);
+        }
+    };
+    
+    if (typeof source === "string") {
+        try {
+            definition = JSON.parse(source);
+        } catch (error) {
+            throw new Error("Keyframes are not valid JSON: " + error.message);
+        }
+    }
+    
+    if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+        throw new Error("Keyframes must be an object with a \"tracks\" field");
+    }
+    
+    var parsed = {
+        duration: 0,
+        delay: definition.delay === undefined ? 0 : definition.delay,
+        repeat: definition.repeat === undefined ? 0 : definition.repeat,
+        yoyo: definition.yoyo === undefined ? false : definition.yoyo,
+        easing: definition.easing === undefined ? "linear" : definition.easing,
+        tracks: {}
+    };
+    var name;
+    
+    for (name in definition) {
+        if (Keyframes.DEFINITION_FIELDS.indexOf(name) === -1) {
+            report(name, "unknown field, expected one of " + Keyframes.DEFINITION_FIELDS.join(", "));
+        }
+    }
+    
+    if (!isNumber(parsed.delay) || parsed.delay < 0) {
+        report("delay", "must be a number of seconds, 0 or more, got " + JSON.stringify(parsed.delay));
+    }
+    if (parsed.repeat !== -1 && !(isNumber(parsed.repeat) && parsed.repeat >= 0 && parsed.repeat % 1 === 0)) {
+        report("repeat", "must be a whole number, 0 or more, or -1 for forever, got " + JSON.stringify(parsed.repeat));
+    }
+    if (typeof parsed.yoyo !== "boolean") {
+        report("yoyo", "must be true or false, got " + JSON.stringify(parsed.yoyo));
+    }
+    checkEasing("easing", parsed.easing);
+    
+    var tracks = definition.tracks;
+    
+    if (!tracks || typeof tracks !== "object" || Array.isArray(tracks)) {
+        report("tracks", "must be an object mapping property names to lists of keyframes");
+        tracks = {};
+    } else if (Object.keys(tracks).length === 0) {
+        report("tracks", "needs at least one track");
+    }
+    
+    for (name in tracks) {
+        var path = "tracks." + name;
+        var frames = tracks[name];
+        
+        if (!Array.isArray(frames) || frames.length === 0) {
+            report(path, "must be a list of at least one keyframe");
+            continue;
+        }
+        
+        var isColourTrack = !isNumber(frames[0] && frames[0].value);
+        var previousTime = 0;
+        
+        parsed.tracks[name] = [];
+        
+        for (var i = 0; i < frames.length; i++) {
+            var framePath = path + "[" + i + "]";
+            var frame = frames[i];
+            
+            if (!frame || typeof frame !== "object" || Array.isArray(frame)) {
+                report(framePath, "must be an object with \"time\" and \"value\"");
+                continue;
+            }
+            
+            for (var field in frame) {
+                if (Keyframes.KEYFRAME_FIELDS.indexOf(field) === -1) {
+                    report(framePath + "." + field, "unknown field, expected one of " + Keyframes.KEYFRAME_FIELDS.join(", "));
+                }
+            }
+            
+            var keyframe = { time: frame.time, value: frame.value };
+            
+            if (!isNumber(frame.time) || frame.time < 0) {
+                report(framePath + ".time", "must be a number of seconds, 0 or more, got " + JSON.stringify(frame.time));
+            } else if (frame.time < previousTime) {
+                report(framePath + ".time", "is " + frame.time + ", before the previous keyframe at " + previousTime);
+            } else {
+                previousTime = frame.time;
+                parsed.duration = Math.max(parsed.duration, frame.time);
+            }
+            
+            if (!isColourTrack) {
+                if (!isNumber(frame.value)) {
+                    report(framePath + ".value", "must be a number like the rest of the track, got " + JSON.stringify(frame.value));
+                }
+            } else {
+                try {
+                    keyframe.value = Colour.parse(frame.value);
+                } catch (error) {
+                    report(framePath + ".value", "must be a number or a colour, got " + JSON.stringify(frame.value));
+                }
+            }
+            
+            if (frame.easing !== undefined) {
+                checkEasing(framePath + ".easing", frame.easing);
+                keyframe.easing = frame.easing;
+            }
+            
+            if (frame.space !== undefined) {
+                if (!isColourTrack) {
+                    report(framePath + ".space", "only applies to colour tracks");
+                } else if (["rgb", "hsb", "oklab"].indexOf(frame.space) === -1) {
+                    report(framePath + ".space", "must be rgb, hsb or oklab, got " + JSON.stringify(frame.space));
+                }
+                keyframe.space = frame.space;
+            }
+            
+            parsed.tracks[name].push(keyframe);
+        }
+    }
+    
+    if (definition.duration !== undefined) {
+        if (!isNumber(definition.duration) || definition.duration < parsed.duration) {
+            report("duration", "must be a number of seconds no earlier than the last keyframe (" + 
+                               parsed.duration + "), got " + JSON.stringify(definition.duration));
+        } else {
+            parsed.duration = definition.duration;
+        }
+    }
+    
+    if (problems.length > 0) {
+        var error = new Error("Invalid keyframes:\n    " + problems.join("\n    "));
+        error.problems = problems;
+        throw error;
+    }
+    
+    return parsed;
+};
+
+/**
+Builds a timeline playing keyframes on a target.
+@param {string|object} keyframes - Keyframes, see Keyframes.
+@param {object} target           - Object whose properties the tracks animate.
+
+@return {Timeline} the timeline, ready to be played
+*/
+Keyframes.toTimeline = function(keyframes, target) {
+    var definition = Keyframes.parse(keyframes);
+    var timeline = new Timeline({
+        delay: definition.delay,
+        repeat: definition.repeat,
+        yoyo: definition.yoyo
+    });
+    
+    // Animation from one keyframe to the next
+    var segment = function(name, from, to) {
+        var options = {
+            duration: to.time - from.time,
+            easing: from.easing || definition.easing
+        };
+        
+        if (typeof from.value !== "number") {
+            options.from = from.value;
+            options.space = from.space;
+            return new ColourAnimation(target, name, to.value, options);
+        }
+        
+        var destination = {};
+        options.from = {};
+        destination[name] = to.value;
+        options.from[name] = from.value;
+        
+        return new Animation(target, destination, options);
+    };
+    
+    for (var name in definition.tracks) {
+        var frames = definition.tracks[name];
+        
+        // A lone keyframe just sets its value when reached
+        if (frames.length === 1) {
+            timeline.add(segment(name, frames[0], frames[0]), frames[0].time);
+        }
+        
+        for (var i = 1; i < frames.length; i++) {
+            timeline.add(segment(name, frames[i - 1], frames[i]), frames[i - 1].time);
+        }
+    }
+    
+    if (definition.duration > timeline.getDuration()) {
+        timeline.addDelay(definition.duration - timeline.getDuration());
+    }
+    
+    return timeline;
+};
+
+/**
+Names the easing that plays a curve backwards, for yoyo iterations.
+@param {string} name - Easing name or cubic-bezier()/steps() string.
+
+@return {string} the name of the reversed curve
+*/
+Keyframes.reverseEasing = function(name) {
+    var compact = name.replace(/\s/g, "");
+    var keywords = { "linear": "linear", "ease-in": "ease-out", "ease-out": "ease-in", "ease-in-out": "ease-in-out" };
+    var match;
+    
+    if (keywords.hasOwnProperty(name)) {
+        return keywords[name];
+    }
+    
+    if ((match = /^easeInOut(\w+)$/.exec(name))) {
+        return name;
+    }
+    if ((match = /^easeIn(\w+)$/.exec(name))) {
+        return "easeOut" + match[1];
+    }
+    if ((match = /^easeOut(\w+)$/.exec(name))) {
+        return "easeIn" + match[1];
+    }
+    
+    // Named curves registered as a cubic-bezier, such as "ease"
+    if (Easing.curves.hasOwnProperty(name) && Easing.curves[name].controlPoints) {
+        compact = "cubic-bezier(" + Easing.curves[name].controlPoints.join(",") + ")";
+    }
+    
+    if ((match = /^cubic-bezier\(([^)]*)\)$/.exec(compact))) {
+        var p = match[1].split(",").map(function(point) {
+            return 1 - parseFloat(point);
+        });
+        var points = [p[2], p[3], p[0], p[1]].map(function(point) {
+            
+            // Keeps float noise such as 0.19999999999999996 out of exported CSS
+            return parseFloat(point.toFixed(10));
+        });
+        return "cubic-bezier(" + points.join(", ") + ")";
+    }
+    
+    if ((match = /^steps\((\d+)(?:,(start|end|jump-start|jump-end|jump-none|jump-both))?\)$/.exec(compact))) {
+        
+        // Jumping at both ends or neither looks the same backwards
+        if (match[2] === "jump-none" || match[2] === "jump-both") {
+            return "steps(" + match[1] + ", " + match[2] + ")";
+        }
+        
+        var atStart = match[2] === "start" || match[2] === "jump-start";
+        return "steps(" + match[1] + ", " + (atStart ? "end" : "start") + ")";
+    }
+    
+    throw new Error("Cannot play easing '" + name + "' backwards in keyframes");
+};
+
+/**
+Describes an animation, path animation, colour animation or timeline as keyframes,
+for saving it or exporting it. Springs have no fixed length and cannot be described.
+Start values not captured yet are read from the target as it is now.
+@param {Playback} animation - Animation to describe.
+@param {object} target      - Only describe changes to this object. Defaults to every target.
+
+@return {object} the keyframes, see Keyframes
+*/
+Keyframes.fromAnimation = function(animation, target) {
+    
+    // Every property's changes as {start, end, from, to, easing, space}
+    var segments = {};
+    
+    var addSegment = function(segmentTarget, name, segment) {
+        if (target && segmentTarget !== target) {
+            return;
+        }
+        segments[name] = segments[name] || [];
+        segments[name].push(segment);
+    };
+    
+    var easingName = function(easingFunction, reversed) {
+        var name = Easing.nameOf(easingFunction);
+        
+        if (name === null) {
+            throw new Error("Custom easing functions cannot be saved as keyframes, register them with Easing.register");
+        }
+        
+        return reversed ? Keyframes.reverseEasing(name) : name;
+    };
+    
+    // Records a single iteration of a step starting at offset
+    var collectIteration = function(step, offset, reversed) {
+        var duration = step.getDuration();
+        var name;
+        var i;
+        
+        if (step instanceof Timeline) {
+            for (i = 0; i < step.steps.length; i++) {
+                var entry = step.steps[i];
+                var entryOffset = reversed ? duration - entry.offset - entry.step.getTotalDuration() : entry.offset;
+                
+                collectStep(entry.step, offset + entryOffset, reversed);
+            }
+        } else if (step instanceof Animation) {
+            for (name in step.animDestinations) {
+                var start = step.animStartValues ? step.animStartValues[name] : 
+                            step.animFrom.hasOwnProperty(name) ? step.animFrom[name] : step.animTarget[name];
+                var end = step.animDestinations[name];
+                
+                addSegment(step.animTarget, name, {
+                    start: offset,
+                    end: offset + duration,
+                    from: reversed ? end : start,
+                    to: reversed ? start : end,
+                    easing: easingName(step.animEasing, reversed)
+                });
+            }
+        } else if (step instanceof ColourAnimation) {
+            if (step.animDestination) {
+                var startColour = step.animStartColour || step.animFrom || 
+                                  Colour.parse(step.animTarget[step.animProperty]);
+                
+                addSegment(step.animTarget, step.animProperty, {
+                    start: offset,
+                    end: offset + duration,
+                    from: reversed ? step.animDestination : startColour,
+                    to: reversed ? startColour : step.animDestination,
+                    easing: easingName(step.animEasing, reversed),
+                    space: step.animSpace
+                });
+            }
+        } else if (step instanceof PathAnimation) {
+            
+            // Paths become straight lines between points sampled along them
+            var previous = null;
+            
+            for (i = 0; i <= Keyframes.PATH_SAMPLES; i++) {
+                var time = (i / Keyframes.PATH_SAMPLES) * duration;
+                var point = step.animPath.getPointAtProgress(
+                    calculateEase(reversed ? duration - time : time, duration, 1, 0, step.animEasing));
+                var values = { x: point.x, y: point.y, rotation: point.angle + step.animRotationOffset };
+                
+                if (previous) {
+                    for (var p = 0; p < step.animProperties.length; p++) {
+                        name = step.animProperties[p];
+                        addSegment(step.animTarget, name, {
+                            start: offset + previous.time,
+                            end: offset + time,
+                            from: previous.values[name],
+                            to: values[name],
+                            easing: "linear"
+                        });
+                    }
+                }
+                previous = { time: time, values: values };
+            }
+        } else if (step instanceof SpringAnimation) {
+            throw new Error("Springs have no fixed length and cannot be saved as keyframes");
+        } else {
+            throw new Error("Cannot save " + step + " as keyframes");
+        }
+    };
+    
+    // Records every iteration of a step placed in a timeline at offset
+    var collectStep = function(step, offset, reversed) {
+        var duration = step.getDuration();
+        var repeat = step.animRepeat;
+        
+        if (repeat === Infinity) {
+            throw new Error("Steps repeating forever inside a timeline cannot be saved as keyframes");
+        }
+        
+        for (var i = 0; i <= repeat; i++) {
+            var iterationReversed = (step.animYoyo && i % 2 === 1) !== reversed;
+            var start = reversed ? offset + (repeat - i) * duration : offset + step.animDelay + i * duration;
+            
+            collectIteration(step, start, iterationReversed);
+        }
+    };
+    
+    collectIteration(animation, 0, animation.isReversed);
+    
+    var definition = {
+        duration: animation.getDuration(),
+        delay: animation.animDelay,
+        repeat: animation.animRepeat === Infinity ? -1 : animation.animRepeat,
+        yoyo: animation.animYoyo,
+        easing: "linear",
+        tracks: {}
+    };
+    
+    for (var name in segments) {
+        var frames = [];
+        var changes = segments[name].sort(function(a, b) {
+            return a.start - b.start;
+        });
+        
+        for (var i = 0; i < changes.length; i++) {
+            var change = changes[i];
+            var last = frames[frames.length - 1];
+            var keyframe = { time: change.start, value: change.from, easing: change.easing };
+            
+            if (change.space) {
+                keyframe.space = change.space;
+            }
+            
+            if (last && change.start < last.time) {
+                throw new Error("Overlapping animations of '" + name + "' cannot be saved as keyframes");
+            }
+            
+            // Continue from the previous change's end rather than repeat it
+            if (last && last.time === change.start && JSON.stringify(last.value) === JSON.stringify(change.from)) {
+                frames[frames.length - 1] = keyframe;
+            } else {
+                frames.push(keyframe);
+            }
+            
+            frames.push({ time: change.end, value: change.to });
+        }
+        
+        definition.tracks[name] = frames;
+    }
+    
+    return Keyframes.parse(definition);
+};
+
+/**
+Finds the value a track has at a given time, holding its first and last values
+before and after its keyframes.
+@param {Array} track         - Keyframes of one property, as returned by Keyframes.parse.
+@param {double} time         - Seconds from the start.
+@param {string} defaultEasing - Easing of keyframes without one.
+
+@return {double|Array} the value, or colour as [r, g, b, a]
+*/
+Keyframes.valueAt = function(track, time, defaultEasing) {
+    var last = track[track.length - 1];
+    
+    if (time <= track[0].time) {
+        return track[0].value;
+    }
+    if (time >= last.time) {
+        return last.value;
+    }
+    
+    var i = 0;
+    while (track[i + 1].time <= time) {
+        i++;
+    }
+    
+    var from = track[i];
+    var to = track[i + 1];
+    var amount = Easing.get(from.easing || defaultEasing)((time - from.time) / (to.time - from.time));
+    
+    if (typeof from.value === "number") {
+        return from.value + (to.value - from.value) * amount;
+    }
+    return Colour.interpolate(from.value, to.value, amount, from.space);
+};
+
+/**
+Writes keyframes, or an animation described as keyframes, as JSON text.
+@param {object|Playback} keyframes - Keyframes (see Keyframes) or an animation (see fromAnimation).
+
+@return {string} the keyframes as JSON
+*/
+Keyframes.stringify = function(keyframes) {
+    if (keyframes instanceof Playback) {
+        keyframes = Keyframes.fromAnimation(keyframes);
+    }
+    
+    return JSON.stringify(Keyframes.parse(keyframes), null, 4);
+};
+
+//////////////////////////////////////////////////////
+// EXPORT
+//////////////////////////////////////////////////////
+
+// AnimationExport
+/**
+Turns an animation of a shape (a tween, stretchIn, keyframes or any timeline)
+into markup that plays the same way in a web page: CSS @keyframes or an SVG
+document animated with <animate> and <animateTransform>.
+
+Easings become cubic-bezier() timing where an equivalent exists. Curves without
+one (elastic, bounce, and back in SVG, which cannot overshoot) and properties
+animated with different timing that share one CSS or SVG attribute are sampled
+into short straight pieces instead.
+*/
+var AnimationExport = {};
+
+// Samples per second used where an easing has to be approximated
+AnimationExport.SAMPLES_PER_SECOND = 30;
+
+// Cubic bezier equivalents of the named curves, as [x1, y1, x2, y2]
+AnimationExport.BEZIERS = {
+    "linear": [0, 0, 1, 1],
+    "ease": [0.25, 0.1, 0.25, 1],
+    "ease-in": [0.42, 0, 1, 1],
+    "ease-out": [0, 0, 0.58, 1],
+    "ease-in-out": [0.42, 0, 0.58, 1],
+    "easeInSine": [0.12, 0, 0.39, 0],
+    "easeOutSine": [0.61, 1, 0.88, 1],
+    "easeInOutSine": [0.37, 0, 0.63, 1],
+    "easeInQuad": [0.11, 0, 0.5, 0],
+    "easeOutQuad": [0.5, 1, 0.89, 1],
+    "easeInOutQuad": [0.45, 0, 0.55, 1],
+    "easeInCubic": [0.32, 0, 0.67, 0],
+    "easeOutCubic": [0.33, 1, 0.68, 1],
+    "easeInOutCubic": [0.65, 0, 0.35, 1],
+    "easeInQuart": [0.5, 0, 0.75, 0],
+    "easeOutQuart": [0.25, 1, 0.5, 1],
+    "easeInOutQuart": [0.76, 0, 0.24, 1],
+    "easeInQuint": [0.64, 0, 0.78, 0],
+    "easeOutQuint": [0.22, 1, 0.36, 1],
+    "easeInOutQuint": [0.83, 0, 0.17, 1],
+    "easeInExpo": [0.7, 0, 0.84, 0],
+    "easeOutExpo": [0.16, 1, 0.3, 1],
+    "easeInOutExpo": [0.87, 0, 0.13, 1],
+    "easeInCirc": [0.55, 0, 1, 0.45],
+    "easeOutCirc": [0, 0.55, 0.45, 1],
+    "easeInOutCirc": [0.85, 0, 0.15, 1],
+    "easeInBack": [0.36, 0, 0.66, -0.56],
+    "easeOutBack": [0.34, 1.56, 0.64, 1],
+    "easeInOutBack": [0.68, -0.6, 0.32, 1.6]
+};
+
+/**
+@param {string} easing - Easing name or cubic-bezier() string.
+
+@return {Array} the equivalent [x1, y1, x2, y2], null when there is none
+*/
+AnimationExport.bezierOf = function(easing) {
+    if (AnimationExport.BEZIERS.hasOwnProperty(easing)) {
+        return AnimationExport.BEZIERS[easing];
+    }
+    
+    var match = /^cubic-bezier\(([^)]*)\)$/.exec(easing.replace(/\s/g, ""));
+    return match ? match[1].split(",").map(parseFloat) : null;
+};
+
+/**
+@param {double} value - Number to write.
+
+@return {string} the number rounded to 3 decimal places
+*/
+AnimationExport.formatNumber = function(value) {
+    return String(Math.round(value * 1000) / 1000);
+};
+
+/**
+Works out the frames one exported attribute needs, for properties that are
+written together (e.g. x and y into one CSS translate).
+@param {object} definition - Keyframes, as returned by Keyframes.parse.
+@param {Array} names       - Properties written together.
+@param {object} statics    - Value of each property that has no track.
+@param {function} toTiming - Converts an easing name to the exporter's timing, or null if it cannot.
+@param {*} linearTiming    - The exporter's timing for a straight line.
+
+@return {Array} frames as {time, values, timing}, timing leading to the next frame
+*/
+AnimationExport.groupFrames = function(definition, names, statics, toTiming, linearTiming) {
+    var tracks = [];
+    var i;
+    
+    for (i = 0; i < names.length; i++) {
+        if (definition.tracks.hasOwnProperty(names[i])) {
+            tracks.push(definition.tracks[names[i]]);
+        }
+    }
+    
+    // Tracks keyframed at the same times with the same easings keep their easing
+    var signature = function(track) {
+        return JSON.stringify(track.map(function(frame) {
+            return [frame.time, frame.easing || definition.easing, frame.space];
+        }));
+    };
+    var isAligned = tracks.every(function(track) {
+        return signature(track) === signature(tracks[0]);
+    });
+    
+    var times = [0, definition.duration];
+    tracks.forEach(function(track) {
+        track.forEach(function(frame) {
+            times.push(frame.time);
+        });
+    });
+    times = times.sort(function(a, b) {
+        return a - b;
+    }).filter(function(time, index) {
+        return index === 0 || time !== times[index - 1];
+    });
+    
+    var valuesAt = function(time) {
+        var values = {};
+        
+        for (var n = 0; n < names.length; n++) {
+            values[names[n]] = definition.tracks.hasOwnProperty(names[n]) ? 
+                               Keyframes.valueAt(definition.tracks[names[n]], time, definition.easing) : 
+                               statics[names[n]];
+        }
+        
+        return values;
+    };
+    
+    // Easing of the segment of the aligned tracks starting at a time, null if mixed
+    var easingAt = function(time) {
+        var track = tracks[0];
+
+        if (!track) {
+            return "linear";
+        }
+
+        if (!isAligned || time < track[0].time || time >= track[track.length - 1].time) {
+            return isAligned ? "linear" : null;
+        }
+        
+        for (var f = track.length - 1; f >= 0; f--) {
+            if (track[f].time <= time) {
+                // Browsers only blend colours in RGB
+                return track[f].space && track[f].space !== "rgb" ? null : track[f].easing || definition.easing;
+            }
+        }
+        return null;
+    };
+    
+    var frames = [];
+    
+    for (i = 0; i < times.length - 1; i++) {
+        var start = times[i];
+        var end = times[i + 1];
+        var easing = easingAt(start);
+        var timing = easing === null ? null : toTiming(easing);
+        
+        if (timing !== null) {
+            frames.push({ time: start, values: valuesAt(start), timing: timing });
+            continue;
+        }
+        
+        var samples = Math.max(2, Math.ceil((end - start) * AnimationExport.SAMPLES_PER_SECOND));
+        
+        for (var sample = 0; sample < samples; sample++) {
+            var time = start + (end - start) * (sample / samples);
+            frames.push({ time: time, values: valuesAt(time), timing: linearTiming });
+        }
+    }
+    
+    frames.push({ time: definition.duration, values: valuesAt(definition.duration), timing: linearTiming });
+    
+    return frames;
 };
 
 /**
-Applies a quadratic function to represent a distance and provides a vector based on time passed and given duration
- 
-@param {double} time - Time passed in same format as duration.
-@param {double} duration - Time alloted to cover the distance.
-@param {double} distance - Magnitude of change.
-@param {double} positon  - Initial starting position.
+@param {AnimatableShape} shape - Shape being exported.
 
-@return {double} position represented by a quadratic equation based on time passed and given duration 
+@return {object} value of every exportable property before the animation changes it
 */
-AnimatableShape.prototype.calculateEaseOut = function(time, duration, distance, position) {
-    
-    // Percentage of animation completion
-    var percentage = time/duration;
-    
-    if (percentage > 1) {
-        percentage = 1;
-    }
-    
-    return position + (-1 * distance * percentage * (percentage - 2));
+AnimationExport.getStatics = function(shape) {
+    return {
+        x: shape.x,
+        y: shape.y,
+        width: shape.width,
+        height: shape.height,
+        rotation: shape.rotation,
+        scaleX: shape.scaleX,
+        scaleY: shape.scaleY,
+        skewX: shape.skewX,
+        skewY: shape.skewY,
+        anchorX: shape.anchorX,
+        anchorY: shape.anchorY,
+        opacity: shape.opacity,
+        fillColour: shape.fillColour && Colour.parse(shape.fillColour),
+        strokeColour: shape.strokeColour && Colour.parse(shape.strokeColour),
+        strokeWeight: shape.strokeWeight,
+        cornerRadius: shape.cornerRadius || 0
+    };
 };
 
-/*
-Applies the necessary changes for animation based on the shapes acceleration, velocity, and scale factor
+/**
+Converts an animation of a shape to CSS. The rule positions an absolutely
+positioned element the way the shape is drawn, with its anchor at (x, y) and
+transformed around it, and the @keyframes animate it.
+@param {AnimatableShape} shape - Shape the animation runs on.
+@param {Playback} animation    - Animation, keyframes timeline, etc. to convert.
+@param {object} options
+@option {string} name          - Class name of the element, also used to name the @keyframes. Defaults to "shape".
+
+@return {string} the CSS
 */
-AnimatableShape.prototype.draw = function() {
+AnimationExport.toCSS = function(shape, animation, options) {
+    options = options || {};
+    
+    var name = options.name || "shape";
+    var definition = Keyframes.fromAnimation(animation, shape);
+    var statics = AnimationExport.getStatics(shape);
+    var number = AnimationExport.formatNumber;
+    var colour = function(value) {
+        return "rgba(" + [number(value[0]), number(value[1]), number(value[2]), number(value[3] / 255)].join(", ") + ")";
+    };
+    var anchorX = number(statics.anchorX * 100) + "%";
+    var anchorY = number(statics.anchorY * 100) + "%";
     
-    if (this.animationTween.isAnimating){   
+    var groups = [
+        { property: "translate", names: ["x", "y"], format: function(values) {
+            return "calc(" + number(values.x) + "px - " + anchorX + ") calc(" + number(values.y) + "px - " + anchorY + ")";
+        } },
+        { property: "width", names: ["width"], format: function(values) {
+            return number(values.width) + "px";
+        } },
+        { property: "height", names: ["height"], format: function(values) {
+            return number(values.height) + "px";
+        } },
+        { property: "rotate", names: ["rotation"], format: function(values) {
+            return number(values.rotation) + "deg";
+        } },
         
-        var timePassed = (millis() / MILLISECONDS_IN_SECOND) - 
-                         (this.animationTween.animStartTime / MILLISECONDS_IN_SECOND);
+        // Skew comes before scale, as in getTransform, which the scale property can't do
+        { property: "transform", names: ["skewX", "skewY", "scaleX", "scaleY"], format: function(values) {
+            return "skew(" + number(values.skewX) + "deg, " + number(values.skewY) + "deg) " + 
+                   "scale(" + number(values.scaleX) + ", " + number(values.scaleY) + ")";
+        } },
+        { property: "opacity", names: ["opacity"], format: function(values) {
+            return number(values.opacity);
+        } },
+        { property: "background-color", names: ["fillColour"], format: function(values) {
+            return values.fillColour ? colour(values.fillColour) : "transparent";
+        } },
+        { property: "border-color", names: ["strokeColour"], format: function(values) {
+            return values.strokeColour ? colour(values.strokeColour) : "transparent";
+        } },
+        { property: "border-width", names: ["strokeWeight"], format: function(values) {
+            return number(values.strokeWeight) + "px";
+        } }
+    ];
+    
+    var toTiming = function(easing) {
+        var bezier = AnimationExport.bezierOf(easing);
         
-        this.y = this.calculateEaseOut(timePassed, 
-                                       this.animationTween.animDuration, 
-                                       this.animationTween.animDistanceY, 
-                                       this.animationTween.animStartY);
-                                       
-        this.x = this.calculateEaseOut(timePassed, 
-                                       this.animationTween.animDuration, 
-                                       this.animationTween.animDistanceX, 
-                                       this.animationTween.animStartX);
-
-     
-        // If time is up, let's stop
-        if (timePassed > this.animationTween.animDuration) { 
-            this.animationTween.isAnimating = false;
+        if (easing === "linear") {
+            return easing;
         }
+        if (bezier) {
+            return "cubic-bezier(" + bezier.map(number).join(", ") + ")";
+        }
+        return /^steps\(/.test(easing) ? easing : null;
+    };
+    
+    var rule = ["." + name + " {",
+                "    position: absolute;",
+                "    left: 0;",
+                "    top: 0;",
+                "    box-sizing: border-box;",
+                "    border-style: solid;",
+                "    transform-origin: " + anchorX + " " + anchorY + ";"];
+    
+    if (shape instanceof AnimatableEllipse) {
+        rule.push("    border-radius: 50%;");
+    } else if (shape instanceof AnimatableRect) {
+        groups.push({ property: "border-radius", names: ["cornerRadius"], format: function(values) {
+            return number(Math.max(0, values.cornerRadius)) + "px";
+        } });
     }
-
     
-    if (this.animationStretch.isAnimating){
-       
-        var timePassed = (millis() / MILLISECONDS_IN_SECOND) - 
-                         (this.animationStretch.animStartTime / MILLISECONDS_IN_SECOND);
+    var keyframeRules = [];
+    var animations = [];
+    var exported = [];
+    
+    for (var g = 0; g < groups.length; g++) {
+        var group = groups[g];
+        var frames = AnimationExport.groupFrames(definition, group.names, statics, toTiming, "linear");
+        var isAnimated = group.names.some(function(property) {
+            return definition.tracks.hasOwnProperty(property);
+        });
         
-        this.width = this.calculateEaseOut(timePassed, 
-                                       this.animationStretch.animDuration, 
-                                       this.animationStretch.animDistanceY, 
-                                       this.animationStretch.animStartY);
-                                       
-        this.height = this.calculateEaseOut(timePassed, 
-                                       this.animationStretch.animDuration, 
-                                       this.animationStretch.animDistanceX, 
-                                       this.animationStretch.animStartX);
-
-     
-        // If time is up, let's stop and shrink back to original
-        if (timePassed > this.animationStretch.animDuration) { 
-            this.animationStretch.isAnimating = false;
-            
-            this.animationShrink.animStartTime = millis();
-            this.animationShrink.isAnimating = true;
+        exported = exported.concat(group.names);
+        
+        // Static value, as at the start of the animation
+        rule.push("    " + group.property + ": " + group.format(frames[0].values) + ";");
+        
+        if (!isAnimated) {
+            continue;
         }
-    }
-    
-    if (this.animationShrink.isAnimating){
         
-        var timePassed = (millis() / MILLISECONDS_IN_SECOND) - 
-                         (this.animationShrink.animStartTime / MILLISECONDS_IN_SECOND);
+        var keyframesName = name + "-" + group.property;
+        var lines = ["@keyframes " + keyframesName + " {"];
         
-        this.width = this.calculateEaseIn(timePassed, 
-                                       this.animationShrink.animDuration, 
-                                       this.animationShrink.animDistanceY, 
-                                       this.animationShrink.animStartY);
-                                       
-        this.height = this.calculateEaseIn(timePassed, 
-                                       this.animationShrink.animDuration, 
-                                       this.animationShrink.animDistanceX, 
-                                       this.animationShrink.animStartX);
-     
-        if (timePassed > this.animationShrink.animDuration) { 
-            this.animationShrink.isAnimating = false;
+        for (var f = 0; f < frames.length; f++) {
+            var percentage = definition.duration > 0 ? (frames[f].time / definition.duration) * 100 : 100;
+            var declarations = group.property + ": " + group.format(frames[f].values) + ";";
+            
+            if (f < frames.length - 1 && frames[f].timing !== "linear") {
+                declarations += " animation-timing-function: " + frames[f].timing + ";";
+            }
+            
+            lines.push("    " + number(percentage) + "% { " + declarations + " }");
         }
+        
+        lines.push("}");
+        keyframeRules.push(lines.join("\n"));
+        
+        animations.push([keyframesName,
+                         number(definition.duration) + "s",
+                         "linear",
+                         number(definition.delay) + "s",
+                         definition.repeat === -1 ? "infinite" : String(definition.repeat + 1),
+                         definition.yoyo ? "alternate" : "normal",
+                         "both"].join(" "));
+    }
+    
+    if (animations.length > 0) {
+        rule.push("    animation: " + animations.join(",\n               ") + ";");
     }
-};
-
-// Animatable Ellipse
-// See ellipse(x, y, w, h)
-var AnimatableEllipse = function(x, y, w, h) {
-    AnimatableShape.call(this, x, y, w, h);
-};
-
-// Inherit from AnimatableShape
-AnimatableEllipse.prototype = Object.create(AnimatableShape.prototype);
-
-AnimatableEllipse.prototype.draw = function() {
     
-    // Include this method in all custom Animatable objects
-    // This will call the super class' draw method
-    // Calculates the position of this object for the next frame based on the animations it is running
-    AnimatableShape.prototype.draw.call(this); 
+    rule.push("}");
     
-    ellipse(this.x, this.y, this.width, this.height);
+    var skipped = Object.keys(definition.tracks).filter(function(property) {
+        return exported.indexOf(property) === -1;
+    });
+    if (skipped.length > 0) {
+        rule.unshift("/* Not exported, no CSS equivalent: " + skipped.join(", ") + " */");
+    }
+    
+    return [rule.join("\n")].concat(keyframeRules).join("\n\n") + "\n";
 };
 
-// Button
 /**
-Object for custom buttons
-@param config 
-@config x                - Top left x position of button
-@config y                - Top left y position of button
-@config width            - Width of button
-@config height           - Height of button
-@config radius           - Button's corner radius
-@config backgroundColour - Background colour of button
-@config strokeColour     - Stroke colour displayed on button
-@config textColour       - Text colour displayed on button                
-@config onClick()        - Function block to execute when button has been pressed
-@config label            - Button title
+Builds keyframes playing forwards then backwards, since SMIL has no yoyo.
+@param {object} definition - Keyframes, as returned by Keyframes.parse.
+
+@return {object} keyframes twice as long
 */
-var Button = function(config) {
-    this.x = config.x || 0;
-    this.y = config.y || 0;
-    this.width = config.width || 150;
-    this.height = config.height || 50;
-    this.radius = config.radius || 5;
-    this.label = config.label || "Button";
-    this.onClick = config.onClick || function() {};
-    this.backgroundColour = config.backgroundColour || [255, 255, 255];
-    this.textColour = config.textColour || [0, 0, 0];
-    this.strokeColour = config.strokeColour || [255, 255, 255];
+AnimationExport.mirror = function(definition) {
+    var duration = definition.duration;
+    var mirrored = {
+        duration: duration * 2,
+        delay: definition.delay,
+        repeat: definition.repeat,
+        yoyo: false,
+        easing: definition.easing,
+        tracks: {}
+    };
     
-    this.isEnabled = true;
-};
-
-Button.prototype.draw = function() {
-    stroke(this.strokeColour[0], this.strokeColour[1], this.strokeColour[2]);
-    fill(this.backgroundColour[0], this.backgroundColour[1], this.backgroundColour[2]);
-    rect(this.x, this.y, this.width, this.height, this.radius);
-    fill(this.textColour[0], this.textColour[1], this.textColour[2]);
-    textSize(19);
-    textAlign(LEFT, TOP);
-    text(this.label, this.x+10, this.y+this.height/4);
+    for (var name in definition.tracks) {
+        var track = definition.tracks[name];
+        var frames = track.map(function(frame) {
+            return { time: frame.time, value: frame.value, easing: frame.easing, space: frame.space };
+        });
+        
+        for (var i = track.length - 1; i >= 0; i--) {
+            var previous = track[i - 1];
+            var frame = { time: duration * 2 - track[i].time, value: track[i].value };
+            
+            // Reversed segments play the previous keyframe's easing backwards
+            if (previous) {
+                frame.easing = Keyframes.reverseEasing(previous.easing || definition.easing);
+                frame.space = previous.space;
+            }
+            
+            // The turning point, unless the track holds its last value until the end
+            if (i === track.length - 1 && track[i].time >= duration) {
+                frames[frames.length - 1].easing = frame.easing;
+                frames[frames.length - 1].space = frame.space;
+            } else {
+                frames.push(frame);
+            }
+        }
+        
+        mirrored.tracks[name] = frames;
+    }
+    
+    return mirrored;
 };
 
-// Handles mouse location relative to Button
 /**
-@return {Boolean} Whether the mouse is within Button bounds
-*/
-Button.prototype.isMouseInside = function() {
-    return mouseX > this.x &&
-           mouseX < (this.x + this.width) &&
-           mouseY > this.y &&
-           mouseY < (this.y + this.height);
-};
+SVG element each kind of shape is exported as, with the attributes giving its
+geometry in the shape's own coordinates, relative to its anchor.
+@param {AnimatableShape} shape - Shape to export.
 
-Button.prototype.handleMouseClick = function() {
-    if (this.isMouseInside() && this.isEnabled) {
-        this.onClick();
+@return {object} { element, groups } as used by toSVG, null if the shape cannot be exported
+*/
+AnimationExport.getSVGGeometry = function(shape) {
+    var number = AnimationExport.formatNumber;
+    
+    // Position of a fraction of the shape's size, relative to the anchor
+    var left = function(values, fraction) {
+        return number((fraction - shape.anchorX) * values.width);
+    };
+    var top = function(values, fraction) {
+        return number((fraction - shape.anchorY) * values.height);
+    };
+    
+    if (shape instanceof AnimatableEllipse) {
+        return { element: "ellipse", groups: [
+            { attribute: "cx", names: ["width"], format: function(values) { return left(values, 0.5); } },
+            { attribute: "cy", names: ["height"], format: function(values) { return top(values, 0.5); } },
+            { attribute: "rx", names: ["width"], format: function(values) { return number(Math.abs(values.width) / 2); } },
+            { attribute: "ry", names: ["height"], format: function(values) { return number(Math.abs(values.height) / 2); } }
+        ] };
+    }
+    
+    if (shape instanceof AnimatableRect) {
+        return { element: "rect", groups: [
+            { attribute: "x", names: ["width"], format: function(values) { return left(values, 0); } },
+            { attribute: "y", names: ["height"], format: function(values) { return top(values, 0); } },
+            { attribute: "width", names: ["width"], format: function(values) { return number(values.width); } },
+            { attribute: "height", names: ["height"], format: function(values) { return number(values.height); } },
+            { attribute: "rx", names: ["cornerRadius"], format: function(values) { return number(Math.max(0, values.cornerRadius)); } }
+        ] };
+    }
+    
+    if (shape instanceof AnimatableLine) {
+        return { element: "line", groups: [
+            { attribute: "x1", names: ["width"], format: function(values) { return left(values, 0); } },
+            { attribute: "y1", names: ["height"], format: function(values) { return top(values, 0); } },
+            { attribute: "x2", names: ["width"], format: function(values) { return left(values, 1); } },
+            { attribute: "y2", names: ["height"], format: function(values) { return top(values, 1); } }
+        ] };
     }
+    
+    return null;
 };
 
-// Text Field
 /**
-Object for custom text fields
-@param config 
-@config x                   Top left x position
-@config y                   Top left y position
-@config width               Width of field
-@config height              Height of field
-@config backgroundColour    Background colour of field
-@config strokeColour        Stroke colour displayed on field
-@config textColour          Text colour displayed on field 
-@config value               Default value of text field
+Converts an animation of a shape to a standalone SVG document animated with SMIL.
+The shape's transform is split over nested groups, outermost first, so each part
+can be animated on its own: translate, rotate, skewX, skewY then scale.
+@param {AnimatableShape} shape - Shape the animation runs on: an AnimatableEllipse, AnimatableRect or AnimatableLine.
+@param {Playback} animation    - Animation, keyframes timeline, etc. to convert.
+@param {object} options
+@option {int} width            - Width of the document. Defaults to the canvas width, so is needed outside a sketch.
+@option {int} height           - Height of the document. Defaults to the canvas height, so is needed outside a sketch.
+
+@return {string} the SVG document
 */
-var TextField = function(config) {
-    Button.call(this, config);
+AnimationExport.toSVG = function(shape, animation, options) {
+    options = options || {};
     
-    this.isActive = false;
-    this.isBlack = false;
-    this.maxChar = config.maxChars || 10;
-    this.value = config.value || "";
-    this.numChar = this.value.length;
-};
-
-// Inherit from button
-TextField.prototype = Object.create(Button.prototype);
-
-TextField.prototype.draw = function() {
+    // The canvas size is only defined inside a sketch
+    var hasCanvas = typeof width !== "undefined" && typeof height !== "undefined";
     
-    // Constants
-    var BLINK_RATE = FRAME_RATE*0.5;
-    var CHARACTER_WIDTH = 11;
-    var BLINKER_PADDING = 5;
-    var DESCRIPTION_LABEL_PADDING = 0;
+    if (!hasCanvas && (!options.width || !options.height)) {
+        throw new Error("toSVG needs options.width and options.height outside a sketch");
+    }
     
-    // Text Field
-    stroke(this.strokeColour[0], this.strokeColour[1], this.strokeColour[2]);
-    fill(this.backgroundColour[0], this.backgroundColour[1], this.backgroundColour[2]);
-    rect(this.x, this.y, this.width, this.height, this.radius);
-    fill(this.textColour[0], this.textColour[1], this.textColour[2]);
+    var documentWidth = options.width || width;
+    var documentHeight = options.height || height;
+    var geometry = AnimationExport.getSVGGeometry(shape);
     
-    // Text Description Label
-    textSize(19);
-    textAlign(LEFT, TOP);
-    text(this.label, 
-         this.x + DESCRIPTION_LABEL_PADDING, 
-        this.y - this.height - DESCRIPTION_LABEL_PADDING);
+    if (!geometry) {
+        throw new Error("Only ellipses, rectangles and lines can be exported to SVG");
+    }
     
-    // Text Content
-    textSize(19);
-    textAlign(LEFT, TOP);
-    text(this.value, this.x + BLINKER_PADDING, this.y + BLINKER_PADDING);
+    var definition = Keyframes.fromAnimation(animation, shape);
+    var statics = AnimationExport.getStatics(shape);
+    var repeatCount = definition.repeat === -1 ? "indefinite" : String(definition.repeat + 1);
     
-    // Toggle blinker
-    if (this.isActive && frameCount % BLINK_RATE === 0){
-        if (this.isBlack) {
-            this.isBlack = false;
-        } else {
-           this.isBlack = true;
-        }
+    if (definition.yoyo) {
+        definition = AnimationExport.mirror(definition);
+        repeatCount = definition.repeat === -1 ? "indefinite" : 
+                      AnimationExport.formatNumber((definition.repeat + 1) / 2);
     }
     
-    if (this.isActive) {
+    var number = AnimationExport.formatNumber;
+    var rgb = function(value) {
+        return value ? "rgb(" + [number(value[0]), number(value[1]), number(value[2])].join(",") + ")" : "none";
+    };
+    var alpha = function(value) {
+        return value ? number(value[3] / 255) : "0";
+    };
+    
+    var groups = geometry.groups.concat([
+        { attribute: "opacity", names: ["opacity"], format: function(values) { return number(values.opacity); } },
+        { attribute: "fill", names: ["fillColour"], format: function(values) { return rgb(values.fillColour); } },
+        { attribute: "fill-opacity", names: ["fillColour"], format: function(values) { return alpha(values.fillColour); } },
+        { attribute: "stroke", names: ["strokeColour"], format: function(values) { return rgb(values.strokeColour); } },
+        { attribute: "stroke-opacity", names: ["strokeColour"], format: function(values) { return alpha(values.strokeColour); } },
+        { attribute: "stroke-width", names: ["strokeWeight"], format: function(values) { return number(values.strokeWeight); } }
+    ]);
+    
+    // Parts of the transform, each left out while it does nothing
+    var transforms = [
+        { type: "translate", names: ["x", "y"], isIdentity: false, format: function(values) {
+            return number(values.x) + " " + number(values.y);
+        } },
+        { type: "rotate", names: ["rotation"], isIdentity: statics.rotation === 0, format: function(values) {
+            return number(values.rotation);
+        } },
+        { type: "skewX", names: ["skewX"], isIdentity: statics.skewX === 0, format: function(values) {
+            return number(values.skewX);
+        } },
+        { type: "skewY", names: ["skewY"], isIdentity: statics.skewY === 0, format: function(values) {
+            return number(values.skewY);
+        } },
+        { type: "scale", names: ["scaleX", "scaleY"], isIdentity: statics.scaleX === 1 && statics.scaleY === 1, 
+          format: function(values) {
+              return number(values.scaleX) + " " + number(values.scaleY);
+          } }
+    ];
+    
+    // Splines cannot overshoot
+    var toTiming = function(easing) {
+        var bezier = AnimationExport.bezierOf(easing);
+        var inRange = bezier && bezier.every(function(value) {
+            return value >= 0 && value <= 1;
+        });
+        return inRange ? bezier.map(number).join(" ") : null;
+    };
+    
+    var isAnimated = function(group) {
+        return definition.duration > 0 && group.names.some(function(property) {
+            return definition.tracks.hasOwnProperty(property);
+        });
+    };
+    
+    /*
+    Describes how a group of properties is exported.
+    @return {object} { initial, animation } as the value to start at and the
+                     <animate> or <animateTransform> markup, null if not animated
+    */
+    var describe = function(group, attribute) {
+        var frames = AnimationExport.groupFrames(definition, group.names, statics, toTiming, "0 0 1 1");
+        var description = { initial: group.format(frames[0].values), animation: null };
         
-        // set blinker to the same colour as background
-        fill(this.backgroundColour[0], this.backgroundColour[1], this.backgroundColour[2]);
-        stroke(this.backgroundColour[0], this.backgroundColour[1], this.backgroundColour[2]);
+        if (!isAnimated(group)) {
+            return description;
+        }
         
-        // Or black
-        if (this.isBlack) {
-            fill(0, 0, 0);
-            stroke(0, 0, 0, 0);
+        var values = frames.map(function(frame) {
+            return group.format(frame.values);
+        });
+        var keyTimes = frames.map(function(frame) {
+            return number(frame.time / definition.duration);
+        });
+        var keySplines = frames.slice(0, -1).map(function(frame) {
+            return frame.timing;
+        });
+        
+        description.animation = "<" + (group.type ? "animateTransform" : "animate") + 
+                                " attributeName=\"" + attribute + "\"" + 
+                                (group.type ? " type=\"" + group.type + "\"" : "") + 
+                                " values=\"" + values.join(";") + "\"" + 
+                                " keyTimes=\"" + keyTimes.join(";") + "\"" + 
+                                " calcMode=\"spline\"" + 
+                                " keySplines=\"" + keySplines.join(";") + "\"" + 
+                                " dur=\"" + number(definition.duration) + "s\"" + 
+                                " begin=\"" + number(definition.delay) + "s\"" + 
+                                " repeatCount=\"" + repeatCount + "\"" + 
+                                " fill=\"freeze\"/>";
+        return description;
+    };
+    
+    var indent = function(depth) {
+        return new Array(depth + 1).join("    ");
+    };
+    
+    var opening = [];
+    var closing = [];
+    var depth = 1;
+    
+    for (var t = 0; t < transforms.length; t++) {
+        if (transforms[t].isIdentity && !isAnimated(transforms[t])) {
+            continue;
         }
         
-        rect(this.x + BLINKER_PADDING + this.numChar * CHARACTER_WIDTH, 
-             this.y + this.height * 0.25, 
-             2, 
-             this.height * 0.5);
+        var transform = describe(transforms[t], "transform");
+        
+        opening.push(indent(depth) + "<g transform=\"" + transforms[t].type + "(" + transform.initial + ")\">");
+        if (transform.animation) {
+            opening.push(indent(depth + 1) + transform.animation);
+        }
+        closing.unshift(indent(depth) + "</g>");
+        depth++;
     }
-};
-
-TextField.prototype.handleMouseClick = function() {
     
-    if (this.isMouseInside() && this.isEnabled) {
-        // Allow key input
-        this.isActive = true;
-    }else if (this.isActive) {
-        // Resign key responder
-        this.isActive = false;
+    var attributes = [];
+    var animations = [];
+    
+    for (var g = 0; g < groups.length; g++) {
+        var description = describe(groups[g], groups[g].attribute);
+        
+        attributes.push(groups[g].attribute + "=\"" + description.initial + "\"");
+        if (description.animation) {
+            animations.push(indent(depth + 1) + description.animation);
+        }
     }
-};
-
-TextField.prototype.handleKeyPressed = function() {
     
-    var KEY_0 = 48;
-    var KEY_9 = 57;
-    var KEY_DOT = 46;
+    var element = indent(depth) + "<" + geometry.element + " " + attributes.join(" ");
+    var elementLines = animations.length > 0 ? 
+                       [element + ">"].concat(animations, [indent(depth) + "</" + geometry.element + ">"]) : 
+                       [element + "/>"];
     
-    // Handle backspace
-    if ((keyCode === DELETE || keyCode === BACKSPACE) && this.isActive && this.numChar > 0) {
+    return ["<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"" + documentWidth + "\" height=\"" + documentHeight + 
+            "\" viewBox=\"0 0 " + documentWidth + " " + documentHeight + "\">"]
+           .concat(opening, elementLines, closing, ["</svg>"]).join("\n") + "\n";
+};
 
-        this.numChar --;
-        this.value = this.value.substring(0, this.numChar); 
+//////////////////////////////////////////////////////
+// MODULE
+//////////////////////////////////////////////////////
 
-    }
-    // Handle all characters except special keys, and letters
-    else if (this.numChar < this.maxChar && this.isActive && (key >= KEY_DOT && key <= KEY_9)) {
-        this.numChar ++;
-        this.value = this.value + String.fromCharCode(key);
-    } 
-};
+// Exposes the engine to CommonJS (Node), where the sketch below does not run
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        FRAME_RATE: FRAME_RATE,
+        MILLISECONDS_IN_SECOND: MILLISECONDS_IN_SECOND,
+        Easing: Easing,
+        RealTimeClock: RealTimeClock,
+        ManualClock: ManualClock,
+        setAnimationClock: setAnimationClock,
+        Ticker: Ticker,
+        animationTicker: animationTicker,
+        Colour: Colour,
+        MotionPath: MotionPath,
+        BezierPath: BezierPath,
+        PolylinePath: PolylinePath,
+        ArcPath: ArcPath,
+        Matrix: Matrix,
+        alphaOf: alphaOf,
+        ProcessingRenderer: ProcessingRenderer,
+        CanvasRenderer: CanvasRenderer,
+        SVGRenderer: SVGRenderer,
+        RecordingRenderer: RecordingRenderer,
+        setRenderer: setRenderer,
+        calculateEase: calculateEase,
+        Playback: Playback,
+        Animation: Animation,
+        ColourAnimation: ColourAnimation,
+        SpringAnimation: SpringAnimation,
+        PathAnimation: PathAnimation,
+        Timeline: Timeline,
+        animate: animate,
+        AnimatableShape: AnimatableShape,
+        AnimatableEllipse: AnimatableEllipse,
+        AnimatableRect: AnimatableRect,
+        AnimatablePolygon: AnimatablePolygon,
+        AnimatableLine: AnimatableLine,
+        AnimatableText: AnimatableText,
+        AnimatableImage: AnimatableImage,
+        AnimatableGroup: AnimatableGroup,
+        Draggable: Draggable,
+        Button: Button,
+        TextField: TextField,
+        Slider: Slider,
+        Checkbox: Checkbox,
+        Toggle: Toggle,
+        Dropdown: Dropdown,
+        WidgetManager: WidgetManager,
+        Scene: Scene,
+        SceneManager: SceneManager,
+        Inspector: Inspector,
+        Keyframes: Keyframes,
+        AnimationExport: AnimationExport
+    };
+    
+    // Replaced by setAnimationClock and setRenderer, so read at access time
+    Object.defineProperty(module.exports, "animationClock", {
+        enumerable: true,
+        get: function() {
+            return animationClock;
+        }
+    });
+    Object.defineProperty(module.exports, "activeRenderer", {
+        enumerable: true,
+        get: function() {
+            return activeRenderer;
+        }
+    });
+}
 
 //////////////////////////////////////////////////////
 // MAIN
 //////////////////////////////////////////////////////
 
-var animatingEllipse = new AnimatableEllipse(width * 0.5, 0, 20, 20);
-var sceneNumber = 1;
-
-var initAnimation = function(){};
-var setScene = function(scene){};
-
-// UI Elements
-// Final X text field
-var TEXT_FIELD_WIDTH = 70;
-var TEXT_FIELD_HEIGHT = 30;
-var TEXT_FIELD_PADDING = 10;
-var xTextField = new TextField({
-    x: width / 4 - TEXT_FIELD_WIDTH / 2,
-    y: height - TEXT_FIELD_HEIGHT - TEXT_FIELD_PADDING,
-    width: TEXT_FIELD_WIDTH,
-    height: TEXT_FIELD_HEIGHT,
-    label: "Final x",
-    strokeColour: [0, 0, 0],
-    maxChars: 5,
-    value: "200"
-});
-
-// Final Y text field
-var yTextField = new TextField({
-    x: (width / 2) - TEXT_FIELD_WIDTH / 2,
-    y: height - TEXT_FIELD_HEIGHT - TEXT_FIELD_PADDING,
-    width: TEXT_FIELD_WIDTH,
-    height: TEXT_FIELD_HEIGHT,
-    label: "Final y",
-    strokeColour: [0, 0, 0],
-    maxChars: 5,
-    value: "200"
-});
-
-// Duration text field
-var durationTextField = new TextField({
-    x: 3*(width / 4) - TEXT_FIELD_WIDTH / 2,
-    y: height - TEXT_FIELD_HEIGHT - TEXT_FIELD_PADDING,
-    width: TEXT_FIELD_WIDTH,
-    height: TEXT_FIELD_HEIGHT,
-    label: "Duration",
-    strokeColour: [0, 0, 0],
-    maxChars: 5,
-    value: "0.5"
-});
-
-// Scale text field
-var scaleTextField = new TextField({
-    x: 1*(width / 4) - TEXT_FIELD_WIDTH / 2,
-    y: height - TEXT_FIELD_HEIGHT - TEXT_FIELD_PADDING,
-    width: TEXT_FIELD_WIDTH,
-    height: TEXT_FIELD_HEIGHT,
-    label: "Scale",
-    strokeColour: [0, 0, 0],
-    maxChars: 5,
-    value: "1.5"
-});
-
-// Reset Button
-var RESET_BTTN_WIDTH = 70;
-var RESET_BTTN_HEIGHT = 30;
-var RESET_BTTN_PADDING = 10;
-var resetButton = new Button({
-    x: width - RESET_BTTN_WIDTH - RESET_BTTN_PADDING,
-    y: RESET_BTTN_PADDING,
-    width: RESET_BTTN_WIDTH,
-    height: RESET_BTTN_HEIGHT,
-    label: "Replay",
-    onClick: function() {
-        // Redo animation from beginning state
-        initAnimation();
-    }
-});
-
-// Tween Button
-var BTTN_WIDTH = 70;
-var BTTN_HEIGHT = 30;
-var BTTN_PADDING = 10;
-var tweenButton = new Button({
-    x: width - BTTN_WIDTH - BTTN_PADDING,
-    y: 100,
-    width: BTTN_WIDTH,
-    height: BTTN_HEIGHT,
-    label: "Tween",
-    onClick: function() {
-        // Redo animation from beginning state
-        setScene(1);
-    }
-});
-
-// Growth Button
-var growthButton = new Button({
-    x: width - BTTN_WIDTH - BTTN_PADDING,
-    y: tweenButton.y + tweenButton.height + BTTN_PADDING,
-    width: BTTN_WIDTH,
-    height: BTTN_HEIGHT,
-    label: "Growth",
-    onClick: function() {
-        // Redo animation from beginning state
-        setScene(2);
-    }
-});
-
-// Interaction handlers
-mouseClicked = function() {
-    
-    resetButton.handleMouseClick();
-    tweenButton.handleMouseClick();
-    growthButton.handleMouseClick();
-    
-    xTextField.handleMouseClick();
-    yTextField.handleMouseClick();
-    
-    durationTextField.handleMouseClick();
-    scaleTextField.handleMouseClick();
-};
-
-keyPressed = function() {
+// The demo sketch, run only inside Processing
+if (IS_SKETCH) {
+    // Ellipses animated in each scene
+    var tweenEllipse = new AnimatableEllipse(width * 0.5, 0, 20, 20);
+    tweenEllipse.fillColour = [242, 80, 80, 255];
+    tweenEllipse.strokeColour = [242, 80, 80, 255];
     
-    xTextField.handleKeyPressed();
-    yTextField.handleKeyPressed();
+    var growthEllipse = new AnimatableEllipse(width * 0.5, height * 0.5, 20, 20);
+    growthEllipse.fillColour = [242, 80, 80, 255];
+    growthEllipse.strokeColour = [242, 80, 80, 255];
     
-    durationTextField.handleKeyPressed();
-    scaleTextField.handleKeyPressed();
-};
-
-// Draw events
-var drawUI = function() {
+    // Card swiped between three slots, and a ball flung around the canvas
+    var dragCard = new AnimatableRect(width * 0.5, 230, 120, 80, 8);
+    dragCard.fillColour = [80, 140, 242, 255];
+    dragCard.strokeColour = [80, 140, 242, 255];
     
-    resetButton.draw();
-    tweenButton.draw();
-    growthButton.draw();
+    var dragBall = new AnimatableEllipse(width * 0.5, 320, 30, 30);
+    dragBall.fillColour = [242, 80, 80, 255];
+    dragBall.strokeColour = [242, 80, 80, 255];
     
-    if (sceneNumber === 1) {
+    var cardDraggable = dragCard.makeDraggable({
+        axis: "x",
+        snapPoints: [70, width * 0.5, width - 70]
+    });
     
-        xTextField.draw();
-        xTextField.isEnabled = true;
-        
-        yTextField.draw();
-        yTextField.isEnabled = true;
+    var ballDraggable = dragBall.makeDraggable({
+        bounds: { left: 15, top: 15, right: width - 15, bottom: height - 15 }
+    });
+    
+    // Blocks of different widths laid out in a row, whose order the shuffle button changes
+    var BLOCK_GAP = 10;
+    var blockGroup = new AnimatableGroup(0, 0);
+    var blocks = [20, 30, 40, 50].map(function(blockWidth, index) {
+        var block = new AnimatableRect(0, 110, blockWidth, 40, 4);
+        block.fillColour = [80 + index * 40, 180, 120, 255];
+        block.strokeColour = block.fillColour;
+        block.setAnchor("left");
+        return block;
+    });
+    blockGroup.add.apply(blockGroup, blocks);
+    
+    // Places the blocks left to right in the order given
+    var layOutBlocks = function(order) {
+        var x = BLOCK_GAP;
         
-        durationTextField.draw();
-
-        scaleTextField.isEnabled = false;
-
-    } else if (sceneNumber === 2) {
+        for (var i = 0; i < order.length; i++) {
+            order[i].x = x;
+            x += order[i].width + BLOCK_GAP;
+        }
+    };
+    layOutBlocks(blocks);
+    
+    var sceneManager = new SceneManager();
+    var tweenScene;
+    var growthScene;
+    var dragScene;
+    
+    // UI Elements
+    // Final X text field
+    var TEXT_FIELD_WIDTH = 70;
+    var TEXT_FIELD_HEIGHT = 30;
+    var TEXT_FIELD_PADDING = 10;
+    var xTextField = new TextField({
+        x: width / 4 - TEXT_FIELD_WIDTH / 2,
+        y: height - TEXT_FIELD_HEIGHT - TEXT_FIELD_PADDING,
+        width: TEXT_FIELD_WIDTH,
+        height: TEXT_FIELD_HEIGHT,
+        label: "Final x",
+        strokeColour: [0, 0, 0],
+        maxChars: 5,
+        type: "integer",
+        signed: true,
+        value: "200"
+    });
+    
+    // Final Y text field
+    var yTextField = new TextField({
+        x: (width / 2) - TEXT_FIELD_WIDTH / 2,
+        y: height - TEXT_FIELD_HEIGHT - TEXT_FIELD_PADDING,
+        width: TEXT_FIELD_WIDTH,
+        height: TEXT_FIELD_HEIGHT,
+        label: "Final y",
+        strokeColour: [0, 0, 0],
+        maxChars: 5,
+        type: "integer",
+        signed: true,
+        value: "200"
+    });
+    
+    // Replays the scene when a setting changes, if asked to
+    var replayIfAuto = function() {
+        if (autoReplayCheckbox.isChecked) {
+            sceneManager.current.restart();
+        }
+    };
+    
+    // Duration slider
+    var SLIDER_WIDTH = 100;
+    var durationSlider = new Slider({
+        x: 3*(width / 4) - SLIDER_WIDTH / 2,
+        y: height - TEXT_FIELD_HEIGHT - TEXT_FIELD_PADDING,
+        width: SLIDER_WIDTH,
+        height: TEXT_FIELD_HEIGHT,
+        label: "Duration",
+        min: 0.1,
+        max: 3,
+        step: 0.1,
+        value: 0.5,
+        onChange: replayIfAuto
+    });
+    
+    // Scale slider
+    var scaleSlider = new Slider({
+        x: 1*(width / 4) - SLIDER_WIDTH / 2,
+        y: height - TEXT_FIELD_HEIGHT - TEXT_FIELD_PADDING,
+        width: SLIDER_WIDTH,
+        height: TEXT_FIELD_HEIGHT,
+        label: "Scale",
+        min: 1,
+        max: 3,
+        step: 0.1,
+        value: 1.5,
+        onChange: replayIfAuto
+    });
+    
+    // Easing dropdown
+    var easingDropdown = new Dropdown({
+        x: 10,
+        y: 80,
+        width: 150,
+        height: TEXT_FIELD_HEIGHT,
+        label: "Easing",
+        options: ["easeOutQuad", "easeInOutCubic", "easeOutBack", "easeOutElastic", "easeOutBounce", "linear"],
+        onChange: replayIfAuto
+    });
+    
+    // Auto replay checkbox
+    var autoReplayCheckbox = new Checkbox({
+        x: 10,
+        y: 125,
+        label: "Auto replay",
+        checked: true
+    });
+    
+    // Yoyo toggle
+    var yoyoToggle = new Toggle({
+        x: 10,
+        y: 160,
+        label: "Yoyo",
+        onChange: replayIfAuto
+    });
+    
+    // Reset Button
+    var RESET_BTTN_WIDTH = 70;
+    var RESET_BTTN_HEIGHT = 30;
+    var RESET_BTTN_PADDING = 10;
+    var resetButton = new Button({
+        x: width - RESET_BTTN_WIDTH - RESET_BTTN_PADDING,
+        y: RESET_BTTN_PADDING,
+        width: RESET_BTTN_WIDTH,
+        height: RESET_BTTN_HEIGHT,
+        label: "Replay",
+        onClick: function() {
+            // Redo animation from beginning state
+            sceneManager.current.restart();
+        }
+    });
+    
+    // Tween Button
+    var BTTN_WIDTH = 70;
+    var BTTN_HEIGHT = 30;
+    var BTTN_PADDING = 10;
+    var tweenButton = new Button({
+        x: width - BTTN_WIDTH - BTTN_PADDING,
+        y: 100,
+        width: BTTN_WIDTH,
+        height: BTTN_HEIGHT,
+        label: "Tween",
+        onClick: function() {
+            sceneManager.go(tweenScene, { type: "push", direction: "right" });
+        }
+    });
+    
+    // Growth Button
+    var growthButton = new Button({
+        x: width - BTTN_WIDTH - BTTN_PADDING,
+        y: tweenButton.y + tweenButton.height + BTTN_PADDING,
+        width: BTTN_WIDTH,
+        height: BTTN_HEIGHT,
+        label: "Growth",
+        onClick: function() {
+            sceneManager.go(growthScene, { type: "push", direction: "left" });
+        }
+    });
+    
+    // Drag Button
+    var dragButton = new Button({
+        x: width - BTTN_WIDTH - BTTN_PADDING,
+        y: growthButton.y + growthButton.height + BTTN_PADDING,
+        width: BTTN_WIDTH,
+        height: BTTN_HEIGHT,
+        label: "Drag",
+        onClick: function() {
+            sceneManager.go(dragScene, { type: "reveal", x: dragButton.x, y: dragButton.y });
+        }
+    });
+    
+    // Back Button, shown once there is a scene to go back to
+    var backButton = new Button({
+        x: BTTN_PADDING,
+        y: RESET_BTTN_PADDING,
+        width: BTTN_WIDTH,
+        height: BTTN_HEIGHT,
+        label: "Back",
+        onClick: function() {
+            sceneManager.back();
+        }
+    });
+    
+    // Scenes
+    tweenScene = new Scene({
+        name: "Tween",
+        widgets: [xTextField, yTextField, durationSlider, autoReplayCheckbox, yoyoToggle, easingDropdown],
+        enter: function() {
+            tweenButton.textColour = [0, 200, 0];
+            
+            // Place ellipse
+            tweenEllipse.x = width * 0.5;
+            tweenEllipse.y = 0;
+            
+            // Invalid fields are marked, and leave the ellipse where it is
+            if (!xTextField.isValid() || !yTextField.isValid()) {
+                return;
+            }
+            
+            var xInput = xTextField.getParsedValue(); 
+            var yInput = yTextField.getParsedValue();
+            
+            // Initiate Tween animation for ellipse
+            var tween = tweenEllipse.tween(xInput, 
+                                           yInput, 
+                                           durationSlider.value, 
+                                           easingDropdown.getValue());
+            
+            if (yoyoToggle.isChecked) {
+                tween.setRepeat(-1).setYoyo(true);
+            }
+        },
+        exit: function() {
+            tweenButton.textColour = [0, 0, 0];
+        },
+        draw: function(renderer) {
+            tweenEllipse.draw(renderer);
+        }
+    });
+    
+    growthScene = new Scene({
+        name: "Growth",
+        widgets: [scaleSlider, durationSlider, autoReplayCheckbox, yoyoToggle, easingDropdown],
+        enter: function() {
+            growthButton.textColour = [0, 200, 0];
+            
+            growthEllipse.x = width * 0.5;
+            growthEllipse.y = height * 0.5;
+            
+            // Initiate stretch in animation for ellipse
+            var growth = growthEllipse.stretchIn(scaleSlider.value, durationSlider.value, easingDropdown.getValue());
+            
+            if (yoyoToggle.isChecked) {
+                growth.setRepeat(-1).setYoyo(true);
+            }
+        },
+        exit: function() {
+            growthButton.textColour = [0, 0, 0];
+        },
+        draw: function(renderer) {
+            growthEllipse.draw(renderer);
+        }
+    });
+    
+    // Shuffle Button, animating the blocks to their new order
+    var shuffleButton = new Button({
+        x: BTTN_PADDING,
+        y: 150,
+        width: 90,
+        height: BTTN_HEIGHT,
+        label: "Shuffle",
+        strokeColour: [0, 0, 0],
+        onClick: function() {
+            blockGroup.play(Timeline.layout(blocks, function() {
+                var order = blocks.slice();
+                
+                for (var i = order.length - 1; i > 0; i--) {
+                    var j = Math.floor(Math.random() * (i + 1));
+                    var swapped = order[i];
+                    order[i] = order[j];
+                    order[j] = swapped;
+                }
+                
+                layOutBlocks(order);
+            }, 0.4, "easeInOutCubic", { each: 0.05 }));
+        }
+    });
+    
+    dragScene = new Scene({
+        name: "Drag",
+        widgets: [shuffleButton, cardDraggable, ballDraggable],
+        enter: function() {
+            dragButton.textColour = [0, 200, 0];
+            
+            dragCard.x = width * 0.5;
+            dragBall.x = width * 0.5;
+            dragBall.y = 320;
+        },
+        exit: function() {
+            dragButton.textColour = [0, 0, 0];
+        },
+        draw: function(renderer) {
+            blockGroup.draw(renderer);
+        }
+    });
+    
+    // Controls shown over every scene
+    var controls = new WidgetManager().add(resetButton, tweenButton, growthButton, dragButton, backButton);
+    
+    // Debug overlay, shown and hidden with the ` key
+    var inspector = new Inspector();
+    inspector.name(tweenEllipse, "Tween ellipse");
+    inspector.name(growthEllipse, "Growth ellipse");
+    inspector.name(yoyoToggle, "Yoyo toggle");
+    inspector.name(dragCard, "Card");
+    inspector.name(dragBall, "Ball");
+    inspector.name(blockGroup, "Blocks");
+    inspector.name(sceneManager, "Scenes");
+    
+    // Interaction handlers
+    mouseClicked = function() {
         
-        durationTextField.draw();
-        scaleTextField.draw();
-        scaleTextField.isEnabled = true;
+        // The inspector is drawn over everything, then the controls over the scene
+        if (inspector.handleMouseClick()) {
+            return;
+        }
         
-        xTextField.isEnabled = false;
-        xTextField.isEnabled = false;
-    }
-};
-
-// Others
-setScene = function(scene) {
-    sceneNumber = scene;
+        if (controls.handleMouseClick()) {
+            sceneManager.current.widgets.blur();
+        } else {
+            sceneManager.handleMouseClick();
+        }
+    };
     
-    if (scene === 1) {
-        tweenButton.textColour = [0, 200, 0]; 
-        growthButton.textColour = [0, 0, 0];
-        initAnimation();
-    } else if (scene === 2) {
-        growthButton.textColour = [0, 200, 0];
-        tweenButton.textColour = [0, 0, 0]; 
-        initAnimation();
-    }
-};
-
-
-// Screen initializations
-initAnimation = function() {
-
-    if (sceneNumber === 1) {
+    mousePressed = function() {
+        if (inspector.handleMousePressed()) {
+            return;
+        }
         
-        // Place ellipse
-        animatingEllipse.x = width * 0.5;
-        animatingEllipse.y = 0;
+        if (controls.handleMousePressed()) {
+            sceneManager.current.widgets.blur();
+        } else {
+            sceneManager.handleMousePressed();
+        }
+    };
+    
+    mouseDragged = function() {
+        inspector.handleMouseDragged();
+        controls.handleMouseDragged();
+        sceneManager.handleMouseDragged();
+    };
+    
+    mouseReleased = function() {
+        inspector.handleMouseReleased();
+        controls.handleMouseReleased();
+        sceneManager.handleMouseReleased();
+    };
+    
+    keyPressed = function() {
+        if (!inspector.handleKeyPressed()) {
+            sceneManager.handleKeyPressed();
+        }
+    };
+    
+    keyReleased = function() {
+        sceneManager.handleKeyReleased();
+    };
     
-        var xInput = parseInt(xTextField.value, null); 
-        var yInput = parseInt(yTextField.value, null);
-        var durationInput = parseFloat(durationTextField.value);
+    // Runtime
+    sceneManager.go(tweenScene);
     
-        // Initiate Tween animation for ellipse
-        animatingEllipse.tween(xInput, 
-                               yInput, 
-                               durationInput,
-                               FRAME_RATE);
-       
-    } else if (sceneNumber === 2) {
+    // Draws to screen during runtime
+    draw = function() {
+        inspector.update();
+        animationTicker.tick();
+        sceneManager.update();
         
-        animatingEllipse.x = width * 0.5;
-        animatingEllipse.y = height * 0.5;
+        activeRenderer.clear([255, 255, 255]);
         
-        var scaleInput = parseFloat(scaleTextField.value);
-        var durationInput = parseFloat(durationTextField.value);
+        // Current scene, or the scenes transitioning
+        sceneManager.draw();
         
-        // Disallow scale < 1
-        if (scaleInput < 1) {
-            scaleTextField.value = "1";
-            scaleInput = 1;
-        }
+        // Draw UI
+        backButton.isVisible = sceneManager.history.length > 0;
+        controls.draw();
         
-        // Initiate stretch in animation for ellipse
-        animatingEllipse.stretchIn(scaleInput, durationInput, FRAME_RATE);
-    }
-};
-
-// Runtime
-setScene(1);
-drawUI();
-
-// Draws to screen during runtime
-draw = function() {
-    background(255, 255, 255);
-    
-    // Circle
-    stroke(242, 80, 80);
-    fill(242, 80, 80);
-    animatingEllipse.draw();
-    
-     // Draw UI
-    drawUI();
-};
+        inspector.draw();
+    };
+}
@@ -0,0 +1,64 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+test("ManualClock only moves when advanced or set", function() {
+    var clock = new engine.ManualClock(100);
+    
+    assert.strictEqual(clock.now(), 100);
+    clock.advance(250);
+    assert.strictEqual(clock.now(), 350);
+    clock.set(20);
+    assert.strictEqual(clock.now(), 20);
+});
+
+test("setAnimationClock replaces the default clock", function() {
+    var clock = new engine.ManualClock();
+    
+    engine.setAnimationClock(clock);
+    assert.strictEqual(engine.animationClock, clock);
+    
+    var shape = new engine.AnimatableShape(0, 0, 10, 10);
+    assert.strictEqual(shape.now(), 0);
+    clock.advance(40);
+    assert.strictEqual(shape.now(), 40);
+});
+
+test("tweens step deterministically on a ManualClock", function() {
+    var clock = new engine.ManualClock();
+    var shape = new engine.AnimatableShape(0, 0, 10, 10);
+    shape.clock = clock;
+    
+    shape.tween(100, 200, 1, "linear");
+    
+    clock.advance(250);
+    engine.animationTicker.tick();
+    assert.strictEqual(shape.x, 25);
+    assert.strictEqual(shape.y, 50);
+    
+    clock.advance(750);
+    engine.animationTicker.tick();
+    assert.strictEqual(shape.x, 100);
+    assert.strictEqual(shape.y, 200);
+    assert.strictEqual(shape.animations.length, 0);
+});
+
+test("the ticker reads each shape's own clock", function() {
+    var slow = new engine.ManualClock();
+    var fast = new engine.ManualClock();
+    var a = new engine.AnimatableShape(0, 0, 10, 10);
+    var b = new engine.AnimatableShape(0, 0, 10, 10);
+    a.clock = slow;
+    b.clock = fast;
+    
+    a.animate({ x: 100 }, { duration: 1 });
+    b.animate({ x: 100 }, { duration: 1 });
+    
+    slow.advance(100);
+    fast.advance(500);
+    engine.animationTicker.tick();
+    
+    assert.strictEqual(a.x, 10);
+    assert.strictEqual(b.x, 50);
+});
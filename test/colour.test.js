@@ -0,0 +1,34 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+["rgb", "hsb", "oklab"].forEach(function(space) {
+    test("a colour with no start fades in from the destination at alpha 0 in " + space, function() {
+        var clock = new engine.ManualClock();
+        var shape = new engine.AnimatableShape(0, 0, 10, 10, clock);
+        shape.strokeColour = null;
+        
+        shape.tweenStroke([200, 40, 40], 1, "linear", space);
+        
+        clock.advance(500);
+        assert.doesNotThrow(function() {
+            engine.animationTicker.tick();
+        });
+        
+        var colour = shape.strokeColour.map(Math.round);
+        assert.deepStrictEqual(colour, [200, 40, 40, 128]);
+        
+        clock.advance(500);
+        engine.animationTicker.tick();
+        assert.deepStrictEqual(shape.strokeColour.map(Math.round), [200, 40, 40, 255]);
+    });
+});
+
+test("a colour animation renders from a target with no colour", function() {
+    var target = { colour: undefined };
+    var animation = new engine.ColourAnimation(target, "colour", "#0080ff", { duration: 1 });
+    
+    animation.render(0);
+    assert.deepStrictEqual(target.colour, [0, 128, 255, 0]);
+});
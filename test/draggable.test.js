@@ -0,0 +1,106 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+// Moves the clock forward and advances every animation
+var step = function(clock, milliseconds) {
+    clock.advance(milliseconds);
+    engine.animationTicker.tick();
+};
+
+var moveMouse = function(x, y) {
+    global.mouseX = x;
+    global.mouseY = y;
+};
+
+var createDraggable = function(options) {
+    var clock = new engine.ManualClock();
+    var shape = new engine.AnimatableRect(100, 100, 40, 40, 0, clock);
+    var settled = [];
+    
+    options.onSettle = function() {
+        settled.push(shape.x);
+    };
+    
+    return { clock: clock, shape: shape, draggable: new engine.Draggable(shape, options), settled: settled };
+};
+
+// Drags right by 10 pixels a frame, then lets go
+var fling = function(drag, frames) {
+    var manager = new engine.WidgetManager().add(drag.draggable);
+    
+    moveMouse(100, 100);
+    manager.handleMousePressed();
+    for (var i = 1; i <= frames; i++) {
+        step(drag.clock, 16);
+        moveMouse(100 + 10 * i, 100);
+        manager.handleMouseDragged();
+    }
+    manager.handleMouseReleased();
+};
+
+test("a fling slows down exponentially to a stop", async function() {
+    var drag = createDraggable({ axis: "x" });
+    
+    fling(drag, 5);
+    assert.deepStrictEqual(drag.draggable.velocity, { x: 625, y: 0 });
+    
+    var start = drag.shape.x;
+    var timeConstant = drag.draggable.timeConstant;
+    var coasted = start + 625 * timeConstant;
+    var reached = 1 - engine.Draggable.REST_DISTANCE / (625 * timeConstant);
+    
+    // After one time constant, most (63%) of the speed and distance are gone
+    step(drag.clock, timeConstant * 1000);
+    assert.ok(Math.abs(drag.shape.x - (start + (coasted - start) * (1 - Math.exp(-1)) / reached)) < 1e-6);
+    
+    step(drag.clock, 5000);
+    await drag.draggable.settleAnimation;
+    assert.ok(Math.abs(drag.shape.x - coasted) < 1e-9);
+    assert.strictEqual(drag.shape.y, 100);
+    assert.strictEqual(drag.settled.length, 1);
+});
+
+test("letting go without moving settles straight away", function() {
+    var drag = createDraggable({});
+    
+    fling(drag, 0);
+    assert.strictEqual(drag.draggable.settleAnimation, null);
+    assert.deepStrictEqual(drag.settled, [100]);
+});
+
+test("a fling settles on the snap point nearest where it would coast to", async function() {
+    var drag = createDraggable({ axis: "x", snapPoints: [0, 200, 400] });
+    
+    fling(drag, 5);
+    
+    // It would coast to about 353, nearer 400 than 200
+    for (var i = 0; i < 300 && drag.shape.animations.length > 0; i++) {
+        step(drag.clock, 16);
+    }
+    await drag.draggable.settleAnimation;
+    assert.deepStrictEqual(drag.settled, [400]);
+    assert.strictEqual(drag.shape.y, 100);
+});
+
+test("dragging past the bounds meets resistance, and the shape springs back", async function() {
+    var drag = createDraggable({ bounds: { right: 120 } });
+    var manager = new engine.WidgetManager().add(drag.draggable);
+    
+    moveMouse(100, 100);
+    manager.handleMousePressed();
+    step(drag.clock, 200);
+    moveMouse(200, 100);
+    manager.handleMouseDragged();
+    assert.strictEqual(drag.shape.x, 120 + 80 * 0.35);
+    
+    // Held still long enough for the release not to fling
+    step(drag.clock, 200);
+    manager.handleMouseReleased();
+    for (var i = 0; i < 300 && drag.shape.animations.length > 0; i++) {
+        step(drag.clock, 16);
+    }
+    await drag.draggable.settleAnimation;
+    assert.deepStrictEqual(drag.settled, [120]);
+});
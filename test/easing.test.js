@@ -0,0 +1,39 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+// Values of a curve at the middle of each quarter, then at the end
+var sample = function(curve) {
+    return [0, 0.125, 0.375, 0.625, 0.875, 1].map(curve);
+};
+
+test("steps() jumps like CSS at every position", function() {
+    assert.deepStrictEqual(sample(engine.Easing.steps(4, "jump-end")), [0, 0, 0.25, 0.5, 0.75, 1]);
+    assert.deepStrictEqual(sample(engine.Easing.steps(4, "jump-start")), [0.25, 0.25, 0.5, 0.75, 1, 1]);
+    assert.deepStrictEqual(sample(engine.Easing.steps(4, "jump-both")), [0.2, 0.2, 0.4, 0.6, 0.8, 1]);
+    assert.deepStrictEqual(sample(engine.Easing.steps(4, "jump-none")), [0, 0, 1 / 3, 2 / 3, 1, 1]);
+});
+
+test("steps() strings take every position", function() {
+    assert.strictEqual(engine.Easing.get("steps(4, jump-none)")(0.375), 1 / 3);
+    assert.strictEqual(engine.Easing.get("steps(4,jump-both)")(0.375), 0.4);
+});
+
+test("steps() rejects unknown positions and too few steps", function() {
+    assert.throws(function() {
+        engine.Easing.steps(4, "jump-middle");
+    }, /Unknown steps\(\) position 'jump-middle'/);
+    assert.throws(function() {
+        engine.Easing.steps(1, "jump-none");
+    }, /at least two steps/);
+    assert.throws(function() {
+        engine.Easing.steps(0);
+    }, /at least one step/);
+});
+
+test("keyframes play jump-none and jump-both steps backwards as they are", function() {
+    assert.strictEqual(engine.Keyframes.reverseEasing("steps(3, jump-both)"), "steps(3, jump-both)");
+    assert.strictEqual(engine.Keyframes.reverseEasing("steps(3, jump-none)"), "steps(3, jump-none)");
+    assert.strictEqual(engine.Keyframes.reverseEasing("steps(3, start)"), "steps(3, end)");
+});
@@ -0,0 +1,141 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+// Size of the canvas slideOut moves shapes off
+global.width = 400;
+global.height = 400;
+
+var createShape = function() {
+    var clock = new engine.ManualClock();
+    var shape = new engine.AnimatableEllipse(50, 50, 20, 20, clock);
+    shape.fillColour = [255, 0, 0, 255];
+    shape.strokeColour = [0, 0, 0, 255];
+    return shape;
+};
+
+// Moves the shape's clock forward and advances its animations
+var step = function(shape, milliseconds) {
+    shape.clock.advance(milliseconds);
+    engine.animationTicker.tick();
+};
+
+var EXITS = {
+    stretchOut: function(shape, finishBehaviour) {
+        return shape.stretchOut(1.2, 1, null, null, finishBehaviour);
+    },
+    slideOut: function(shape, finishBehaviour) {
+        return shape.slideOut("left", 1, null, finishBehaviour);
+    },
+    shrinkToPoint: function(shape, finishBehaviour) {
+        return shape.shrinkToPoint(1, null, 0, 0, finishBehaviour);
+    },
+    fadeOut: function(shape, finishBehaviour) {
+        return shape.fadeOut(1, null, finishBehaviour);
+    }
+};
+
+Object.keys(EXITS).forEach(function(name) {
+    test(name + " rejects an unknown finish behaviour before starting", function() {
+        var shape = createShape();
+        
+        assert.throws(function() {
+            EXITS[name](shape, "vanish");
+        }, /Unknown finish behaviour 'vanish'/);
+        assert.strictEqual(shape.animations.length, 0);
+        assert.strictEqual(shape.exitedScale, null);
+        assert.strictEqual(shape.exitedOpacity, null);
+    });
+    
+    test(name + " hides the shape once it completes", async function() {
+        var shape = createShape();
+        var exit = EXITS[name](shape, "hide");
+        
+        step(shape, 1000);
+        await exit;
+        assert.strictEqual(shape.isVisible, false);
+    });
+});
+
+test("stretchOut takes the easing of the stretch and of the collapse", function() {
+    var shape = createShape();
+    var eased = [];
+    
+    shape.stretchOut(2, 3, function(t) {
+        eased.push("stretch");
+        return t;
+    }, function(t) {
+        eased.push("collapse");
+        return t;
+    });
+    
+    step(shape, 500);
+    step(shape, 2000);
+    assert.ok(eased.indexOf("stretch") !== -1);
+    assert.ok(eased.indexOf("collapse") !== -1);
+});
+
+test("fading out fades what the shape draws", function() {
+    var shape = createShape();
+    var renderer = new engine.RecordingRenderer();
+    
+    shape.fadeOut(1, "linear");
+    step(shape, 250);
+    shape.draw(renderer);
+    
+    var fills = renderer.takeCalls().filter(function(call) {
+        return call.name === "setFill";
+    });
+    assert.deepStrictEqual(fills[0].args, [[255, 0, 0, 191.25]]);
+});
+
+test("an entrance after a fade exit brings back the opacity", function() {
+    var shape = createShape();
+    
+    shape.opacity = 0.8;
+    shape.fadeOut(1);
+    step(shape, 1000);
+    assert.strictEqual(shape.opacity, 0);
+    
+    shape.stretchIn(1.2, 1);
+    assert.strictEqual(shape.opacity, 0.8);
+    assert.strictEqual(shape.exitedOpacity, null);
+});
+
+test("fading in after a fade exit forgets the old opacity", function() {
+    var shape = createShape();
+    
+    shape.fadeOut(1);
+    step(shape, 1000);
+    shape.fadeIn(1);
+    step(shape, 1000);
+    shape.opacity = 0.5;
+    shape.spinIn(1, 1);
+    assert.strictEqual(shape.opacity, 0.5);
+});
+
+test("slideOut clears the canvas edge from inside a turned, scaled group", function() {
+    var shape = createShape();
+    var group = new engine.AnimatableGroup(200, 200, 0, 0, shape.clock);
+    
+    group.rotation = 90;
+    group.scaleX = group.scaleY = 2;
+    group.add(shape);
+    
+    shape.slideOut("left", 1);
+    step(shape, 1000);
+    
+    var bounds = shape.getBounds(shape.getWorldTransform());
+    assert.ok(Math.abs(bounds.right) < 1e-9);
+    assert.ok(bounds.top > 0 && bounds.bottom < 400);
+});
+
+test("slideOut from the top level only moves along the edge's axis", function() {
+    var shape = createShape();
+    
+    shape.slideOut("bottom", 1);
+    step(shape, 1000);
+    assert.strictEqual(shape.x, 50);
+    assert.strictEqual(shape.getBounds().top, 400);
+});
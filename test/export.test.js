@@ -0,0 +1,187 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+var createEllipse = function() {
+    var shape = new engine.AnimatableEllipse(50, 60, 20, 20, new engine.ManualClock());
+    shape.fillColour = [242, 80, 80, 255];
+    shape.strokeColour = [0, 0, 0, 255];
+    return shape;
+};
+
+// Moves right, then fades, played there and back twice
+var createYoyo = function(shape) {
+    var timeline = engine.Timeline.sequence([
+        new engine.Animation(shape, { x: 100 }, { duration: 0.5, easing: "ease" }),
+        new engine.Animation(shape, { opacity: 0.5 }, { duration: 0.25 })
+    ]);
+    timeline.setYoyo(true).setRepeat(1);
+    return shape.play(timeline);
+};
+
+var SIZE = { width: 200, height: 100 };
+
+test("a tween exports to CSS", function() {
+    var shape = createEllipse();
+    
+    assert.strictEqual(engine.AnimationExport.toCSS(shape, shape.tween(150, 60, 0.5), { name: "dot" }), [
+        ".dot {",
+        "    position: absolute;",
+        "    left: 0;",
+        "    top: 0;",
+        "    box-sizing: border-box;",
+        "    border-style: solid;",
+        "    transform-origin: 50% 50%;",
+        "    border-radius: 50%;",
+        "    translate: calc(50px - 50%) calc(60px - 50%);",
+        "    width: 20px;",
+        "    height: 20px;",
+        "    rotate: 0deg;",
+        "    transform: skew(0deg, 0deg) scale(1, 1);",
+        "    opacity: 1;",
+        "    background-color: rgba(242, 80, 80, 1);",
+        "    border-color: rgba(0, 0, 0, 1);",
+        "    border-width: 1px;",
+        "    animation: dot-translate 0.5s linear 0s 1 normal both;",
+        "}",
+        "",
+        "@keyframes dot-translate {",
+        "    0% { translate: calc(50px - 50%) calc(60px - 50%); animation-timing-function: cubic-bezier(0.5, 1, 0.89, 1); }",
+        "    100% { translate: calc(150px - 50%) calc(60px - 50%); }",
+        "}",
+        ""
+    ].join("\n"));
+});
+
+test("a tween exports to SVG", function() {
+    var shape = createEllipse();
+    
+    assert.strictEqual(engine.AnimationExport.toSVG(shape, shape.tween(150, 60, 0.5), SIZE), [
+        "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"200\" height=\"100\" viewBox=\"0 0 200 100\">",
+        "    <g transform=\"translate(50 60)\">",
+        "        <animateTransform attributeName=\"transform\" type=\"translate\" values=\"50 60;150 60\" keyTimes=\"0;1\" calcMode=\"spline\" keySplines=\"0.5 1 0.89 1\" dur=\"0.5s\" begin=\"0s\" repeatCount=\"1\" fill=\"freeze\"/>",
+        "        <ellipse cx=\"0\" cy=\"0\" rx=\"10\" ry=\"10\" opacity=\"1\" fill=\"rgb(242,80,80)\" fill-opacity=\"1\" stroke=\"rgb(0,0,0)\" stroke-opacity=\"1\" stroke-width=\"1\"/>",
+        "    </g>",
+        "</svg>",
+        ""
+    ].join("\n"));
+});
+
+test("a stretchIn exports to CSS", function() {
+    var shape = createEllipse();
+    
+    assert.strictEqual(engine.AnimationExport.toCSS(shape, shape.stretchIn(1.5, 1)), [
+        ".shape {",
+        "    position: absolute;",
+        "    left: 0;",
+        "    top: 0;",
+        "    box-sizing: border-box;",
+        "    border-style: solid;",
+        "    transform-origin: 50% 50%;",
+        "    border-radius: 50%;",
+        "    translate: calc(50px - 50%) calc(60px - 50%);",
+        "    width: 20px;",
+        "    height: 20px;",
+        "    rotate: 0deg;",
+        "    transform: skew(0deg, 0deg) scale(0, 0);",
+        "    opacity: 1;",
+        "    background-color: rgba(242, 80, 80, 1);",
+        "    border-color: rgba(0, 0, 0, 1);",
+        "    border-width: 1px;",
+        "    animation: shape-transform 1s linear 0s 1 normal both;",
+        "}",
+        "",
+        "@keyframes shape-transform {",
+        "    0% { transform: skew(0deg, 0deg) scale(0, 0); animation-timing-function: cubic-bezier(0.5, 1, 0.89, 1); }",
+        "    75% { transform: skew(0deg, 0deg) scale(1.5, 1.5); animation-timing-function: cubic-bezier(0.11, 0, 0.5, 0); }",
+        "    100% { transform: skew(0deg, 0deg) scale(1, 1); }",
+        "}",
+        ""
+    ].join("\n"));
+});
+
+test("a stretchIn exports to SVG", function() {
+    var shape = createEllipse();
+    
+    assert.strictEqual(engine.AnimationExport.toSVG(shape, shape.stretchIn(1.5, 1), SIZE), [
+        "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"200\" height=\"100\" viewBox=\"0 0 200 100\">",
+        "    <g transform=\"translate(50 60)\">",
+        "        <g transform=\"scale(0 0)\">",
+        "            <animateTransform attributeName=\"transform\" type=\"scale\" values=\"0 0;1.5 1.5;1 1\" keyTimes=\"0;0.75;1\" calcMode=\"spline\" keySplines=\"0.5 1 0.89 1;0.11 0 0.5 0\" dur=\"1s\" begin=\"0s\" repeatCount=\"1\" fill=\"freeze\"/>",
+        "            <ellipse cx=\"0\" cy=\"0\" rx=\"10\" ry=\"10\" opacity=\"1\" fill=\"rgb(242,80,80)\" fill-opacity=\"1\" stroke=\"rgb(0,0,0)\" stroke-opacity=\"1\" stroke-width=\"1\"/>",
+        "        </g>",
+        "    </g>",
+        "</svg>",
+        ""
+    ].join("\n"));
+});
+
+test("a yoyo timeline exports to CSS", function() {
+    var shape = createEllipse();
+    
+    assert.strictEqual(engine.AnimationExport.toCSS(shape, createYoyo(shape)), [
+        ".shape {",
+        "    position: absolute;",
+        "    left: 0;",
+        "    top: 0;",
+        "    box-sizing: border-box;",
+        "    border-style: solid;",
+        "    transform-origin: 50% 50%;",
+        "    border-radius: 50%;",
+        "    translate: calc(50px - 50%) calc(60px - 50%);",
+        "    width: 20px;",
+        "    height: 20px;",
+        "    rotate: 0deg;",
+        "    transform: skew(0deg, 0deg) scale(1, 1);",
+        "    opacity: 1;",
+        "    background-color: rgba(242, 80, 80, 1);",
+        "    border-color: rgba(0, 0, 0, 1);",
+        "    border-width: 1px;",
+        "    animation: shape-translate 0.75s linear 0s 2 alternate both,",
+        "               shape-opacity 0.75s linear 0s 2 alternate both;",
+        "}",
+        "",
+        "@keyframes shape-translate {",
+        "    0% { translate: calc(50px - 50%) calc(60px - 50%); animation-timing-function: cubic-bezier(0.25, 0.1, 0.25, 1); }",
+        "    66.667% { translate: calc(100px - 50%) calc(60px - 50%); }",
+        "    100% { translate: calc(100px - 50%) calc(60px - 50%); }",
+        "}",
+        "",
+        "@keyframes shape-opacity {",
+        "    0% { opacity: 1; }",
+        "    66.667% { opacity: 1; }",
+        "    100% { opacity: 0.5; }",
+        "}",
+        ""
+    ].join("\n"));
+});
+
+test("a yoyo timeline exports to SVG, mirrored since SMIL has no yoyo", function() {
+    var shape = createEllipse();
+    
+    assert.strictEqual(engine.AnimationExport.toSVG(shape, createYoyo(shape), SIZE), [
+        "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"200\" height=\"100\" viewBox=\"0 0 200 100\">",
+        "    <g transform=\"translate(50 60)\">",
+        "        <animateTransform attributeName=\"transform\" type=\"translate\" values=\"50 60;100 60;100 60;50 60\" keyTimes=\"0;0.333;0.667;1\" calcMode=\"spline\" keySplines=\"0.25 0.1 0.25 1;0 0 1 1;0.75 0 0.75 0.9\" dur=\"1.5s\" begin=\"0s\" repeatCount=\"1\" fill=\"freeze\"/>",
+        "        <ellipse cx=\"0\" cy=\"0\" rx=\"10\" ry=\"10\" opacity=\"1\" fill=\"rgb(242,80,80)\" fill-opacity=\"1\" stroke=\"rgb(0,0,0)\" stroke-opacity=\"1\" stroke-width=\"1\">",
+        "            <animate attributeName=\"opacity\" values=\"1;1;0.5;1;1\" keyTimes=\"0;0.333;0.5;0.667;1\" calcMode=\"spline\" keySplines=\"0 0 1 1;0 0 1 1;0 0 1 1;0 0 1 1\" dur=\"1.5s\" begin=\"0s\" repeatCount=\"1\" fill=\"freeze\"/>",
+        "        </ellipse>",
+        "    </g>",
+        "</svg>",
+        ""
+    ].join("\n"));
+});
+
+test("SVG export needs a size outside a sketch", function() {
+    var shape = createEllipse();
+    var tween = shape.tween(150, 60, 0.5);
+    
+    assert.throws(function() {
+        engine.AnimationExport.toSVG(shape, tween);
+    }, /toSVG needs options.width and options.height outside a sketch/);
+    assert.throws(function() {
+        return new engine.SVGRenderer();
+    }, /SVGRenderer needs a width and height outside a sketch/);
+    assert.strictEqual(new engine.SVGRenderer(100, 50).width, 100);
+});
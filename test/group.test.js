@@ -0,0 +1,105 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+var Matrix = engine.Matrix;
+
+// Moves the clock forward and advances every animation
+var step = function(clock, milliseconds) {
+    clock.advance(milliseconds);
+    engine.animationTicker.tick();
+};
+
+// Draws the shape, returning every rect drawn with the transform and fill it was drawn with
+var drawRects = function(shape) {
+    var renderer = new engine.RecordingRenderer();
+    var stack = [];
+    var transform = Matrix.identity();
+    var fill = null;
+    var rects = [];
+    
+    shape.draw(renderer);
+    renderer.takeCalls().forEach(function(call) {
+        if (call.name === "save") {
+            stack.push(transform);
+        } else if (call.name === "restore") {
+            transform = stack.pop();
+        } else if (call.name === "transform") {
+            transform = Matrix.multiply(transform, call.args);
+        } else if (call.name === "setFill") {
+            fill = call.args[0];
+        } else if (call.name === "rect") {
+            rects.push({ transform: transform, fill: fill });
+        }
+    });
+    
+    return rects;
+};
+
+var assertPoint = function(actual, expected) {
+    assert.ok(Math.abs(actual.x - expected.x) < 1e-9 && Math.abs(actual.y - expected.y) < 1e-9,
+              JSON.stringify(actual) + " is not " + JSON.stringify(expected));
+};
+
+var createScene = function() {
+    var clock = new engine.ManualClock();
+    var group = new engine.AnimatableGroup(200, 100, 0, 0, clock);
+    var child = new engine.AnimatableRect(50, 0, 20, 10, 0, clock);
+    
+    child.fillColour = [255, 0, 0, 200];
+    group.add(child);
+    
+    return { clock: clock, group: group, child: child };
+};
+
+test("a child is drawn through its group's transform", function() {
+    var scene = createScene();
+    
+    scene.group.rotation = 90;
+    scene.group.scaleX = scene.group.scaleY = 2;
+    scene.child.rotation = 90;
+    
+    var drawn = drawRects(scene.group)[0];
+    
+    // The child's centre, 50 along the group's x axis, ends up 100 below the group
+    assertPoint(Matrix.apply(drawn.transform, 10, 5), { x: 200, y: 200 });
+    
+    // Turned by both, so the child's own x axis points left
+    assertPoint(Matrix.apply(drawn.transform, 11, 5), { x: 198, y: 200 });
+    assert.deepStrictEqual(drawn.transform, scene.child.getWorldTransform());
+});
+
+test("a child's opacity multiplies with its group's", function() {
+    var scene = createScene();
+    
+    scene.group.opacity = 0.5;
+    scene.child.opacity = 0.5;
+    
+    assert.deepStrictEqual(drawRects(scene.group)[0].fill, [255, 0, 0, 50]);
+    assert.strictEqual(scene.child.getOpacity(), 0.25);
+});
+
+test("a group animates on top of its children's own animations", function() {
+    var scene = createScene();
+    
+    scene.group.animate({ x: 300, opacity: 0 }, { duration: 1, easing: "linear" });
+    scene.child.animate({ x: 150 }, { duration: 1, easing: "linear" });
+    step(scene.clock, 500);
+    
+    var drawn = drawRects(scene.group)[0];
+    assertPoint(Matrix.apply(drawn.transform, 10, 5), { x: 350, y: 100 });
+    assert.deepStrictEqual(drawn.fill, [255, 0, 0, 100]);
+});
+
+test("a hidden group hides its children and drops removed ones", function() {
+    var scene = createScene();
+    var other = new engine.AnimatableRect(0, 0, 10, 10, 0, scene.clock);
+    
+    scene.group.add(other);
+    other.remove();
+    assert.strictEqual(drawRects(scene.group).length, 1);
+    assert.deepStrictEqual(scene.group.children, [scene.child]);
+    
+    scene.group.isVisible = false;
+    assert.deepStrictEqual(drawRects(scene.group), []);
+});
@@ -0,0 +1,92 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+test("the inspector times frames on its clock", function() {
+    var clock = new engine.ManualClock();
+    var inspector = new engine.Inspector({ clock: clock });
+    
+    for (var i = 0; i < 4; i++) {
+        inspector.update();
+        clock.advance(20);
+    }
+    
+    assert.strictEqual(inspector.getFrameRate(), 50);
+    
+    // Gap of three 60fps frames, two of them dropped
+    clock.advance(30);
+    inspector.update();
+    assert.strictEqual(inspector.droppedFrames, 2);
+});
+
+test("the inspector times frames on animationClock by default", function() {
+    var previousClock = engine.animationClock;
+    var clock = new engine.ManualClock();
+    engine.setAnimationClock(clock);
+    
+    try {
+        var inspector = new engine.Inspector();
+        inspector.update();
+        clock.advance(25);
+        inspector.update();
+        
+        assert.deepStrictEqual(inspector.frameTimes, [25]);
+    } finally {
+        engine.setAnimationClock(previousClock);
+    }
+});
+
+// Moves the clock forward and advances every animation
+var step = function(clock, milliseconds) {
+    clock.advance(milliseconds);
+    engine.animationTicker.tick();
+};
+
+test("pausing, scrubbing and resuming move every running animation", function() {
+    var clock = new engine.ManualClock();
+    var slow = new engine.AnimatableShape(0, 0, 10, 10, clock);
+    var fast = new engine.AnimatableShape(0, 0, 10, 10, clock);
+    var inspector = new engine.Inspector({ clock: clock });
+    
+    slow.animate({ x: 100 }, { duration: 2, easing: "linear" });
+    fast.animate({ x: 100 }, { duration: 1, easing: "linear" });
+    step(clock, 400);
+    
+    inspector.pause();
+    try {
+        step(clock, 300);
+        assert.strictEqual(slow.x, 20);
+        assert.strictEqual(fast.x, 40);
+        
+        inspector.scrubTo(-0.2);
+        assert.strictEqual(slow.x, 10);
+        assert.strictEqual(fast.x, 20);
+        
+        inspector.scrubTo(0.3);
+        assert.strictEqual(slow.x, 35);
+        assert.strictEqual(fast.x, 70);
+    } finally {
+        inspector.resume();
+    }
+    
+    step(clock, 100);
+    assert.strictEqual(slow.x, 40);
+    assert.strictEqual(fast.x, 80);
+});
+
+test("iteration progress counts down while a yoyo plays backwards", function() {
+    var clock = new engine.ManualClock();
+    var shape = new engine.AnimatableShape(0, 0, 10, 10, clock);
+    var inspector = new engine.Inspector({ clock: clock });
+    var animation = shape.animate({ x: 100 }, { duration: 1, repeat: 1, yoyo: true });
+    
+    step(clock, 250);
+    assert.strictEqual(inspector.getIterationProgress(animation), 0.25);
+    
+    step(clock, 1000);
+    assert.strictEqual(inspector.getIterationProgress(animation), 0.75);
+    
+    step(clock, 1000);
+    assert.strictEqual(inspector.getIterationProgress(animation), 0);
+});
@@ -0,0 +1,125 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+var Keyframes = engine.Keyframes;
+
+var problemsOf = function(source) {
+    try {
+        Keyframes.parse(source);
+    } catch (error) {
+        return error.problems;
+    }
+    assert.fail("expected the keyframes to be rejected");
+};
+
+var sampleTracks = function(keyframes) {
+    var samples = {};
+    
+    Object.keys(keyframes.tracks).forEach(function(property) {
+        samples[property] = [0, 0.25, 0.5, 0.75, 1].map(function(time) {
+            return Keyframes.valueAt(keyframes.tracks[property], time, keyframes.easing);
+        });
+    });
+    
+    return samples;
+};
+
+var definition = {
+    duration: 1,
+    easing: "ease",
+    repeat: 1,
+    yoyo: true,
+    tracks: {
+        x: [{ time: 0, value: 0, easing: "easeOutBounce" }, { time: 0.6, value: 200 }],
+        opacity: [{ time: 0, value: 0 }, { time: 0.3, value: 1 }],
+        fillColour: [{ time: 0.5, value: "#f25050", space: "oklab" }, { time: 1, value: [80, 80, 242] }]
+    }
+};
+
+test("parse lists every problem with its path", function() {
+    assert.deepStrictEqual(problemsOf({
+        duration: 0.2,
+        delay: -1,
+        repeat: 1.5,
+        yoyo: "yes",
+        easing: "wobbly",
+        bogus: 1,
+        tracks: {
+            x: [{ time: 0, value: 0 }, { time: -1, value: "a" }],
+            y: [],
+            fillColour: [{ time: 0, value: "#zzz" }, { time: 1, value: [0, 0, 0], space: "cmyk", extra: 1 }]
+        }
+    }), [
+        "bogus: unknown field, expected one of duration, delay, repeat, yoyo, easing, tracks",
+        "delay: must be a number of seconds, 0 or more, got -1",
+        "repeat: must be a whole number, 0 or more, or -1 for forever, got 1.5",
+        "yoyo: must be true or false, got \"yes\"",
+        "easing: Unknown easing 'wobbly'",
+        "tracks.x[1].time: must be a number of seconds, 0 or more, got -1",
+        "tracks.x[1].value: must be a number like the rest of the track, got \"a\"",
+        "tracks.y: must be a list of at least one keyframe",
+        "tracks.fillColour[0].value: must be a number or a colour, got \"#zzz\"",
+        "tracks.fillColour[1].extra: unknown field, expected one of time, value, easing, space",
+        "tracks.fillColour[1].space: must be rgb, hsb or oklab, got \"cmyk\"",
+        "duration: must be a number of seconds no earlier than the last keyframe (1), got 0.2"
+    ]);
+});
+
+test("parse reports keyframes out of order and missing tracks", function() {
+    assert.deepStrictEqual(problemsOf({ tracks: {} }), ["tracks: needs at least one track"]);
+    assert.deepStrictEqual(problemsOf({
+        tracks: { x: [{ time: 0.5, value: 0 }, { time: 0.2, value: 1 }] }
+    }), ["tracks.x[1].time: is 0.2, before the previous keyframe at 0.5"]);
+    assert.deepStrictEqual(problemsOf({
+        tracks: { x: [{ time: 0, value: 0, space: "oklab" }] }
+    }), ["tracks.x[0].space: only applies to colour tracks"]);
+});
+
+test("parse puts the problems in the error message", function() {
+    assert.throws(function() {
+        Keyframes.parse({ tracks: {} });
+    }, /Invalid keyframes:\n.*tracks: needs at least one track/);
+    assert.throws(function() {
+        Keyframes.parse("{ tracks: ");
+    }, /Keyframes are not valid JSON/);
+});
+
+test("saved keyframes parse back unchanged", function() {
+    var keyframes = Keyframes.parse(definition);
+    
+    assert.deepStrictEqual(Keyframes.parse(Keyframes.stringify(keyframes)), keyframes);
+});
+
+test("keyframes survive a trip through a timeline", function() {
+    var keyframes = Keyframes.parse(definition);
+    var shape = new engine.AnimatableShape(0, 0, 10, 10, new engine.ManualClock());
+    var timeline = Keyframes.toTimeline(keyframes, shape);
+    var saved = Keyframes.parse(Keyframes.stringify(Keyframes.fromAnimation(timeline, shape)));
+    
+    assert.strictEqual(saved.duration, keyframes.duration);
+    assert.strictEqual(saved.repeat, keyframes.repeat);
+    assert.strictEqual(saved.yoyo, keyframes.yoyo);
+    assert.deepStrictEqual(Object.keys(saved.tracks), Object.keys(keyframes.tracks));
+    assert.deepStrictEqual(sampleTracks(saved), sampleTracks(keyframes));
+    
+    // And the saved keyframes build the same timeline again
+    var rebuilt = Keyframes.fromAnimation(Keyframes.toTimeline(saved, shape), shape);
+    assert.deepStrictEqual(Keyframes.parse(rebuilt), saved);
+});
+
+test("named cubic-bezier curves play backwards", function() {
+    var ease = engine.Easing.get("ease");
+    var reversed = engine.Easing.get(Keyframes.reverseEasing("ease"));
+    
+    assert.strictEqual(Keyframes.reverseEasing("ease"), "cubic-bezier(0.75, 0, 0.75, 0.9)");
+    [0.1, 0.3, 0.7].forEach(function(completion) {
+        assert.ok(Math.abs(reversed(completion) - (1 - ease(1 - completion))) < 1e-6);
+    });
+    
+    engine.Easing.register("snappy", engine.Easing.cubicBezier(0.2, 0.8, 0.4, 1));
+    assert.strictEqual(Keyframes.reverseEasing("snappy"), "cubic-bezier(0.6, 0, 0.8, 0.2)");
+    assert.throws(function() {
+        Keyframes.reverseEasing("easeSideways");
+    }, /Cannot play easing 'easeSideways' backwards/);
+});
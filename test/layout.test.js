@@ -0,0 +1,95 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+// Moves the clock forward and advances every animation
+var step = function(clock, milliseconds) {
+    clock.advance(milliseconds);
+    engine.animationTicker.tick();
+};
+
+// Top of each item the group draws, in the order drawn. Items are 100 wide and centred
+// on x = 0, so theirs are the transforms starting 50 to the left
+var drawnTops = function(group) {
+    var renderer = new engine.RecordingRenderer();
+    group.draw(renderer);
+    
+    return renderer.takeCalls().filter(function(call) {
+        return call.name === "transform" && call.args[4] === -50;
+    }).map(function(call) {
+        return call.args[5];
+    });
+};
+
+var createList = function() {
+    var clock = new engine.ManualClock();
+    var group = new engine.AnimatableGroup(0, 0, 0, 0, clock);
+    
+    for (var i = 0; i < 3; i++) {
+        group.add(new engine.AnimatableRect(0, 40 * i, 100, 30, 0, clock));
+    }
+    
+    return { clock: clock, group: group };
+};
+
+// Lays the items out top to bottom in the order given
+var stack = function(items) {
+    items.forEach(function(item, i) {
+        item.y = 40 * i;
+    });
+};
+
+test("reordering a list moves each item from its old place to its new one", function() {
+    var list = createList();
+    var items = list.group.children.slice();
+    var timeline = engine.Timeline.layout(items, function() {
+        stack([items[2], items[1], items[0]]);
+    }, 1, "linear");
+    
+    // Nothing jumps before the layout plays, and the item that stayed put is left alone
+    assert.deepStrictEqual(drawnTops(list.group), [-15, 25, 65]);
+    assert.strictEqual(timeline.steps.length, 2);
+    
+    list.group.play(timeline);
+    step(list.clock, 500);
+    assert.deepStrictEqual(drawnTops(list.group), [25, 25, 25]);
+    
+    step(list.clock, 500);
+    assert.deepStrictEqual(drawnTops(list.group), [65, 25, -15]);
+});
+
+test("the items of a layout can be staggered", function() {
+    var list = createList();
+    var items = list.group.children.slice();
+    
+    list.group.play(engine.Timeline.layout(items, function() {
+        stack([items[1], items[2], items[0]]);
+    }, 1, "linear", { each: 0.5 }));
+    
+    // Three quarters of the way for the first item, a quarter for the second, the last yet to start
+    step(list.clock, 750);
+    assert.deepStrictEqual(drawnTops(list.group), [45, 15, 65]);
+});
+
+test("a shape animates to a new size as well as place", function() {
+    var list = createList();
+    var item = list.group.children[0];
+    var before = item.getLayout();
+    
+    item.x = 100;
+    item.width = 200;
+    var animation = item.animateLayout(before, 1, "linear");
+    
+    step(list.clock, 500);
+    var renderer = new engine.RecordingRenderer();
+    item.draw(renderer);
+    var rect = renderer.takeCalls().filter(function(call) {
+        return call.name === "rect";
+    })[0];
+    assert.deepStrictEqual(rect.args.slice(0, 4), [0, 0, 150, 30]);
+    assert.strictEqual(item.x, 50);
+    
+    assert.ok(animation);
+    assert.strictEqual(item.animateLayout(item.getLayout(), 1), null);
+});
@@ -0,0 +1,99 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+var Matrix = engine.Matrix;
+
+var assertPoint = function(actual, expected) {
+    assert.ok(Math.abs(actual.x - expected.x) < 1e-9 && Math.abs(actual.y - expected.y) < 1e-9,
+              JSON.stringify(actual) + " is not " + JSON.stringify(expected));
+};
+
+// Transform the shape draws with, read back from a RecordingRenderer
+var drawnTransform = function(shape) {
+    var renderer = new engine.RecordingRenderer();
+    shape.draw(renderer);
+    
+    return renderer.takeCalls().filter(function(call) {
+        return call.name === "transform";
+    })[0].args;
+};
+
+var createShape = function() {
+    return new engine.AnimatableRect(100, 100, 40, 20, 0, new engine.ManualClock());
+};
+
+test("compose applies its transforms last to first", function() {
+    var transform = Matrix.compose(Matrix.translation(10, 0), Matrix.rotation(90), Matrix.scaling(2, 2));
+    
+    assertPoint(Matrix.apply(transform, 1, 0), { x: 10, y: 2 });
+    assertPoint(Matrix.apply(Matrix.invert(transform), 10, 2), { x: 1, y: 0 });
+    assert.strictEqual(Matrix.invert(Matrix.scaling(0, 1)), null);
+});
+
+test("a shape turns around a top left anchor", function() {
+    var shape = createShape().setAnchor("top-left");
+    shape.rotation = 90;
+    
+    var transform = drawnTransform(shape);
+    assertPoint(Matrix.apply(transform, 0, 0), { x: 100, y: 100 });
+    assertPoint(Matrix.apply(transform, 40, 0), { x: 100, y: 140 });
+    assertPoint(Matrix.apply(transform, 0, 20), { x: 80, y: 100 });
+});
+
+test("a shape scales towards a bottom right anchor", function() {
+    var shape = createShape().setAnchor("bottom-right");
+    shape.scaleX = shape.scaleY = 2;
+    
+    var transform = drawnTransform(shape);
+    assertPoint(Matrix.apply(transform, 40, 20), { x: 100, y: 100 });
+    assertPoint(Matrix.apply(transform, 0, 0), { x: 20, y: 60 });
+});
+
+test("a shape skews around its anchor, keeping the anchor's edge in place", function() {
+    var shape = createShape().setAnchor("bottom");
+    shape.skewX = 45;
+    
+    var transform = drawnTransform(shape);
+    assertPoint(Matrix.apply(transform, 0, 20), { x: 80, y: 100 });
+    assertPoint(Matrix.apply(transform, 0, 0), { x: 60, y: 80 });
+});
+
+test("rotation, skew and scale combine in that order around the anchor", function() {
+    var shape = createShape().setAnchor([0.25, 0.5]);
+    shape.rotation = 30;
+    shape.skewY = 10;
+    shape.scaleX = 1.5;
+    shape.scaleY = 0.5;
+    
+    var expected = Matrix.compose(Matrix.translation(100, 100),
+                                  Matrix.rotation(30),
+                                  Matrix.skewing(0, 10),
+                                  Matrix.scaling(1.5, 0.5),
+                                  Matrix.translation(-10, -10));
+    var transform = drawnTransform(shape);
+    
+    transform.forEach(function(value, i) {
+        assert.ok(Math.abs(value - expected[i]) < 1e-9);
+    });
+    assertPoint(Matrix.apply(transform, 10, 10), { x: 100, y: 100 });
+});
+
+test("setAnchor can keep the shape where it is drawn", function() {
+    var shape = createShape();
+    shape.rotation = 45;
+    shape.scaleX = 2;
+    
+    var before = shape.getBounds();
+    shape.setAnchor("top-left", true);
+    var after = shape.getBounds();
+    
+    ["left", "top", "right", "bottom"].forEach(function(side) {
+        assert.ok(Math.abs(after[side] - before[side]) < 1e-9);
+    });
+    assertPoint(Matrix.apply(shape.getTransform(), 0, 0), { x: shape.x, y: shape.y });
+    
+    assert.throws(function() {
+        shape.setAnchor("middle");
+    }, /Unknown anchor 'middle'/);
+});
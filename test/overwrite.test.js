@@ -0,0 +1,75 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+var createShape = function() {
+    return new engine.AnimatableRect(0, 0, 20, 20, 0, new engine.ManualClock());
+};
+
+// Moves the shape's clock forward and advances its animations
+var step = function(shape, milliseconds) {
+    shape.clock.advance(milliseconds);
+    engine.animationTicker.tick();
+};
+
+// Centre of the shape as drawn, read from the transform it draws with
+var drawnAt = function(shape) {
+    var renderer = new engine.RecordingRenderer();
+    shape.draw(renderer);
+    
+    var transform = renderer.takeCalls().filter(function(call) {
+        return call.name === "transform";
+    })[0].args;
+    return { x: transform[4] + 10, y: transform[5] + 10 };
+};
+
+test("by default a newer animation takes over the properties it shares", function() {
+    var shape = createShape();
+    var older = shape.animate({ x: 100, y: 100 }, { duration: 1 });
+    
+    step(shape, 500);
+    var newer = shape.animate({ x: 0 }, { duration: 0.5 });
+    
+    step(shape, 250);
+    assert.deepStrictEqual(drawnAt(shape), { x: 25, y: 75 });
+    assert.deepStrictEqual(shape.animations, [older, newer]);
+    
+    step(shape, 250);
+    assert.deepStrictEqual(drawnAt(shape), { x: 0, y: 100 });
+});
+
+test("an older animation stops once every property is taken over", async function() {
+    var shape = createShape();
+    var older = shape.animate({ x: 100 }, { duration: 1 });
+    
+    step(shape, 500);
+    var newer = shape.animate({ x: 0 }, { duration: 1 });
+    
+    assert.deepStrictEqual(shape.animations, [newer]);
+    assert.deepStrictEqual(await older, { interrupted: true });
+});
+
+test("with overwrite none both keep running and the newer writes last", function() {
+    var shape = createShape();
+    var older = shape.animate({ x: 100, y: 100 }, { duration: 1 });
+    
+    step(shape, 500);
+    var newer = shape.animate({ x: 0 }, { duration: 0.25, overwrite: "none", from: { x: 50 } });
+    
+    step(shape, 125);
+    assert.deepStrictEqual(drawnAt(shape), { x: 25, y: 62.5 });
+    assert.deepStrictEqual(shape.animations, [older, newer]);
+    
+    // Once the newer finishes, the older drives x again
+    step(shape, 125);
+    assert.deepStrictEqual(shape.animations, [older]);
+    step(shape, 125);
+    assert.deepStrictEqual(drawnAt(shape), { x: 87.5, y: 87.5 });
+});
+
+test("an unknown overwrite rule is rejected", function() {
+    assert.throws(function() {
+        new engine.Animation({ x: 0 }, { x: 1 }, { overwrite: "merge" });
+    }, /Unknown overwrite rule 'merge'/);
+});
@@ -0,0 +1,102 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+var createShape = function() {
+    return new engine.AnimatableRect(0, 0, 20, 10, 0, new engine.ManualClock());
+};
+
+// Moves the shape's clock forward and advances its animations
+var step = function(shape, milliseconds) {
+    shape.clock.advance(milliseconds);
+    engine.animationTicker.tick();
+};
+
+// Positions of the shape at each of several even steps through a path
+var travel = function(shape, path, steps) {
+    var positions = [];
+    
+    shape.play(new engine.PathAnimation(shape, path, { duration: 1, autoRotate: true }));
+    for (var i = 0; i < steps; i++) {
+        step(shape, 1000 / steps);
+        positions.push({ x: shape.x, y: shape.y, rotation: shape.rotation });
+    }
+    
+    return positions;
+};
+
+var distances = function(positions) {
+    return positions.slice(1).map(function(position, i) {
+        return Math.sqrt(Math.pow(position.x - positions[i].x, 2) + Math.pow(position.y - positions[i].y, 2));
+    });
+};
+
+var assertClose = function(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, message + ": " + actual + " is not close to " + expected);
+};
+
+test("a polyline is travelled at an even speed round its corners", function() {
+    var path = new engine.PolylinePath([[0, 0], [300, 0], [300, 100]]);
+    var positions = travel(createShape(), path, 8);
+    
+    assert.strictEqual(path.getLength(), 400);
+    distances(positions).forEach(function(distance) {
+        assertClose(distance, 50, 1e-9, "distance per step");
+    });
+    assert.deepStrictEqual([positions[5].x, positions[5].y], [300, 0]);
+    assert.deepStrictEqual([positions[7].x, positions[7].y], [300, 100]);
+});
+
+test("a curve is travelled at an even speed despite its uneven parameter", function() {
+    var path = new engine.BezierPath([[0, 0], [0, 200], [200, 200], [200, 0]]);
+    var positions = travel(createShape(), path, 10);
+    var stepLength = path.getLength() / 10;
+    
+    // Straight lines between the positions cut a little inside the curve
+    distances(positions).forEach(function(distance) {
+        assertClose(distance, stepLength, stepLength * 0.02, "distance per step");
+    });
+});
+
+test("autoRotate turns the shape to face along the path", function() {
+    var shape = createShape();
+    var positions = travel(shape, new engine.PolylinePath([[0, 0], [300, 0], [300, 100]]), 8);
+    
+    assertClose(positions[1].rotation, 0, 1e-9, "along the first line");
+    assertClose(positions[6].rotation, 90, 1e-9, "down the second line");
+    
+    // Drawn turned a quarter clockwise
+    var renderer = new engine.RecordingRenderer();
+    shape.draw(renderer);
+    var transform = renderer.takeCalls().filter(function(call) {
+        return call.name === "transform";
+    })[0].args;
+    assertClose(transform[0], 0, 1e-9, "a");
+    assertClose(transform[1], 1, 1e-9, "b");
+});
+
+test("autoRotate follows an arc with the rotation offset added", function() {
+    var shape = createShape();
+    
+    shape.play(new engine.PathAnimation(shape, new engine.ArcPath(100, 100, 50, 0, 180), {
+        duration: 1,
+        autoRotate: true,
+        rotationOffset: -90
+    }));
+    step(shape, 500);
+    
+    // Halfway round clockwise from the right is straight below the centre, heading left
+    assertClose(shape.x, 100, 1e-9, "x");
+    assertClose(shape.y, 150, 1e-9, "y");
+    assertClose(shape.rotation, 90, 0.5, "rotation");
+});
+
+test("without autoRotate the path leaves rotation alone", function() {
+    var shape = createShape();
+    
+    shape.rotation = 15;
+    shape.followPath(new engine.PolylinePath([[0, 0], [0, 100]]), 1);
+    step(shape, 500);
+    assert.strictEqual(shape.rotation, 15);
+});
@@ -0,0 +1,127 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+var createShape = function() {
+    var shape = new engine.AnimatableShape(0, 0, 10, 10);
+    shape.clock = new engine.ManualClock();
+    return shape;
+};
+
+// Moves the shape's clock forward and advances its animations
+var step = function(shape, milliseconds) {
+    shape.clock.advance(milliseconds);
+    engine.animationTicker.tick();
+};
+
+test("replaying an animation tweens from where the target is now", function() {
+    var shape = createShape();
+    var animation = shape.animate({ x: 100 }, { duration: 1 });
+    
+    step(shape, 1000);
+    assert.strictEqual(shape.x, 100);
+    
+    shape.x = 50;
+    shape.play(animation);
+    step(shape, 500);
+    assert.strictEqual(shape.x, 75);
+});
+
+test("replaying a timeline tweens its steps from where their targets are now", function() {
+    var shape = createShape();
+    var timeline = engine.Timeline.sequence([
+        new engine.Animation(shape, { x: 100 }, { duration: 1 }),
+        new engine.Animation(shape, { y: 100 }, { duration: 1 })
+    ]);
+    
+    shape.play(timeline);
+    step(shape, 2000);
+    assert.deepStrictEqual([shape.x, shape.y], [100, 100]);
+    
+    shape.x = 50;
+    shape.y = 0;
+    shape.play(timeline);
+    step(shape, 500);
+    assert.strictEqual(shape.x, 75);
+    step(shape, 1000);
+    assert.strictEqual(shape.y, 50);
+});
+
+test("Timeline.delay is kept as another name for addDelay", function() {
+    var timeline = new engine.Timeline();
+    
+    assert.strictEqual(timeline.delay(1.5), timeline);
+    assert.strictEqual(timeline.getDuration(), 1.5);
+});
+
+test("then() resolves when the animation completes", async function() {
+    var shape = createShape();
+    var animation = shape.animate({ x: 100 }, { duration: 1 });
+    var finished = animation.then(function(result) {
+        return result;
+    });
+    
+    step(shape, 1000);
+    assert.deepStrictEqual(await finished, { interrupted: false });
+    assert.deepStrictEqual(await animation, { interrupted: false });
+});
+
+test("then() resolves rather than rejects when the animation is interrupted", async function() {
+    var shape = createShape();
+    var animation = shape.animate({ x: 100 }, { duration: 1 });
+    var finished = animation.then(function(result) {
+        return result;
+    });
+    
+    step(shape, 500);
+    shape.stop(animation);
+    assert.deepStrictEqual(await finished, { interrupted: true });
+    assert.deepStrictEqual(await animation, { interrupted: true });
+});
+
+test("stopping an animation nobody waits on is not an unhandled rejection", async function() {
+    var rejections = [];
+    var onRejection = function(reason) {
+        rejections.push(reason);
+    };
+    process.on("unhandledRejection", onRejection);
+    
+    try {
+        var shape = createShape();
+        var animation = shape.animate({ x: 100 }, { duration: 1 });
+        animation.then(function() {});
+        shape.stop(animation);
+        
+        await new Promise(function(resolve) {
+            setImmediate(resolve);
+        });
+        assert.deepStrictEqual(rejections, []);
+    } finally {
+        process.removeListener("unhandledRejection", onRejection);
+    }
+});
+
+test("then() before playing waits on the next time the animation plays", async function() {
+    var shape = createShape();
+    var animation = new engine.Animation(shape, { x: 100 }, { duration: 1 });
+    var results = [];
+    
+    animation.then(function(result) {
+        results.push(result);
+    });
+    
+    shape.play(animation);
+    step(shape, 1000);
+    await animation;
+    assert.deepStrictEqual(results, [{ interrupted: false }]);
+    
+    // Replaying, and waiting on the replay once it is underway
+    shape.play(animation);
+    var replayed = animation.then(function(result) {
+        return result;
+    });
+    step(shape, 1000);
+    assert.deepStrictEqual(await replayed, { interrupted: false });
+    assert.strictEqual(results.length, 1);
+});
@@ -0,0 +1,120 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+// Moves the shape's clock forward and advances its animations
+var step = function(shape, milliseconds) {
+    shape.clock.advance(milliseconds);
+    engine.animationTicker.tick();
+};
+
+// Draws the shape, returning the transform it drew with and what it drew under it
+var drawShape = function(shape) {
+    var renderer = new engine.RecordingRenderer();
+    shape.draw(renderer);
+    
+    var calls = renderer.takeCalls();
+    var transform = calls.filter(function(call) {
+        return call.name === "transform";
+    })[0];
+    
+    return {
+        transform: transform && transform.args,
+        drawn: calls.filter(function(call) {
+            return ["ellipse", "rect", "polygon", "line", "text", "image"].indexOf(call.name) !== -1;
+        })
+    };
+};
+
+var assertPoint = function(actual, expected) {
+    assert.ok(Math.abs(actual.x - expected.x) < 1e-9 && Math.abs(actual.y - expected.y) < 1e-9,
+              JSON.stringify(actual) + " is not " + JSON.stringify(expected));
+};
+
+var createText = function() {
+    var previousRenderer = engine.activeRenderer;
+    engine.setRenderer(new engine.RecordingRenderer());
+    
+    try {
+        return new engine.AnimatableText(100, 50, "Hello", 20, new engine.ManualClock());
+    } finally {
+        engine.setRenderer(previousRenderer);
+    }
+};
+
+// Each primitive, with the point in its own coordinates it should turn and scale around
+var PRIMITIVES = {
+    ellipse: function() {
+        return { shape: new engine.AnimatableEllipse(100, 50, 40, 20, new engine.ManualClock()), anchor: { x: 20, y: 10 } };
+    },
+    rect: function() {
+        return { shape: new engine.AnimatableRect(100, 50, 40, 20, 4, new engine.ManualClock()), anchor: { x: 20, y: 10 } };
+    },
+    polygon: function() {
+        var points = [[-10, -10], [30, -10], [0, 20]];
+        return { shape: new engine.AnimatablePolygon(100, 50, points, new engine.ManualClock()), anchor: { x: 10, y: 10 } };
+    },
+    line: function() {
+        return { shape: new engine.AnimatableLine(60, 30, 140, 70, new engine.ManualClock()), anchor: { x: 40, y: 20 } };
+    },
+    text: function() {
+        return { shape: createText(), anchor: { x: 30, y: 10 } };
+    },
+    image: function() {
+        var picture = { width: 30, height: 20 };
+        return { shape: new engine.AnimatableImage(100, 50, picture, 0, 0, new engine.ManualClock()), anchor: { x: 15, y: 10 } };
+    }
+};
+
+Object.keys(PRIMITIVES).forEach(function(name) {
+    test(name + " turns and scales around its anchor", function() {
+        var primitive = PRIMITIVES[name]();
+        var shape = primitive.shape;
+        
+        assertPoint(engine.Matrix.apply(drawShape(shape).transform, primitive.anchor.x, primitive.anchor.y), { x: 100, y: 50 });
+        
+        shape.rotation = 90;
+        shape.scaleX = 2;
+        shape.scaleY = 0.5;
+        
+        var transform = drawShape(shape).transform;
+        assertPoint(engine.Matrix.apply(transform, primitive.anchor.x, primitive.anchor.y), { x: 100, y: 50 });
+        
+        // One unit right of the anchor is two units below it once turned a quarter clockwise
+        assertPoint(engine.Matrix.apply(transform, primitive.anchor.x + 1, primitive.anchor.y), { x: 100, y: 52 });
+    });
+});
+
+test("primitives draw their geometry from the top left of their box", function() {
+    assert.deepStrictEqual(drawShape(PRIMITIVES.ellipse().shape).drawn[0].args, [20, 10, 40, 20]);
+    assert.deepStrictEqual(drawShape(PRIMITIVES.rect().shape).drawn[0].args, [0, 0, 40, 20, 4]);
+    assert.deepStrictEqual(drawShape(PRIMITIVES.polygon().shape).drawn[0].args, [[[0, 0], [40, 0], [10, 30]], true]);
+    assert.deepStrictEqual(drawShape(PRIMITIVES.line().shape).drawn[0].args, [0, 0, 80, 40]);
+    assert.deepStrictEqual(drawShape(PRIMITIVES.text().shape).drawn[0].args, ["Hello", 0, 0, 20]);
+});
+
+test("a line draws on from its start", function() {
+    var line = new engine.AnimatableLine(60, 30, 140, 70, new engine.ManualClock());
+    
+    line.drawOn(1, "linear");
+    step(line, 0);
+    assert.deepStrictEqual(drawShape(line).drawn, []);
+    
+    step(line, 250);
+    assert.deepStrictEqual(drawShape(line).drawn[0].args, [0, 0, 20, 10]);
+    
+    // The start stays put while the end moves
+    assertPoint(engine.Matrix.apply(drawShape(line).transform, 0, 0), { x: 60, y: 30 });
+    
+    step(line, 750);
+    assert.deepStrictEqual(drawShape(line).drawn[0].args, [0, 0, 80, 40]);
+});
+
+test("text reveals one character at a time", function() {
+    var text = createText();
+    
+    text.reveal(1);
+    step(text, 400);
+    assert.strictEqual(drawShape(text).drawn[0].args[0], "He");
+});
@@ -0,0 +1,51 @@
+// Stand-ins for the Processing.js globals ProcessingRenderer draws with, each
+// recording its calls. frameRate is left out, so the sketch itself never runs.
+var calls = [];
+
+var NAMES = [
+    "pushMatrix", "popMatrix", "pushStyle", "popStyle", "translate", "rotate", "scale", "applyMatrix",
+    "fill", "noFill", "stroke", "noStroke", "strokeWeight", "background", "ellipse", "rect",
+    "beginShape", "vertex", "endShape", "line", "image", "tint", "noTint", "textSize", "textAlign", "text"
+];
+
+NAMES.forEach(function(name) {
+    global[name] = function() {
+        calls.push([name].concat(Array.prototype.slice.call(arguments)));
+    };
+});
+
+global.textWidth = function(string) {
+    return String(string).length * 10;
+};
+global.millis = function() {
+    return 0;
+};
+global.frameCount = 0;
+global.width = 400;
+global.height = 400;
+global.LEFT = 37;
+global.TOP = 101;
+global.CLOSE = 2;
+
+/**
+Stand-in for a canvas 2D context, recording the calls made on it.
+*/
+var FakeContext = function() {
+    this.calls = [];
+};
+
+["save", "restore", "beginPath", "rect", "ellipse", "clip"].forEach(function(name) {
+    FakeContext.prototype[name] = function() {
+        this.calls.push([name].concat(Array.prototype.slice.call(arguments)));
+    };
+});
+
+module.exports = {
+    calls: calls,
+    FakeContext: FakeContext,
+    
+    // Empties the recorded calls, returning those made so far
+    takeCalls: function() {
+        return calls.splice(0, calls.length);
+    }
+};
@@ -0,0 +1,72 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var processing = require("./processing-globals.js");
+var engine = require("../simpleTransitions.js");
+
+test("clipping goes through the canvas context and is undone on restore", function() {
+    var context = new processing.FakeContext();
+    var renderer = new engine.ProcessingRenderer(context);
+    processing.takeCalls();
+    
+    renderer.save();
+    renderer.clipRect(10, 20, 30, 40);
+    renderer.clipEllipse(50, 50, 20, -10);
+    renderer.restore();
+    
+    assert.deepStrictEqual(context.calls, [
+        ["save"],
+        ["beginPath"], ["rect", 10, 20, 30, 40], ["clip"],
+        ["beginPath"], ["ellipse", 50, 50, 10, 5, 0, 0, Math.PI * 2], ["clip"],
+        ["restore"]
+    ]);
+    assert.deepStrictEqual(processing.takeCalls(), [["pushMatrix"], ["pushStyle"], ["popStyle"], ["popMatrix"]]);
+});
+
+test("clipping does nothing without a canvas context", function() {
+    var renderer = new engine.ProcessingRenderer();
+    
+    assert.strictEqual(renderer.getContext(), null);
+    assert.doesNotThrow(function() {
+        renderer.save();
+        renderer.clipRect(0, 0, 10, 10);
+        renderer.clipEllipse(0, 0, 10, 10);
+        renderer.restore();
+    });
+});
+
+test("the sketch's context is used by default", function() {
+    var context = new processing.FakeContext();
+    global.externals = { context: context };
+    
+    try {
+        var renderer = new engine.ProcessingRenderer();
+        renderer.clipRect(0, 0, 5, 5);
+        assert.strictEqual(renderer.getContext(), context);
+        assert.strictEqual(context.calls.length, 3);
+    } finally {
+        delete global.externals;
+    }
+});
+
+["wipe", "reveal"].forEach(function(type) {
+    test("scenes " + type + " under ProcessingRenderer", function() {
+        var clock = new engine.ManualClock();
+        var context = new processing.FakeContext();
+        var renderer = new engine.ProcessingRenderer(context);
+        var manager = new engine.SceneManager();
+        manager.clock = clock;
+        
+        manager.go(new engine.Scene());
+        manager.go(new engine.Scene(), { type: type, duration: 1 });
+        clock.advance(500);
+        manager.update();
+        
+        assert.doesNotThrow(function() {
+            manager.draw(renderer);
+        });
+        assert.ok(context.calls.some(function(call) {
+            return call[0] === "clip";
+        }));
+    });
+});
@@ -0,0 +1,175 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var processing = require("./processing-globals.js");
+var engine = require("../simpleTransitions.js");
+
+/**
+Stand-in for a canvas 2D context, recording method calls and property changes.
+*/
+var RecordingContext = function() {
+    this.calls = [];
+    this.canvas = { width: 200, height: 100 };
+    this._globalAlpha = 1;
+};
+
+["save", "restore", "translate", "rotate", "scale", "transform", "setTransform", "beginPath", "closePath",
+ "moveTo", "lineTo", "arcTo", "rect", "ellipse", "fill", "stroke", "fillRect", "clip", "drawImage", "fillText"]
+    .forEach(function(name) {
+        RecordingContext.prototype[name] = function() {
+            this.calls.push([name].concat(Array.prototype.slice.call(arguments)));
+        };
+    });
+
+["fillStyle", "strokeStyle", "lineWidth", "globalAlpha", "font", "textAlign", "textBaseline"].forEach(function(name) {
+    Object.defineProperty(RecordingContext.prototype, name, {
+        get: function() {
+            return this["_" + name];
+        },
+        set: function(value) {
+            this["_" + name] = value;
+            this.calls.push([name, value]);
+        }
+    });
+});
+
+RecordingContext.prototype.measureText = function(string) {
+    return { width: string.length * 6 };
+};
+
+// The same drawing, made through every backend
+var drawScene = function(renderer) {
+    renderer.clear([240, 240, 240]);
+    renderer.save();
+    renderer.translate(10, 20);
+    renderer.rotate(90);
+    renderer.applyOpacity(0.5);
+    renderer.setFill([255, 0, 0]);
+    renderer.setStroke([0, 0, 255, 128], 2);
+    renderer.ellipse(0, 0, 20, 10);
+    renderer.restore();
+    renderer.setStroke(null);
+    renderer.polygon([[0, 0], [10, 0], [5, 8]], true);
+    renderer.text("Hi", 50, 60, 12);
+};
+
+test("RecordingRenderer records each call with copied arguments", function() {
+    var renderer = new engine.RecordingRenderer();
+    var points = [[0, 0], [10, 0], [5, 8]];
+    
+    drawScene(renderer);
+    
+    assert.deepStrictEqual(renderer.takeCalls(), [
+        { name: "clear", args: [[240, 240, 240]] },
+        { name: "save", args: [] },
+        { name: "translate", args: [10, 20] },
+        { name: "rotate", args: [90] },
+        { name: "applyOpacity", args: [0.5] },
+        { name: "setFill", args: [[255, 0, 0]] },
+        { name: "setStroke", args: [[0, 0, 255, 128], 2] },
+        { name: "ellipse", args: [0, 0, 20, 10] },
+        { name: "restore", args: [] },
+        { name: "setStroke", args: [null] },
+        { name: "polygon", args: [points, true] },
+        { name: "text", args: ["Hi", 50, 60, 12] }
+    ]);
+    assert.deepStrictEqual(renderer.takeCalls(), []);
+    assert.strictEqual(renderer.measureText("Hi", 10), 12);
+});
+
+test("SVGRenderer draws the scene as markup", function() {
+    var renderer = new engine.SVGRenderer(200, 100);
+    
+    drawScene(renderer);
+    
+    assert.strictEqual(renderer.toString(), [
+        "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"200\" height=\"100\" viewBox=\"0 0 200 100\">",
+        "    <rect x=\"0\" y=\"0\" width=\"200\" height=\"100\" fill=\"rgb(240,240,240)\"/>",
+        "    <ellipse cx=\"0\" cy=\"0\" rx=\"10\" ry=\"5\" fill=\"rgb(255,0,0)\" stroke=\"rgb(0,0,255)\" stroke-width=\"2\" " +
+            "stroke-opacity=\"0.502\" opacity=\"0.5\" transform=\"translate(10 20) rotate(90)\"/>",
+        "    <polygon points=\"0,0 10,0 5,8\" fill=\"rgb(255,255,255)\"/>",
+        "    <text x=\"50\" y=\"60\" font-size=\"12\" font-family=\"sans-serif\" dominant-baseline=\"hanging\" " +
+            "fill=\"rgb(255,255,255)\">Hi</text>",
+        "</svg>",
+        ""
+    ].join("\n"));
+});
+
+test("CanvasRenderer draws the scene onto the context", function() {
+    var context = new RecordingContext();
+    var renderer = new engine.CanvasRenderer(context);
+    
+    drawScene(renderer);
+    
+    assert.deepStrictEqual(context.calls, [
+        ["save"],
+        ["setTransform", 1, 0, 0, 1, 0, 0],
+        ["fillStyle", "rgba(240, 240, 240, 1)"],
+        ["fillRect", 0, 0, 200, 100],
+        ["restore"],
+        ["save"],
+        ["translate", 10, 20],
+        ["rotate", Math.PI / 2],
+        ["globalAlpha", 0.5],
+        ["beginPath"],
+        ["ellipse", 0, 0, 10, 5, 0, 0, Math.PI * 2],
+        ["fillStyle", "rgba(255, 0, 0, 1)"],
+        ["fill"],
+        ["strokeStyle", "rgba(0, 0, 255, 0.5019607843137255)"],
+        ["lineWidth", 2],
+        ["stroke"],
+        ["restore"],
+        ["beginPath"],
+        ["lineTo", 0, 0],
+        ["lineTo", 10, 0],
+        ["lineTo", 5, 8],
+        ["closePath"],
+        ["fillStyle", "rgba(255, 255, 255, 1)"],
+        ["fill"],
+        ["font", "12px sans-serif"],
+        ["textAlign", "left"],
+        ["textBaseline", "top"],
+        ["fillStyle", "rgba(255, 255, 255, 1)"],
+        ["fillText", "Hi", 50, 60]
+    ]);
+});
+
+test("ProcessingRenderer draws the scene with the Processing globals", function() {
+    var renderer = new engine.ProcessingRenderer(null);
+    processing.takeCalls();
+    
+    drawScene(renderer);
+    
+    assert.deepStrictEqual(processing.takeCalls(), [
+        ["background", 240, 240, 240, 255],
+        ["pushMatrix"],
+        ["pushStyle"],
+        ["translate", 10, 20],
+        ["rotate", 90],
+        ["fill", 255, 0, 0, 127.5],
+        ["stroke", 0, 0, 255, 64],
+        ["strokeWeight", 2],
+        ["ellipse", 0, 0, 20, 10],
+        ["popStyle"],
+        ["popMatrix"],
+        ["noStroke"],
+        ["beginShape"],
+        ["vertex", 0, 0],
+        ["vertex", 10, 0],
+        ["vertex", 5, 8],
+        ["endShape", 2],
+        ["textSize", 12],
+        ["textAlign", 37, 101],
+        ["text", "Hi", 50, 60]
+    ]);
+});
+
+test("SVGRenderer keeps the fill it had before clearing", function() {
+    var renderer = new engine.SVGRenderer(200, 100);
+    
+    renderer.setFill([0, 128, 0]);
+    renderer.clear([255, 255, 255]);
+    renderer.rect(0, 0, 10, 10);
+    
+    assert.match(renderer.toString(), /<rect x="0" y="0" width="10" height="10" fill="rgb\(0,128,0\)"/);
+});
@@ -0,0 +1,60 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+test("springTo retargets a running spring with the options given", function() {
+    var clock = new engine.ManualClock();
+    var shape = new engine.AnimatableShape(0, 0, 10, 10, clock);
+    
+    var spring = shape.springTo({ x: 100 }, { stiffness: 100, damping: 10 });
+    clock.advance(100);
+    engine.animationTicker.tick();
+    
+    var velocity = spring.getVelocity("x");
+    var retargeted = shape.springTo({ x: 200 }, { stiffness: 400, damping: 30, mass: 2, restDelta: 0.5 });
+    
+    assert.strictEqual(retargeted, spring);
+    assert.strictEqual(spring.animStiffness, 400);
+    assert.strictEqual(spring.animDamping, 30);
+    assert.strictEqual(spring.animMass, 2);
+    assert.strictEqual(spring.animRestDelta, 0.5);
+    assert.strictEqual(spring.getVelocity("x"), velocity);
+    assert.deepStrictEqual(spring.animDestinations, { x: 200 });
+});
+
+test("springTo keeps a running spring's physics when given none", function() {
+    var clock = new engine.ManualClock();
+    var shape = new engine.AnimatableShape(0, 0, 10, 10, clock);
+    
+    var spring = shape.springTo({ x: 100 }, { stiffness: 300, damping: 0 });
+    shape.springTo({ x: 50 });
+    
+    assert.strictEqual(spring.animStiffness, 300);
+    assert.strictEqual(spring.animDamping, 0);
+});
+
+test("a retargeted spring moves with its new stiffness", function() {
+    var soft = new engine.AnimatableShape(0, 0, 10, 10, new engine.ManualClock());
+    var stiff = new engine.AnimatableShape(0, 0, 10, 10, new engine.ManualClock());
+    
+    soft.springTo({ x: 100 }, { stiffness: 50 });
+    stiff.springTo({ x: 100 }, { stiffness: 50 });
+    stiff.springTo({ x: 100 }, { stiffness: 500 });
+    
+    soft.clock.advance(100);
+    stiff.clock.advance(100);
+    engine.animationTicker.tick();
+    
+    assert.ok(stiff.x > soft.x);
+});
+
+test("setPhysics takes zero for every option", function() {
+    var spring = new engine.SpringAnimation({ x: 0 }, { x: 1 }, { stiffness: 300, restDelta: 0.5, restSpeed: 0.5 });
+    
+    spring.setPhysics({ stiffness: 0, damping: 0, restDelta: 0, restSpeed: 0 });
+    assert.strictEqual(spring.animStiffness, 0);
+    assert.strictEqual(spring.animDamping, 0);
+    assert.strictEqual(spring.animRestDelta, 0);
+    assert.strictEqual(spring.animRestSpeed, 0);
+});
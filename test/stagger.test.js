@@ -0,0 +1,106 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+var createShapes = function(count, columns) {
+    var clock = new engine.ManualClock();
+    var shapes = [];
+    
+    for (var i = 0; i < count; i++) {
+        var shape = new engine.AnimatableRect(20 * (i % columns), 20 * Math.floor(i / columns), 10, 10, 0, clock);
+        shape.opacity = 0;
+        shapes.push(shape);
+    }
+    
+    return shapes;
+};
+
+var fadeIn = function(shape) {
+    return new engine.Animation(shape, { opacity: 1 }, { duration: 1 });
+};
+
+// Offset of each shape's animation, in the order of the shapes, to the millisecond
+var offsetsOf = function(timeline, shapes) {
+    return shapes.map(function(shape) {
+        var step = timeline.steps.filter(function(step) {
+            return step.step.animTarget === shape;
+        })[0];
+        return Math.round(step.offset * 1000) / 1000;
+    });
+};
+
+test("shapes start one after another by index", function() {
+    var shapes = createShapes(4, 4);
+    
+    assert.deepStrictEqual(offsetsOf(engine.Timeline.stagger(shapes, fadeIn), shapes), [0, 0.1, 0.2, 0.3]);
+    assert.deepStrictEqual(offsetsOf(engine.Timeline.stagger(shapes, fadeIn, { each: 0.5 }), shapes), [0, 0.5, 1, 1.5]);
+    assert.deepStrictEqual(offsetsOf(engine.Timeline.stagger(shapes, fadeIn, { amount: 0.9 }), shapes), [0, 0.3, 0.6, 0.9]);
+});
+
+test("a stagger cascades from its origin", function() {
+    var shapes = createShapes(5, 5);
+    var offsets = function(origin) {
+        return offsetsOf(engine.Timeline.stagger(shapes, fadeIn, { origin: origin }), shapes);
+    };
+    
+    assert.deepStrictEqual(offsets("end"), [0.4, 0.3, 0.2, 0.1, 0]);
+    assert.deepStrictEqual(offsets("center"), [0.2, 0.1, 0, 0.1, 0.2]);
+    assert.deepStrictEqual(offsets("edges"), [0, 0.1, 0.2, 0.1, 0]);
+    assert.deepStrictEqual(offsets(1), [0.1, 0, 0.1, 0.2, 0.3]);
+    assert.throws(function() {
+        offsets("middle");
+    }, /Unknown stagger origin 'middle'/);
+});
+
+test("a stagger counts grid cells rather than indices", function() {
+    var shapes = createShapes(6, 3);
+    var offsets = function(options) {
+        return offsetsOf(engine.Timeline.stagger(shapes, fadeIn, options), shapes);
+    };
+    
+    assert.deepStrictEqual(offsets({ grid: [3, 2] }), [0, 0.1, 0.2, 0.1, 0.141, 0.224]);
+    assert.deepStrictEqual(offsets({ grid: "auto" }), offsets({ grid: [3, 2] }));
+    assert.deepStrictEqual(offsets({ grid: [3, 2], axis: "y" }), [0, 0, 0, 0.1, 0.1, 0.1]);
+    
+    // From a point, by distance in pixels spread over 0.1 seconds a shape
+    assert.deepStrictEqual(offsets({ origin: { x: 0, y: 0 }, axis: "x" }), [0, 0.25, 0.5, 0, 0.25, 0.5]);
+});
+
+test("a custom function places each shape", function() {
+    var shapes = createShapes(3, 3);
+    var calls = [];
+    var timeline = engine.Timeline.stagger(shapes, fadeIn, {
+        offsetOf: function(shape, index, count) {
+            calls.push([shape, index, count]);
+            return (count - index) * 0.2;
+        }
+    });
+    
+    assert.deepStrictEqual(offsetsOf(timeline, shapes), [0.6, 0.4, 0.2]);
+    assert.deepStrictEqual(calls, [[shapes[0], 0, 3], [shapes[1], 1, 3], [shapes[2], 2, 3]]);
+});
+
+test("a played stagger fades each shape in from its offset", function() {
+    var shapes = createShapes(3, 3);
+    var group = new engine.AnimatableGroup(0, 0, 0, 0, shapes[0].clock);
+    
+    group.add.apply(group, shapes);
+    group.play(engine.Timeline.stagger(shapes, function(shape) {
+        return new engine.Animation(shape, { opacity: 1 }, { duration: 1, easing: "linear" });
+    }, { each: 0.5 }));
+    
+    shapes[0].clock.advance(750);
+    engine.animationTicker.tick();
+    
+    var renderer = new engine.RecordingRenderer();
+    group.draw(renderer);
+    var alphas = renderer.takeCalls().filter(function(call) {
+        return call.name === "setFill";
+    }).map(function(call) {
+        return call.args[0][3];
+    });
+    
+    // The last has not started, so is still transparent and not drawn
+    assert.deepStrictEqual(alphas, [191.25, 63.75]);
+});
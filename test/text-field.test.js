@@ -0,0 +1,54 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var processing = require("./processing-globals.js");
+var engine = require("../simpleTransitions.js");
+
+var createField = function() {
+    var field = new engine.TextField({ x: 10, y: 60, width: 100, height: 30, label: "Name", value: "Hello" });
+    field.isActive = true;
+    field.selectionAnchor = 1;
+    field.caret = 4;
+    return field;
+};
+
+test("a TextField draws under ProcessingRenderer, clipped to its box", function() {
+    var context = new processing.FakeContext();
+    var renderer = new engine.ProcessingRenderer(context);
+    processing.takeCalls();
+    
+    createField().draw(renderer);
+    
+    var texts = processing.takeCalls().filter(function(call) {
+        return call[0] === "text";
+    });
+    assert.deepStrictEqual(texts.map(function(call) {
+        return call[1];
+    }), ["Name", "Hello"]);
+    assert.deepStrictEqual(context.calls.slice(0, 4), [
+        ["save"], ["beginPath"], ["rect", 15, 60, 90, 30], ["clip"]
+    ]);
+    assert.deepStrictEqual(context.calls[context.calls.length - 1], ["restore"]);
+});
+
+test("a TextField draws under ProcessingRenderer without a canvas context", function() {
+    var renderer = new engine.ProcessingRenderer(null);
+    
+    assert.doesNotThrow(function() {
+        createField().draw(renderer);
+    });
+});
+
+test("clicking places the caret using the renderer the field was drawn with", function() {
+    var field = new engine.TextField({ x: 10, y: 60, width: 200, height: 30, label: "Name", value: "Hello" });
+    var renderer = new engine.RecordingRenderer(1);
+    
+    field.draw(renderer);
+    
+    // Characters are 19px wide here, so this is just past the second one. At the
+    // default width of 0.6 it would be nearer the fourth
+    global.mouseX = 10 + engine.TextField.PADDING + 2 * 19 + 3;
+    field.handleMousePressed();
+    field.handleMouseReleased();
+    assert.strictEqual(field.caret, 2);
+});
@@ -0,0 +1,94 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+test("the ticker drives thousands of tweens to completion and reuses its entries", function() {
+    var clock = new engine.ManualClock();
+    var ticker = engine.animationTicker;
+    var COUNT = 5000;
+    var shapes = [];
+    var i;
+    
+    for (i = 0; i < COUNT; i++) {
+        shapes.push(new engine.AnimatableShape(0, 0, 10, 10, clock));
+        shapes[i].animate({ x: i, y: 100 }, { duration: 0.5 + (i % 10) / 10 });
+    }
+    assert.strictEqual(ticker.getCount(), COUNT);
+    
+    var entries = ticker.entries.slice();
+    
+    for (var frame = 0; frame < 100 && ticker.getCount() > 0; frame++) {
+        clock.advance(1000 / 60);
+        ticker.tick();
+    }
+    
+    assert.strictEqual(ticker.getCount(), 0);
+    assert.strictEqual(ticker.entries.length, 0);
+    assert.strictEqual(ticker.entryPool.length, COUNT);
+    for (i = 0; i < COUNT; i++) {
+        assert.strictEqual(shapes[i].x, i);
+        assert.strictEqual(shapes[i].animations.length, 0);
+    }
+    
+    // A second wave runs on the entries the first one left behind
+    for (i = 0; i < COUNT; i++) {
+        shapes[i].animate({ x: 0 }, { duration: 0.1 });
+    }
+    assert.strictEqual(ticker.entryPool.length, 0);
+    
+    var reused = ticker.entries.filter(function(entry) {
+        return entries.indexOf(entry) !== -1;
+    });
+    assert.strictEqual(reused.length, COUNT);
+    
+    clock.advance(100);
+    ticker.tick();
+    assert.strictEqual(ticker.getCount(), 0);
+});
+
+test("animations handed out are never recycled", function() {
+    var clock = new engine.ManualClock();
+    var shape = new engine.AnimatableShape(0, 0, 10, 10, clock);
+    var animation = shape.animate({ x: 100 }, { duration: 1 });
+    
+    clock.advance(1000);
+    engine.animationTicker.tick();
+    shape.animate({ y: 100 }, { duration: 1 });
+    clock.advance(1000);
+    engine.animationTicker.tick();
+    
+    assert.deepStrictEqual(animation.animDestinations, { x: 100 });
+    assert.strictEqual(animation.animTarget, shape);
+    assert.strictEqual(animation.tickerEntry, null);
+});
+
+test("drawing a shape does not advance any animation", function() {
+    var clock = new engine.ManualClock();
+    var drawn = new engine.AnimatableEllipse(0, 0, 10, 10, clock);
+    var other = new engine.AnimatableEllipse(0, 0, 10, 10, clock);
+    
+    drawn.animate({ x: 100 }, { duration: 1 });
+    other.animate({ x: 100 }, { duration: 1 });
+    clock.advance(500);
+    drawn.draw(new engine.RecordingRenderer());
+    
+    assert.strictEqual(drawn.x, 0);
+    assert.strictEqual(other.x, 0);
+    
+    engine.animationTicker.tick();
+    assert.strictEqual(drawn.x, 50);
+    assert.strictEqual(other.x, 50);
+});
+
+test("shapes keep animating without being drawn", function() {
+    var clock = new engine.ManualClock();
+    var shape = new engine.AnimatableShape(0, 0, 10, 10, clock);
+    
+    shape.isVisible = false;
+    shape.animate({ x: 100 }, { duration: 1 });
+    clock.advance(250);
+    engine.animationTicker.tick();
+    
+    assert.strictEqual(shape.x, 25);
+});
@@ -0,0 +1,62 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+var createStep = function() {
+    return new engine.Animation({ x: 0 }, { x: 1 }, { duration: 1 });
+};
+
+test("numeric strings are positions in seconds", function() {
+    var timeline = new engine.Timeline();
+    
+    assert.strictEqual(timeline.resolvePosition("1.5"), 1.5);
+    assert.strictEqual(timeline.resolvePosition(" 2 "), 2);
+    assert.strictEqual(timeline.resolvePosition(".25"), 0.25);
+    
+    timeline.add(createStep(), "1.5");
+    assert.strictEqual(timeline.steps[0].offset, 1.5);
+    assert.strictEqual(timeline.getDuration(), 2.5);
+});
+
+test("labels and relative positions still resolve", function() {
+    var timeline = new engine.Timeline();
+    
+    timeline.add(createStep()).addLabel("pop").add(createStep(), "+=0.5");
+    
+    assert.strictEqual(timeline.resolvePosition("pop"), 1);
+    assert.strictEqual(timeline.resolvePosition("pop+=0.2"), 1.2);
+    assert.strictEqual(timeline.resolvePosition("-=1"), 1.5);
+    assert.throws(function() {
+        timeline.resolvePosition("outro");
+    }, /Unknown timeline label 'outro'/);
+});
+
+test("labels hold dashes and spaces, with or without an offset", function() {
+    var timeline = new engine.Timeline();
+    
+    timeline.add(createStep()).addLabel("fade-in").addLabel("big finish").add(createStep());
+    
+    assert.strictEqual(timeline.resolvePosition("fade-in"), 1);
+    assert.strictEqual(timeline.resolvePosition("fade-in+=0.2"), 1.2);
+    assert.strictEqual(timeline.resolvePosition("fade-in -= 0.5"), 0.5);
+    assert.strictEqual(timeline.resolvePosition("big finish"), 1);
+    assert.strictEqual(timeline.resolvePosition("big finish+=1"), 2);
+    assert.throws(function() {
+        timeline.resolvePosition("bigfinish");
+    }, /Unknown timeline label 'bigfinish'/);
+});
+
+test("negative positions in seconds are rejected", function() {
+    var timeline = new engine.Timeline();
+    
+    assert.throws(function() {
+        timeline.resolvePosition("-0.5");
+    }, /Invalid timeline position '-0.5'/);
+    assert.throws(function() {
+        timeline.add(createStep(), -1);
+    }, /Invalid timeline position '-1'/);
+    assert.throws(function() {
+        timeline.resolvePosition("+=later");
+    }, /Invalid timeline position '\+=later'/);
+});
@@ -0,0 +1,137 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+// Processing's key codes
+global.TAB = 9;
+global.ENTER = 10;
+global.RETURN = 13;
+global.SHIFT = 16;
+
+var press = function(manager, code) {
+    global.keyCode = code;
+    manager.handleKeyPressed();
+};
+
+var release = function(manager, code) {
+    global.keyCode = code;
+    manager.handleKeyReleased();
+};
+
+var clickAt = function(manager, x, y) {
+    global.mouseX = x;
+    global.mouseY = y;
+    return manager.handleMouseClick();
+};
+
+var createButtons = function(clicks) {
+    return ["one", "two", "three"].map(function(label, i) {
+        return new engine.Button({
+            x: 10 + 40 * i,
+            y: 10,
+            width: 100,
+            height: 30,
+            label: label,
+            onClick: function() {
+                clicks.push(label);
+            }
+        });
+    });
+};
+
+// Labels of the buttons drawn with the focus outline
+var drawnFocused = function(manager) {
+    var renderer = new engine.RecordingRenderer();
+    var focused = [];
+    var isFocusStroke = false;
+    
+    manager.draw(renderer);
+    renderer.takeCalls().forEach(function(call) {
+        if (call.name === "setStroke") {
+            isFocusStroke = String(call.args[0]) === String(engine.Button.FOCUS_COLOUR);
+        } else if (call.name === "text" && isFocusStroke) {
+            focused.push(call.args[0]);
+        }
+    });
+    
+    return focused;
+};
+
+test("Tab and Shift-Tab move focus in the order widgets were added", function() {
+    var buttons = createButtons([]);
+    var manager = new engine.WidgetManager().add(buttons[0], buttons[1], buttons[2]);
+    
+    press(manager, TAB);
+    assert.deepStrictEqual(drawnFocused(manager), ["one"]);
+    press(manager, TAB);
+    press(manager, TAB);
+    assert.deepStrictEqual(drawnFocused(manager), ["three"]);
+    press(manager, TAB);
+    assert.deepStrictEqual(drawnFocused(manager), ["one"]);
+    
+    press(manager, SHIFT);
+    press(manager, TAB);
+    assert.deepStrictEqual(drawnFocused(manager), ["three"]);
+    release(manager, SHIFT);
+    
+    // Disabled and hidden widgets are skipped
+    buttons[0].isEnabled = false;
+    press(manager, TAB);
+    assert.strictEqual(manager.focused, buttons[1]);
+    buttons[2].isVisible = false;
+    press(manager, TAB);
+    assert.strictEqual(manager.focused, buttons[1]);
+});
+
+test("Enter activates the focused button", function() {
+    var clicks = [];
+    var buttons = createButtons(clicks);
+    var manager = new engine.WidgetManager().add(buttons[0], buttons[1], buttons[2]);
+    
+    press(manager, ENTER);
+    assert.deepStrictEqual(clicks, []);
+    
+    press(manager, TAB);
+    press(manager, TAB);
+    press(manager, ENTER);
+    press(manager, RETURN);
+    assert.deepStrictEqual(clicks, ["two", "two"]);
+});
+
+test("clicks go to the topmost widget under the mouse", function() {
+    var clicks = [];
+    var buttons = createButtons(clicks);
+    var manager = new engine.WidgetManager().add(buttons[0], buttons[1], buttons[2]);
+    
+    assert.strictEqual(clickAt(manager, 60, 20), true);
+    assert.strictEqual(clickAt(manager, 100, 20), true);
+    assert.strictEqual(clickAt(manager, 20, 20), true);
+    assert.deepStrictEqual(clicks, ["two", "three", "one"]);
+    
+    // Re-adding a widget brings it to the top
+    manager.add(buttons[0]);
+    clickAt(manager, 100, 20);
+    assert.deepStrictEqual(clicks.slice(3), ["one"]);
+    
+    // A disabled widget lets the click through to the one under it
+    buttons[0].isEnabled = false;
+    clickAt(manager, 100, 20);
+    assert.deepStrictEqual(clicks.slice(4), ["three"]);
+    
+    assert.strictEqual(clickAt(manager, 300, 300), false);
+    assert.strictEqual(clicks.length, 5);
+});
+
+test("clicking a button takes focus away from a text field", function() {
+    var buttons = createButtons([]);
+    var field = new engine.TextField({ x: 10, y: 100, width: 100, height: 30 });
+    var manager = new engine.WidgetManager().add(field, buttons[0]);
+    
+    clickAt(manager, 20, 110);
+    assert.strictEqual(manager.focused, field);
+    assert.strictEqual(field.isActive, true);
+    
+    clickAt(manager, 20, 20);
+    assert.strictEqual(manager.focused, null);
+});
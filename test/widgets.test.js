@@ -0,0 +1,192 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+var engine = require("../simpleTransitions.js");
+
+// Processing's key codes
+global.TAB = 9;
+global.ENTER = 10;
+global.RETURN = 13;
+global.SHIFT = 16;
+global.LEFT = 37;
+global.UP = 38;
+global.RIGHT = 39;
+global.DOWN = 40;
+
+var press = function(widget, code) {
+    global.keyCode = code;
+    widget.handleKeyPressed();
+};
+
+var moveMouse = function(x, y) {
+    global.mouseX = x;
+    global.mouseY = y;
+};
+
+// Every call of one kind the widget draws
+var drawn = function(widget, name) {
+    var renderer = new engine.RecordingRenderer();
+    widget.draw(renderer);
+    
+    return renderer.takeCalls().filter(function(call) {
+        return call.name === name;
+    }).map(function(call) {
+        return call.args;
+    });
+};
+
+test("a slider snaps to its steps and stays in its range", function() {
+    var changes = [];
+    var slider = new engine.Slider({
+        x: 0,
+        y: 50,
+        width: 200,
+        height: 20,
+        max: 1,
+        step: 0.1,
+        onChange: function(value) {
+            changes.push(value);
+        }
+    });
+    
+    moveMouse(47, 60);
+    slider.handleMousePressed();
+    moveMouse(-50, 60);
+    slider.handleMouseDragged();
+    moveMouse(500, 60);
+    slider.handleMouseDragged();
+    slider.handleMouseReleased();
+    assert.deepStrictEqual(changes, [0.2, 0, 1]);
+    
+    // Dragging after the release changes nothing
+    moveMouse(100, 60);
+    slider.handleMouseDragged();
+    assert.strictEqual(slider.value, 1);
+    
+    // The knob is drawn at the value
+    assert.strictEqual(drawn(slider, "ellipse")[0][0], 200);
+});
+
+test("a slider steps with the arrow keys without adding up rounding errors", function() {
+    var changes = [];
+    var slider = new engine.Slider({
+        max: 1,
+        step: 0.1,
+        onChange: function(value) {
+            changes.push(value);
+        }
+    });
+    
+    press(slider, RIGHT);
+    press(slider, RIGHT);
+    press(slider, UP);
+    assert.deepStrictEqual(changes, [0.1, 0.2, 0.3]);
+    assert.deepStrictEqual(drawn(slider, "text")[0], ["0.3", 0, -50, 19]);
+    
+    press(slider, DOWN);
+    press(slider, LEFT);
+    press(slider, LEFT);
+    press(slider, LEFT);
+    press(slider, LEFT);
+    assert.deepStrictEqual(changes, [0.1, 0.2, 0.3, 0.2, 0.1, 0]);
+});
+
+test("a slider rounds its starting value and steps that don't fit its range", function() {
+    var slider = new engine.Slider({ min: 0, max: 1, step: 0.3, value: 0.98 });
+    
+    assert.strictEqual(slider.value, 0.9);
+    slider.setValue(5);
+    assert.strictEqual(slider.value, 0.9);
+    slider.setValue(-5);
+    assert.strictEqual(slider.value, 0);
+});
+
+test("a dropdown picks the option clicked in its list", function() {
+    var changes = [];
+    var dropdown = new engine.Dropdown({
+        x: 10,
+        y: 10,
+        width: 100,
+        height: 30,
+        options: ["Red", "Green", { label: "Blue", value: [0, 0, 255] }],
+        value: "Green",
+        onChange: function(value, index) {
+            changes.push([value, index]);
+        }
+    });
+    var manager = new engine.WidgetManager().add(dropdown);
+    
+    assert.strictEqual(dropdown.getValue(), "Green");
+    assert.deepStrictEqual(drawn(dropdown, "text").map(function(args) {
+        return args[0];
+    }), ["", "Green"]);
+    
+    moveMouse(50, 20);
+    manager.handleMouseClick();
+    assert.strictEqual(dropdown.isOpen, true);
+    assert.deepStrictEqual(drawn(dropdown, "text").map(function(args) {
+        return args[0];
+    }), ["", "Green", "Red", "Green", "Blue"]);
+    
+    // The third option, below the field
+    moveMouse(50, 10 + 30 * 3 + 15);
+    manager.handleMouseClick();
+    assert.strictEqual(dropdown.isOpen, false);
+    assert.deepStrictEqual(changes, [[[0, 0, 255], 2]]);
+    
+    // Clicking the option already picked reports no change
+    moveMouse(50, 20);
+    manager.handleMouseClick();
+    moveMouse(50, 10 + 30 * 3 + 15);
+    manager.handleMouseClick();
+    assert.strictEqual(changes.length, 1);
+});
+
+test("a focused dropdown picks with the arrow keys, stopping at either end", function() {
+    var changes = [];
+    var dropdown = new engine.Dropdown({
+        options: ["Red", "Green", "Blue"],
+        onChange: function(value, index) {
+            changes.push([value, index]);
+        }
+    });
+    var manager = new engine.WidgetManager().add(dropdown);
+    
+    press(manager, TAB);
+    press(manager, UP);
+    press(manager, DOWN);
+    press(manager, DOWN);
+    press(manager, DOWN);
+    assert.deepStrictEqual(changes, [["Green", 1], ["Blue", 2]]);
+    
+    // Enter opens the list, and losing focus closes it
+    press(manager, ENTER);
+    assert.strictEqual(dropdown.isOpen, true);
+    manager.blur();
+    assert.strictEqual(dropdown.isOpen, false);
+    
+    assert.throws(function() {
+        new engine.Dropdown({ options: [] });
+    }, /A dropdown needs at least one option/);
+});
+
+test("a checkbox and a toggle report changes, and the toggle's knob slides", function() {
+    var clock = new engine.ManualClock();
+    var changes = [];
+    var onChange = function(isChecked) {
+        changes.push(isChecked);
+    };
+    var checkbox = new engine.Checkbox({ onChange: onChange });
+    var toggle = new engine.Toggle({ x: 0, y: 0, height: 20, onChange: onChange, clock: clock });
+    
+    checkbox.activate();
+    checkbox.setChecked(true);
+    checkbox.activate();
+    toggle.activate();
+    assert.deepStrictEqual(changes, [true, false, true]);
+    
+    // Knob from 10 across to 26 over the slide
+    clock.advance(engine.Toggle.SLIDE_DURATION * 1000);
+    engine.animationTicker.tick();
+    assert.strictEqual(drawn(toggle, "ellipse")[0][0], 26);
+});